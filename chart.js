@@ -0,0 +1,1320 @@
+/**
+ * Loudness time-series chart on a canvas
+ * - Time axis with "nice" ticks (ms … hours), LUFS grid every 5/10 LU
+ * - Fixed Y range (user-chosen) or auto range that only ever grows, so live scales do not jump
+ * - Wheel zooms around the pointer, drag pans, double-click shows everything again;
+ *   a click without drag reports the time under the pointer (seek)
+ * - Shift + drag selects a time range (onSelect); regions are shaded behind the series
+ * - Speech segments (dialogue detector) marked by a strip along the bottom of the plot
+ * - Hover crosshair with time and value of the nearest point
+ * - Overlays: horizontal reference lines (target, integrated, relative gate) and a band (LRA)
+ * - A/B: a second series (compare mode) traced under the first, with its value in the readout
+ * - Long series are drawn as one min/max column per pixel
+ *
+ * Linked charts (setLink) share the visible time window; onView reports it to other views.
+ *
+ * DistributionChart: histogram of M and S block loudness ({ min, step, counts } from
+ * LoudnessHistogram.distribution()) with the gates and the LRA / DR percentile bounds marked.
+ *
+ * SpectrogramChart: band levels over time (spectrum.js frames) on the time window of the
+ * loudness charts, log frequency axis; click picks the time whose spectrum is shown.
+ * SpectrumChart: band level curves over a log frequency axis (point, region, average, live).
+ *
+ * StereoChart: short-term loudness of L, R, mid and side above the phase correlation of each
+ * M block (−1 … +1), on the time window of the loudness charts; click reports the time (seek).
+ */
+
+const PAD = { l: 48, r: 12, t: 16, b: 28 };
+const TIME_STEPS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200];
+const DRAG_PX = 4;          // movement below this is a click
+const MIN_SPAN_SEC = 1;     // zoom limit
+
+function cssVar(name, fallback) {
+  return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+}
+
+function fmtAxisTime(t, step) {
+  const s = Math.max(0, t);
+  const hh = Math.floor(s / 3600);
+  const mm = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  const ss = step < 1 ? sec.toFixed(1).padStart(4, '0') : String(Math.floor(sec + 1e-6)).padStart(2, '0');
+  return hh ? `${hh}:${String(mm).padStart(2, '0')}:${ss}` : `${mm}:${ss}`;
+}
+
+function fmtValue(v) {
+  return Number.isFinite(v) ? (Math.round(v * 10) / 10).toFixed(1) : '−∞';
+}
+
+// Vertical grid and labels of a time axis: first step giving at least ~90 px between labels
+function drawTimeTicks(ctx, X, t0, t1, plotR, plotB) {
+  const pxPerSec = (plotR - PAD.l) / (t1 - t0);
+  const tStep = TIME_STEPS.find(s => s * pxPerSec >= 90) || TIME_STEPS[TIME_STEPS.length - 1];
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.beginPath();
+  for (let t = Math.ceil(t0 / tStep) * tStep; t <= t1 + 1e-9; t += tStep) {
+    const xx = Math.round(X(t)) + 0.5;
+    ctx.moveTo(xx, PAD.t);
+    ctx.lineTo(xx, plotB);
+    ctx.fillText(fmtAxisTime(t, tStep), xx, plotB + 6);
+  }
+  ctx.stroke();
+}
+
+// first index with times[i] >= t (times ascending)
+function lowerBound(times, t) {
+  let lo = 0, hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] < t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// Strokes a series over [t0, t1] (+1 point on each side): one min/max column per pixel when
+// there are more points than 2 per pixel, else a polyline through them
+function traceSeries(ctx, times, values, t0, t1, X, yv, plotW) {
+  const i0 = Math.max(0, lowerBound(times, t0) - 1);
+  const i1 = Math.min(times.length, lowerBound(times, t1) + 1);
+  ctx.beginPath();
+  if (i1 - i0 > 2 * plotW) {
+    let col = -1, lo = 0, hi = 0, started = false;
+    const flush = () => {
+      if (col < 0) return;
+      if (!started) { ctx.moveTo(col, lo); started = true; } else ctx.lineTo(col, lo);
+      ctx.lineTo(col, hi);
+    };
+    for (let i = i0; i < i1; i++) {
+      const c = Math.round(X(times[i]));
+      const y = yv(values[i]);
+      if (c !== col) { flush(); col = c; lo = hi = y; } else { if (y > lo) lo = y; if (y < hi) hi = y; }
+    }
+    flush();
+  } else {
+    for (let i = i0; i < i1; i++) {
+      const xx = X(times[i]), yy = yv(values[i]);
+      if (i === i0) ctx.moveTo(xx, yy); else ctx.lineTo(xx, yy);
+    }
+  }
+  ctx.stroke();
+}
+
+export class LoudnessChart {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} [opts]
+   * @param {boolean} [opts.interactive]  attach pointer / wheel handlers (false for snapshots)
+   * @param {(t: number) => void} [opts.onSeek]  click without drag
+   * @param {(from: number, to: number) => void} [opts.onSelect]  shift + drag
+   * @param {() => void} [opts.onView]  the visible time window changed (zoom, pan, reset)
+   * @param {string} [opts.unit]
+   */
+  constructor(canvas, opts = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.unit = opts.unit || 'LUFS';
+    this.onSeek = opts.onSeek || null;
+    this.onSelect = opts.onSelect || null;
+    this.onView = opts.onView || null;
+    this.times = [];
+    this.values = [];
+    this.view = null;        // { t0, t1 } or null: whole series
+    this.follow = false;     // zoomed view sticks to the newest point while the series grows
+    this.yFixed = { min: -60, max: 0 };
+    this.yAuto = false;
+    this.autoRange = null;   // grown-only range in auto mode
+    this.overlays = [];      // { value, label, color } | { from, to, label, color }
+    this.regions = [];       // { from, to, label, active } time ranges in seconds
+    this.selecting = null;   // { from, to } while shift-dragging (shown on linked charts too)
+    this.speech = [];        // { from, to } time ranges classified as speech
+    this.compare = null;     // { times, values, label } second series, times already aligned
+    this.cursorT = NaN;
+    this.hover = null;       // canvas x of the pointer
+    this.link = null;
+    if (opts.interactive !== false) this.attach();
+  }
+
+  setData(times, values) {
+    this.times = times || [];
+    this.values = values || [];
+    this.autoRange = null;
+    this.view = null;
+    this.follow = false;
+  }
+
+  /** Call after pushing points to the arrays given to setData (live). */
+  dataChanged() {
+    if (this.view && this.follow && this.times.length) {
+      const span = this.view.t1 - this.view.t0;
+      const end = this.times[this.times.length - 1];
+      this.view = { t0: end - span, t1: end };
+    }
+  }
+
+  /** Fixed range in LUFS, or auto (min/max of the data, only growing) when `auto` is set. */
+  setYRange(min, max, auto = false) {
+    if (Number.isFinite(min) && Number.isFinite(max) && max > min) this.yFixed = { min, max };
+    this.yAuto = auto;
+    this.autoRange = null;
+  }
+
+  setOverlays(overlays) {
+    this.overlays = overlays.filter(o => Number.isFinite(o.value) || (Number.isFinite(o.from) && Number.isFinite(o.to)));
+  }
+
+  setRegions(regions) {
+    this.regions = regions;
+  }
+
+  setSpeech(segments) {
+    this.speech = segments || [];
+  }
+
+  /** Second series drawn under the first (A/B), or null to remove it. */
+  setCompare(times, values, label = 'B') {
+    this.compare = times?.length ? { times, values, label } : null;
+    this.autoRange = null;
+  }
+
+  setCursor(t) {
+    this.cursorT = t;
+    // page the zoomed window along with the playhead
+    if (this.view && Number.isFinite(t) && (t > this.view.t1 || t < this.view.t0)) {
+      const span = this.view.t1 - this.view.t0;
+      this.setView(t - span * 0.1, t + span * 0.9);
+    }
+  }
+
+  setLink(other) {
+    this.link = other;
+  }
+
+  resetView() {
+    this.view = null;
+    this.follow = false;
+    if (this.link) { this.link.view = null; this.link.follow = false; this.link.draw(); }
+    this.draw();
+    this.onView?.();
+  }
+
+  setView(t0, t1, fromLink = false) {
+    const [a, b] = this.extent();
+    const full = b - a;
+    let span = Math.max(Math.min(t1 - t0, full), Math.min(MIN_SPAN_SEC, full));
+    if (!(span > 0) || span >= full) {
+      this.view = null;
+      this.follow = false;
+    } else {
+      let s = Math.max(a, Math.min(t0, b - span));
+      this.view = { t0: s, t1: s + span };
+      this.follow = s + span >= b - 1e-9;
+    }
+    if (this.link && !fromLink) {
+      if (this.view) this.link.setView(this.view.t0, this.view.t1, true);
+      else { this.link.view = null; this.link.follow = false; }
+      this.link.draw();
+    }
+    if (!fromLink) this.onView?.();
+  }
+
+  extent() {
+    const n = this.times.length;
+    if (!n) return [0, 1];
+    const c = this.compare;
+    if (!c) return [this.times[0], this.times[n - 1]];
+    return [Math.min(this.times[0], c.times[0]), Math.max(this.times[n - 1], c.times[c.times.length - 1])];
+  }
+
+  visible() {
+    if (this.view) return [this.view.t0, this.view.t1];
+    const [a, b] = this.extent();
+    return [a, b > a ? b : a + 1];
+  }
+
+  yRange() {
+    if (!this.yAuto) return this.yFixed;
+    let lo = Infinity, hi = -Infinity;
+    for (const values of [this.values, this.compare?.values || []]) {
+      for (const v of values) {
+        if (!Number.isFinite(v)) continue;
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+    }
+    if (!Number.isFinite(lo)) return this.yFixed;
+    const min = Math.floor((Math.max(lo, -90) - 1) / 5) * 5;
+    const max = Math.ceil((hi + 1) / 5) * 5;
+    const r = this.autoRange;
+    this.autoRange = r ? { min: Math.min(r.min, min), max: Math.max(r.max, max) } : { min, max };
+    return this.autoRange;
+  }
+
+  // canvas-space mapping of the current view
+  scales() {
+    const W = this.canvas.width, H = this.canvas.height;
+    const [t0, t1] = this.visible();
+    const { min, max } = this.yRange();
+    return {
+      W, H, t0, t1, min, max,
+      X: t => PAD.l + ((t - t0) / (t1 - t0)) * (W - PAD.l - PAD.r),
+      T: x => t0 + ((x - PAD.l) / (W - PAD.l - PAD.r)) * (t1 - t0),
+      Y: v => PAD.t + (1 - (v - min) / (max - min)) * (H - PAD.t - PAD.b),
+    };
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const { W, H, t0, t1, min, max, X, Y } = this.scales();
+    const muted = cssVar('--muted', '#aaa');
+    ctx.clearRect(0, 0, W, H);
+    ctx.fillStyle = 'rgba(255,255,255,0.03)';
+    ctx.fillRect(0, 0, W, H);
+    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+
+    if (!this.values.length || !this.times.length) {
+      ctx.fillStyle = '#888';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Sin datos', PAD.l, H / 2);
+      return;
+    }
+
+    const plotR = W - PAD.r, plotB = H - PAD.b;
+
+    // Y grid and labels
+    const yStep = max - min > 40 ? 10 : 5;
+    ctx.strokeStyle = 'rgba(128,128,128,0.2)';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = muted;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.beginPath();
+    for (let v = Math.ceil(min / yStep) * yStep; v <= max; v += yStep) {
+      const yy = Math.round(Y(v)) + 0.5;
+      ctx.moveTo(PAD.l, yy);
+      ctx.lineTo(plotR, yy);
+      ctx.fillText(String(v), PAD.l - 6, yy);
+    }
+    ctx.stroke();
+
+    drawTimeTicks(ctx, X, t0, t1, plotR, plotB);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(this.unit, 4, 2);
+    const compareColor = cssVar('--compare', '#c792ea');
+    if (this.compare) {
+      ctx.fillStyle = cssVar('--accent-strong', '#2d8fe2');
+      ctx.fillText('— A', PAD.l + 8, 2);
+      ctx.fillStyle = compareColor;
+      ctx.fillText(`— ${this.compare.label}`, PAD.l + 48, 2);
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(PAD.l, PAD.t, plotR - PAD.l, plotB - PAD.t);
+    ctx.clip();
+
+    // bands below the series, lines above
+    for (const o of this.overlays) {
+      if (!Number.isFinite(o.from)) continue;
+      ctx.fillStyle = o.color;
+      ctx.globalAlpha = 0.12;
+      ctx.fillRect(PAD.l, Y(o.to), plotR - PAD.l, Y(o.from) - Y(o.to));
+      ctx.globalAlpha = 1;
+    }
+
+    // time regions; the one being selected replaces the active one
+    const regions = this.selecting
+      ? [...this.regions.filter(r => !r.active), { ...this.selecting, active: true }]
+      : this.regions;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    for (const r of regions) {
+      const x0 = Math.max(PAD.l, X(r.from)), x1 = Math.min(plotR, X(r.to));
+      if (!(x1 > x0)) continue;
+      ctx.fillStyle = r.active ? cssVar('--accent', '#5aa9e6') : muted;
+      ctx.globalAlpha = r.active ? 0.2 : 0.1;
+      ctx.fillRect(x0, PAD.t, x1 - x0, plotB - PAD.t);
+      ctx.globalAlpha = 1;
+      if (r.label) {
+        ctx.fillStyle = muted;
+        ctx.fillText(r.label, x0 + 4, PAD.t + 2);
+      }
+    }
+
+    // speech: faint tint over the whole height and a solid strip along the bottom
+    ctx.fillStyle = cssVar('--ok', '#39d98a');
+    for (const g of this.speech) {
+      const x0 = Math.max(PAD.l, X(g.from)), x1 = Math.min(plotR, X(g.to));
+      if (!(x1 > x0)) continue;
+      ctx.globalAlpha = 0.06;
+      ctx.fillRect(x0, PAD.t, x1 - x0, plotB - PAD.t);
+      ctx.globalAlpha = 0.6;
+      ctx.fillRect(x0, plotB - 4, x1 - x0, 4);
+    }
+    ctx.globalAlpha = 1;
+
+    const floorY = min - 10; // −∞ drawn off the bottom
+    if (this.compare) {
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = compareColor;
+      traceSeries(ctx, this.compare.times, this.compare.values, t0, t1, X, v => Y(Number.isFinite(v) ? v : floorY), plotR - PAD.l);
+    }
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = cssVar('--accent-strong', '#2d8fe2');
+    traceSeries(ctx, this.times, this.values, t0, t1, X, v => Y(Number.isFinite(v) ? v : floorY), plotR - PAD.l);
+
+    // max marker
+    let maxIdx = -1;
+    for (let i = 0; i < this.values.length; i++) {
+      if (Number.isFinite(this.values[i]) && (maxIdx < 0 || this.values[i] > this.values[maxIdx])) maxIdx = i;
+    }
+    if (maxIdx >= 0) {
+      ctx.fillStyle = '#ff6b6b';
+      ctx.beginPath();
+      ctx.arc(X(this.times[maxIdx]), Y(this.values[maxIdx]), 3.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // reference lines with their labels at the right edge
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    for (const o of this.overlays) {
+      if (!Number.isFinite(o.value)) continue;
+      const yy = Math.round(Y(o.value)) + 0.5;
+      ctx.strokeStyle = o.color;
+      ctx.fillStyle = o.color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash(o.dash || [6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(PAD.l, yy);
+      ctx.lineTo(plotR, yy);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillText(`${o.label} ${fmtValue(o.value)}`, plotR - 4, yy - 2);
+    }
+    for (const o of this.overlays) {
+      if (!Number.isFinite(o.from)) continue;
+      ctx.fillStyle = o.color;
+      ctx.fillText(`${o.label} ${fmtValue(o.from)}…${fmtValue(o.to)}`, plotR - 4, Y(o.to) + 14);
+    }
+
+    // playhead
+    if (Number.isFinite(this.cursorT)) {
+      const xx = X(this.cursorT);
+      ctx.strokeStyle = cssVar('--warn', '#ffcf5c');
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(xx, PAD.t);
+      ctx.lineTo(xx, plotB);
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    // hover crosshair + readout of the nearest point
+    if (this.hover !== null && this.hover >= PAD.l && this.hover <= plotR) {
+      const t = this.scales().T(this.hover);
+      let i = lowerBound(this.times, t);
+      if (i >= this.times.length || (i > 0 && t - this.times[i - 1] < this.times[i] - t)) i--;
+      if (i >= 0) {
+        const xx = X(this.times[i]);
+        const v = this.values[i];
+        ctx.strokeStyle = muted;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(xx, PAD.t);
+        ctx.lineTo(xx, plotB);
+        if (Number.isFinite(v) && v >= min && v <= max) {
+          ctx.moveTo(PAD.l, Y(v));
+          ctx.lineTo(plotR, Y(v));
+        }
+        ctx.stroke();
+        let text = `${fmtAxisTime(this.times[i], 0.1)} · ${fmtValue(v)} ${this.unit}`;
+        const c = this.compare;
+        if (c) {
+          let j = lowerBound(c.times, t);
+          if (j >= c.times.length || (j > 0 && t - c.times[j - 1] < c.times[j] - t)) j--;
+          text += ` · ${c.label} ${j >= 0 && Math.abs(c.times[j] - t) < 1 ? fmtValue(c.values[j]) : '—'}`;
+        }
+        const tw = ctx.measureText(text).width + 12;
+        const bx = Math.min(plotR - tw, Math.max(PAD.l, xx + 8));
+        ctx.fillStyle = cssVar('--card', '#171a21');
+        ctx.fillRect(bx, PAD.t + 2, tw, 20);
+        ctx.fillStyle = cssVar('--fg', '#e6e7ea');
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, bx + 6, PAD.t + 12);
+      }
+    }
+  }
+
+  canvasX(ev) {
+    const rect = this.canvas.getBoundingClientRect();
+    return (ev.clientX - rect.left) * this.canvas.width / rect.width;
+  }
+
+  attach() {
+    const cv = this.canvas;
+    let drag = null; // { x, view: [t0, t1], moved, select }
+    const showSelecting = (range) => {
+      this.selecting = range;
+      if (this.link) { this.link.selecting = range; this.link.draw(); }
+    };
+
+    cv.addEventListener('wheel', (ev) => {
+      if (!this.times.length) return;
+      ev.preventDefault();
+      const { T } = this.scales();
+      const [t0, t1] = this.visible();
+      const at = T(this.canvasX(ev));
+      const k = Math.exp(ev.deltaY * 0.0015); // > 1 zooms out
+      this.setView(at - (at - t0) * k, at + (t1 - at) * k);
+      this.draw();
+    }, { passive: false });
+
+    cv.addEventListener('pointerdown', (ev) => {
+      if (ev.button !== 0) return;
+      cv.setPointerCapture(ev.pointerId);
+      drag = { x: this.canvasX(ev), view: this.visible(), moved: false, select: ev.shiftKey && !!this.onSelect };
+    });
+    cv.addEventListener('pointermove', (ev) => {
+      const x = this.canvasX(ev);
+      this.hover = x;
+      if (drag) {
+        const dx = x - drag.x;
+        if (Math.abs(dx) >= DRAG_PX) drag.moved = true;
+        if (drag.moved && drag.select) {
+          const { T } = this.scales();
+          const [a, b] = this.extent();
+          const t0 = Math.min(b, Math.max(a, T(drag.x))), t1 = Math.min(b, Math.max(a, T(x)));
+          showSelecting({ from: Math.min(t0, t1), to: Math.max(t0, t1) });
+        } else if (drag.moved && this.view) {
+          const [t0, t1] = drag.view;
+          const dt = -dx / (cv.width - PAD.l - PAD.r) * (t1 - t0);
+          this.setView(t0 + dt, t1 + dt);
+        }
+      }
+      this.draw();
+    });
+    cv.addEventListener('pointerup', (ev) => {
+      if (drag?.select) {
+        const range = this.selecting;
+        showSelecting(null);
+        if (drag.moved && range && range.to > range.from) this.onSelect(range.from, range.to);
+        this.draw();
+      } else if (drag && !drag.moved && this.onSeek && this.times.length) {
+        const { T } = this.scales();
+        const [a, b] = this.extent();
+        this.onSeek(Math.min(b, Math.max(a, T(this.canvasX(ev)))));
+      }
+      drag = null;
+    });
+    cv.addEventListener('pointerleave', () => {
+      this.hover = null;
+      this.draw();
+    });
+    cv.addEventListener('dblclick', () => this.resetView());
+  }
+}
+
+export class DistributionChart {
+  /** @param {HTMLCanvasElement} canvas */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.distM = null;
+    this.distS = null;
+    this.marks = {};
+    this.hover = null;
+    canvas.addEventListener('pointermove', (ev) => {
+      const rect = canvas.getBoundingClientRect();
+      this.hover = (ev.clientX - rect.left) * canvas.width / rect.width;
+      this.draw();
+    });
+    canvas.addEventListener('pointerleave', () => {
+      this.hover = null;
+      this.draw();
+    });
+  }
+
+  /**
+   * @param {{ min, step, counts }} distM
+   * @param {{ min, step, counts }} distS
+   * @param {{ gateRel?, lraThr?, lraLow?, lraHigh?, drLow?, drHigh? }} marks  LUFS
+   */
+  setData(distM, distS, marks = {}) {
+    this.distM = distM;
+    this.distS = distS;
+    this.marks = marks;
+  }
+
+  // LUFS span shown: occupied bins plus the marks, at least 20 LU wide
+  span() {
+    let lo = Infinity, hi = -Infinity;
+    for (const d of [this.distM, this.distS]) {
+      if (!d) continue;
+      d.counts.forEach((c, i) => {
+        if (!c) return;
+        lo = Math.min(lo, d.min + i * d.step);
+        hi = Math.max(hi, d.min + (i + 1) * d.step);
+      });
+    }
+    if (!Number.isFinite(lo)) return null;
+    for (const v of Object.values(this.marks)) {
+      if (Number.isFinite(v)) { lo = Math.min(lo, v); hi = Math.max(hi, v); }
+    }
+    lo = Math.floor((lo - 1) / 5) * 5;
+    hi = Math.ceil((hi + 1) / 5) * 5;
+    if (hi - lo < 20) lo = hi - 20;
+    return [lo, hi];
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const W = this.canvas.width, H = this.canvas.height;
+    const muted = cssVar('--muted', '#aaa');
+    ctx.clearRect(0, 0, W, H);
+    ctx.fillStyle = 'rgba(255,255,255,0.03)';
+    ctx.fillRect(0, 0, W, H);
+    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+
+    const range = this.span();
+    if (!range) {
+      ctx.fillStyle = '#888';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Sin datos', PAD.l, H / 2);
+      return;
+    }
+    const [lo, hi] = range;
+    const plotR = W - PAD.r, plotB = H - PAD.b;
+    const X = v => PAD.l + ((v - lo) / (hi - lo)) * (plotR - PAD.l);
+    const total = d => (d ? d.counts.reduce((a, b) => a + b, 0) : 0);
+    const nM = total(this.distM), nS = total(this.distS);
+    // share of blocks per bin, so M and S (different block counts) are comparable
+    let peak = 0;
+    for (const [d, n] of [[this.distM, nM], [this.distS, nS]]) {
+      if (d && n) d.counts.forEach(c => { if (c / n > peak) peak = c / n; });
+    }
+    const Y = f => plotB - (f / (peak || 1)) * (plotB - PAD.t - 14);
+
+    // LUFS grid
+    ctx.strokeStyle = 'rgba(128,128,128,0.2)';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = muted;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.beginPath();
+    for (let v = lo; v <= hi; v += 5) {
+      const xx = Math.round(X(v)) + 0.5;
+      ctx.moveTo(xx, PAD.t);
+      ctx.lineTo(xx, plotB);
+      ctx.fillText(String(v), xx, plotB + 6);
+    }
+    ctx.stroke();
+    ctx.textAlign = 'left';
+    ctx.fillText('LUFS', 4, 2);
+
+    const m = this.marks;
+    const warn = cssVar('--warn', '#ffcf5c');
+    // LRA band under the bars
+    if (Number.isFinite(m.lraLow) && Number.isFinite(m.lraHigh)) {
+      ctx.fillStyle = warn;
+      ctx.globalAlpha = 0.12;
+      ctx.fillRect(X(m.lraLow), PAD.t, X(m.lraHigh) - X(m.lraLow), plotB - PAD.t);
+      ctx.globalAlpha = 1;
+    }
+
+    // S as filled bars, M as an outline on top
+    const bars = (d, n, fill) => {
+      if (!d || !n) return;
+      ctx.beginPath();
+      d.counts.forEach((c, i) => {
+        const x0 = X(d.min + i * d.step), x1 = X(d.min + (i + 1) * d.step);
+        if (x1 < PAD.l || x0 > plotR || !c) return;
+        if (fill) ctx.rect(x0, Y(c / n), Math.max(1, x1 - x0 - 0.5), plotB - Y(c / n));
+        else { ctx.moveTo(x0, Y(c / n)); ctx.lineTo(x1, Y(c / n)); }
+      });
+      if (fill) ctx.fill(); else ctx.stroke();
+    };
+    ctx.fillStyle = cssVar('--accent-strong', '#2d8fe2');
+    ctx.globalAlpha = 0.7;
+    bars(this.distS, nS, true);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = cssVar('--fg', '#e6e7ea');
+    ctx.lineWidth = 2;
+    bars(this.distM, nM, false);
+
+    // gates and percentile bounds
+    const lines = [
+      [-70, 'Gate abs', muted, [2, 3]],
+      [m.gateRel, 'Gate rel (M)', muted, [6, 4]],
+      [m.lraThr, 'Gate LRA (S)', warn, [6, 4]],
+      [m.lraLow, 'P10', warn, []],
+      [m.lraHigh, 'P95', warn, []],
+      [m.drLow, 'P5', cssVar('--err', '#ff6b6b'), [3, 3]],
+      [m.drHigh, 'P95 (DR)', cssVar('--err', '#ff6b6b'), [3, 3]],
+    ];
+    ctx.textBaseline = 'top';
+    let row = 0;
+    for (const [v, label, color, dash] of lines) {
+      if (!Number.isFinite(v) || v < lo || v > hi) continue;
+      const xx = Math.round(X(v)) + 0.5;
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      ctx.moveTo(xx, PAD.t);
+      ctx.lineTo(xx, plotB);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.textAlign = xx > plotR - 80 ? 'right' : 'left';
+      ctx.fillText(label, xx + (ctx.textAlign === 'left' ? 3 : -3), PAD.t + (row++ % 4) * 14);
+    }
+
+    // legend
+    ctx.textAlign = 'right';
+    ctx.fillStyle = muted;
+    ctx.fillText(`S (barras): ${nS} bloques · M (línea): ${nM} bloques`, plotR, 2);
+
+    // hover readout: bin under the pointer
+    if (this.hover !== null && this.hover >= PAD.l && this.hover <= plotR) {
+      const v = lo + ((this.hover - PAD.l) / (plotR - PAD.l)) * (hi - lo);
+      const parts = [];
+      for (const [name, d, n] of [['S', this.distS, nS], ['M', this.distM, nM]]) {
+        if (!d || !n) continue;
+        const i = Math.floor((v - d.min) / d.step);
+        if (i < 0 || i >= d.counts.length) continue;
+        parts.push(`${name} ${(100 * d.counts[i] / n).toFixed(1)} %`);
+      }
+      const d = this.distS || this.distM;
+      const b0 = d.min + Math.floor((v - d.min) / d.step) * d.step;
+      const text = `${b0.toFixed(1)}…${(b0 + d.step).toFixed(1)} LUFS · ${parts.join(' · ')}`;
+      ctx.strokeStyle = muted;
+      ctx.beginPath();
+      ctx.moveTo(this.hover, PAD.t);
+      ctx.lineTo(this.hover, plotB);
+      ctx.stroke();
+      const tw = ctx.measureText(text).width + 12;
+      const bx = Math.min(plotR - tw, Math.max(PAD.l, this.hover + 8));
+      ctx.fillStyle = cssVar('--card', '#171a21');
+      ctx.fillRect(bx, plotB - 26, tw, 20);
+      ctx.fillStyle = cssVar('--fg', '#e6e7ea');
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, bx + 6, plotB - 16);
+    }
+  }
+}
+
+const FREQ_LO = 20, FREQ_HI = 20000;
+const FREQ_TICKS = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const LEVEL_LO = -90, LEVEL_HI = -10; // spectrogram colour range (dB)
+// perceptual dark → bright ramp (inferno-like)
+const COLORMAP = [[0, 0, 0, 4], [0.25, 87, 16, 110], [0.5, 188, 55, 84], [0.75, 249, 142, 9], [1, 252, 255, 164]];
+
+function fmtFreq(f) {
+  return f >= 1000 ? `${+(f / 1000).toFixed(f >= 10000 ? 0 : 1)}k` : String(Math.round(f));
+}
+
+function colorAt(u) {
+  const x = Math.min(1, Math.max(0, u));
+  let k = 1;
+  while (k < COLORMAP.length - 1 && COLORMAP[k][0] < x) k++;
+  const [a0, ...c0] = COLORMAP[k - 1], [a1, ...c1] = COLORMAP[k];
+  const f = (x - a0) / (a1 - a0);
+  return c0.map((v, i) => Math.round(v + (c1[i] - v) * f));
+}
+
+// log-frequency mapping between FREQ_LO and fHi onto [lo, hi] pixels
+function freqScale(fHi, lo, hi) {
+  const l0 = Math.log(FREQ_LO), l1 = Math.log(fHi);
+  return {
+    P: f => lo + ((Math.log(f) - l0) / (l1 - l0)) * (hi - lo),
+    F: p => Math.exp(l0 + ((p - lo) / (hi - lo)) * (l1 - l0)),
+  };
+}
+
+// index of the band centre nearest to f (log distance)
+function nearestBand(centers, f) {
+  let best = 0;
+  for (let b = 1; b < centers.length; b++) {
+    if (Math.abs(Math.log(centers[b] / f)) < Math.abs(Math.log(centers[best] / f))) best = b;
+  }
+  return best;
+}
+
+export class SpectrogramChart {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} [opts]
+   * @param {(t: number) => void} [opts.onPick]  click: time whose spectrum to show
+   */
+  constructor(canvas, opts = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.onPick = opts.onPick || null;
+    this.spec = null;        // { hopSec, sampleRate, bands, frames, power }
+    this.centers = [];       // band centres (Hz)
+    this.offsets = null;     // dB added to 10·log10(power) per band (weighting + scale)
+    this.unit = 'dB';
+    this.view = [0, 1];      // time window, shared with the loudness charts
+    this.cursorT = NaN;
+    this.mark = null;        // { from, to } time range of the spectrum shown
+    this.hover = null;       // { x, y } canvas coordinates of the pointer
+    this.image = null;       // { key, canvas } rendered spectrogram of the current view
+    canvas.addEventListener('pointermove', (ev) => {
+      const rect = canvas.getBoundingClientRect();
+      this.hover = { x: (ev.clientX - rect.left) * canvas.width / rect.width, y: (ev.clientY - rect.top) * canvas.height / rect.height };
+      this.draw();
+    });
+    canvas.addEventListener('pointerleave', () => {
+      this.hover = null;
+      this.draw();
+    });
+    canvas.addEventListener('click', (ev) => {
+      if (!this.spec || !this.onPick) return;
+      const rect = canvas.getBoundingClientRect();
+      const x = (ev.clientX - rect.left) * canvas.width / rect.width;
+      if (x >= PAD.l && x <= canvas.width - PAD.r) this.onPick(this.scales().T(x));
+    });
+  }
+
+  /**
+   * @param {object|null} spec  spectrogram from the engine
+   * @param {ArrayLike<number>} centers  band centres (Hz)
+   */
+  setData(spec, centers) {
+    this.spec = spec;
+    this.centers = centers;
+    this.image = null;
+  }
+
+  /** @param {ArrayLike<number>} offsets  dB per band; @param {string} unit */
+  setLevels(offsets, unit) {
+    this.offsets = offsets;
+    this.unit = unit;
+    this.image = null;
+  }
+
+  setView(t0, t1) {
+    this.view = [t0, t1];
+  }
+
+  setCursor(t) {
+    this.cursorT = t;
+  }
+
+  setMark(mark) {
+    this.mark = mark;
+  }
+
+  scales() {
+    const W = this.canvas.width, H = this.canvas.height;
+    const [t0, t1] = this.view;
+    const fHi = Math.min(FREQ_HI, (this.spec?.sampleRate ?? 48000) / 2);
+    const { P, F } = freqScale(fHi, H - PAD.b, PAD.t);
+    return {
+      W, H, t0, t1, fHi, Y: P, F,
+      X: t => PAD.l + ((t - t0) / (t1 - t0)) * (W - PAD.l - PAD.r),
+      T: x => t0 + ((x - PAD.l) / (W - PAD.l - PAD.r)) * (t1 - t0),
+    };
+  }
+
+  level(h, b) {
+    const p = this.spec.power[h * this.spec.bands + b];
+    return p > 0 ? 10 * Math.log10(p) + this.offsets[b] : Number.NEGATIVE_INFINITY;
+  }
+
+  // one pixel column per time slice (loudest frame in it), one row per pixel of log frequency
+  render(s) {
+    const w = Math.max(1, Math.round(s.W - PAD.l - PAD.r)), h = Math.max(1, Math.round(s.H - PAD.t - PAD.b));
+    const key = [w, h, s.t0, s.t1].join();
+    if (this.image?.key === key) return this.image.canvas;
+    const { hopSec, frames, bands, power } = this.spec;
+    const rowBand = new Int32Array(h);
+    for (let y = 0; y < h; y++) rowBand[y] = nearestBand(this.centers, s.F(PAD.t + y + 0.5));
+    const c = document.createElement('canvas');
+    c.width = w;
+    c.height = h;
+    const cctx = c.getContext('2d');
+    const img = cctx.createImageData(w, h);
+    const colMax = new Float64Array(bands);
+    for (let x = 0; x < w; x++) {
+      const ta = s.T(PAD.l + x), tb = s.T(PAD.l + x + 1);
+      let h0 = Math.max(0, Math.floor(ta / hopSec)), h1 = Math.min(frames - 1, Math.floor(tb / hopSec));
+      if (h1 < h0) h1 = h0;
+      if (h0 >= frames) continue;
+      colMax.fill(0);
+      for (let f = h0; f <= h1; f++) {
+        for (let b = 0; b < bands; b++) if (power[f * bands + b] > colMax[b]) colMax[b] = power[f * bands + b];
+      }
+      for (let y = 0; y < h; y++) {
+        const b = rowBand[y];
+        const db = colMax[b] > 0 ? 10 * Math.log10(colMax[b]) + this.offsets[b] : -Infinity;
+        const [r, g, bl] = colorAt((db - LEVEL_LO) / (LEVEL_HI - LEVEL_LO));
+        const i = (y * w + x) * 4;
+        img.data[i] = r;
+        img.data[i + 1] = g;
+        img.data[i + 2] = bl;
+        img.data[i + 3] = 255;
+      }
+    }
+    cctx.putImageData(img, 0, 0);
+    this.image = { key, canvas: c };
+    return c;
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const s = this.scales();
+    const { W, H, X, Y } = s;
+    const muted = cssVar('--muted', '#aaa');
+    ctx.clearRect(0, 0, W, H);
+    ctx.fillStyle = 'rgba(255,255,255,0.03)';
+    ctx.fillRect(0, 0, W, H);
+    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    if (!this.spec || !this.offsets || !this.spec.frames) {
+      ctx.fillStyle = '#888';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Sin datos', PAD.l, H / 2);
+      return;
+    }
+    const plotR = W - PAD.r, plotB = H - PAD.b;
+    ctx.drawImage(this.render(s), PAD.l, PAD.t);
+
+    // frequency and time grid
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = muted;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.beginPath();
+    for (const f of FREQ_TICKS) {
+      if (f > s.fHi) continue;
+      const yy = Math.round(Y(f)) + 0.5;
+      ctx.moveTo(PAD.l, yy);
+      ctx.lineTo(plotR, yy);
+      ctx.fillText(fmtFreq(f), PAD.l - 6, yy);
+    }
+    ctx.stroke();
+    drawTimeTicks(ctx, X, s.t0, s.t1, plotR, plotB);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Hz · ${this.unit} ${LEVEL_LO}…${LEVEL_HI}`, 4, 2);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(PAD.l, PAD.t, plotR - PAD.l, plotB - PAD.t);
+    ctx.clip();
+    if (this.mark) {
+      const x0 = X(this.mark.from), x1 = Math.max(X(this.mark.to), x0 + 2);
+      ctx.strokeStyle = cssVar('--accent', '#5aa9e6');
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x0, PAD.t + 1, x1 - x0, plotB - PAD.t - 2);
+    }
+    if (Number.isFinite(this.cursorT)) {
+      const xx = X(this.cursorT);
+      ctx.strokeStyle = cssVar('--warn', '#ffcf5c');
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(xx, PAD.t);
+      ctx.lineTo(xx, plotB);
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    // hover readout: band and frame under the pointer
+    const hv = this.hover;
+    if (hv && hv.x >= PAD.l && hv.x <= plotR && hv.y >= PAD.t && hv.y <= plotB) {
+      const t = s.T(hv.x);
+      const fr = Math.min(this.spec.frames - 1, Math.max(0, Math.floor(t / this.spec.hopSec)));
+      const b = nearestBand(this.centers, s.F(hv.y));
+      const text = `${fmtAxisTime(t, 0.1)} · ${fmtFreq(this.centers[b])} Hz · ${fmtValue(this.level(fr, b))} ${this.unit}`;
+      const tw = ctx.measureText(text).width + 12;
+      const bx = Math.min(plotR - tw, Math.max(PAD.l, hv.x + 8));
+      ctx.fillStyle = cssVar('--card', '#171a21');
+      ctx.fillRect(bx, PAD.t + 2, tw, 20);
+      ctx.fillStyle = cssVar('--fg', '#e6e7ea');
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, bx + 6, PAD.t + 12);
+    }
+  }
+}
+
+export class SpectrumChart {
+  /** @param {HTMLCanvasElement} canvas */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.centers = [];
+    this.curves = [];        // { label, color, levels (dB per band), fill? }
+    this.unit = 'dB';
+    this.fHi = FREQ_HI;
+    this.hover = null;
+    canvas.addEventListener('pointermove', (ev) => {
+      const rect = canvas.getBoundingClientRect();
+      this.hover = (ev.clientX - rect.left) * canvas.width / rect.width;
+      this.draw();
+    });
+    canvas.addEventListener('pointerleave', () => {
+      this.hover = null;
+      this.draw();
+    });
+  }
+
+  /**
+   * @param {ArrayLike<number>} centers  band centres (Hz)
+   * @param {{ label: string, color: string, levels: ArrayLike<number>, fill?: boolean }[]} curves
+   * @param {string} unit
+   * @param {number} [sampleRate]  the axis stops at Nyquist
+   */
+  setData(centers, curves, unit, sampleRate = 48000) {
+    this.centers = centers;
+    this.curves = curves;
+    this.unit = unit;
+    this.fHi = Math.min(FREQ_HI, sampleRate / 2);
+  }
+
+  // dB span: the curves' peak rounded up to 10, 70 dB deep
+  span() {
+    let hi = -Infinity;
+    for (const c of this.curves) for (const v of c.levels) if (Number.isFinite(v) && v > hi) hi = v;
+    if (!Number.isFinite(hi)) return null;
+    hi = Math.ceil((hi + 1) / 10) * 10;
+    return [hi - 70, hi];
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const W = this.canvas.width, H = this.canvas.height;
+    const muted = cssVar('--muted', '#aaa');
+    ctx.clearRect(0, 0, W, H);
+    ctx.fillStyle = 'rgba(255,255,255,0.03)';
+    ctx.fillRect(0, 0, W, H);
+    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    const range = this.span();
+    if (!range) {
+      ctx.fillStyle = '#888';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Sin datos', PAD.l, H / 2);
+      return;
+    }
+    const [lo, hi] = range;
+    const plotR = W - PAD.r, plotB = H - PAD.b;
+    const { P: X, F } = freqScale(this.fHi, PAD.l, plotR);
+    const Y = v => PAD.t + (1 - (v - lo) / (hi - lo)) * (plotB - PAD.t);
+
+    ctx.strokeStyle = 'rgba(128,128,128,0.2)';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = muted;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.beginPath();
+    for (let v = lo; v <= hi; v += 10) {
+      const yy = Math.round(Y(v)) + 0.5;
+      ctx.moveTo(PAD.l, yy);
+      ctx.lineTo(plotR, yy);
+      ctx.fillText(String(v), PAD.l - 6, yy);
+    }
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const f of FREQ_TICKS) {
+      if (f > this.fHi) continue;
+      const xx = Math.round(X(f)) + 0.5;
+      ctx.moveTo(xx, PAD.t);
+      ctx.lineTo(xx, plotB);
+      ctx.fillText(fmtFreq(f), xx, plotB + 6);
+    }
+    ctx.stroke();
+    ctx.textAlign = 'left';
+    ctx.fillText(`${this.unit} por banda de 1/6 de octava`, 4, 2);
+
+    // curves: one vertex per band centre inside the axis
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(PAD.l, PAD.t, plotR - PAD.l, plotB - PAD.t);
+    ctx.clip();
+    const floorY = Y(lo - 10);
+    for (const c of this.curves) {
+      const pts = [];
+      this.centers.forEach((f, b) => {
+        if (f >= FREQ_LO / 1.2 && f <= this.fHi) pts.push([X(f), Number.isFinite(c.levels[b]) ? Y(c.levels[b]) : floorY]);
+      });
+      if (!pts.length) continue;
+      ctx.beginPath();
+      pts.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      if (c.fill) {
+        ctx.lineTo(pts[pts.length - 1][0], plotB);
+        ctx.lineTo(pts[0][0], plotB);
+        ctx.closePath();
+        ctx.fillStyle = c.color;
+        ctx.globalAlpha = 0.25;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+      } else {
+        ctx.strokeStyle = c.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+
+    // legend
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    let lx = plotR;
+    for (const c of [...this.curves].reverse()) {
+      ctx.fillStyle = c.color;
+      ctx.fillText(c.label, lx, 2);
+      lx -= ctx.measureText(c.label).width + 16;
+    }
+
+    // hover readout: band under the pointer, value of every curve
+    if (this.hover !== null && this.hover >= PAD.l && this.hover <= plotR) {
+      const b = nearestBand(this.centers, F(this.hover));
+      const text = `${fmtFreq(this.centers[b])} Hz · ` + this.curves.map(c => `${c.label} ${fmtValue(c.levels[b])}`).join(' · ');
+      const xx = X(this.centers[b]);
+      ctx.strokeStyle = muted;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(xx, PAD.t);
+      ctx.lineTo(xx, plotB);
+      ctx.stroke();
+      const tw = ctx.measureText(text).width + 12;
+      const bx = Math.min(plotR - tw, Math.max(PAD.l, xx + 8));
+      ctx.fillStyle = cssVar('--card', '#171a21');
+      ctx.fillRect(bx, PAD.t + 2, tw, 20);
+      ctx.fillStyle = cssVar('--fg', '#e6e7ea');
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, bx + 6, PAD.t + 12);
+    }
+  }
+}
+
+const STEREO_SPLIT = 0.6;   // share of the plot height for the loudness pane
+const STEREO_GAP = 14;      // px between the loudness and the correlation panes
+
+export class StereoChart {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} [opts]
+   * @param {(t: number) => void} [opts.onPick]  click: time under the pointer
+   */
+  constructor(canvas, opts = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.onPick = opts.onPick || null;
+    this.timesS = [];
+    this.timesM = [];
+    this.series = null;      // { lufsL, lufsR, lufsMid, lufsSide } on timesS, { corr } on timesM
+    this.view = [0, 1];      // time window, shared with the loudness charts
+    this.cursorT = NaN;
+    this.hover = null;       // canvas x of the pointer
+    canvas.addEventListener('pointermove', (ev) => {
+      const rect = canvas.getBoundingClientRect();
+      this.hover = (ev.clientX - rect.left) * canvas.width / rect.width;
+      this.draw();
+    });
+    canvas.addEventListener('pointerleave', () => {
+      this.hover = null;
+      this.draw();
+    });
+    canvas.addEventListener('click', (ev) => {
+      if (!this.series || !this.onPick) return;
+      const rect = canvas.getBoundingClientRect();
+      const x = (ev.clientX - rect.left) * canvas.width / rect.width;
+      if (x >= PAD.l && x <= canvas.width - PAD.r) this.onPick(this.scales().T(x));
+    });
+  }
+
+  /**
+   * @param {number[]} timesS  S block centres
+   * @param {number[]} timesM  M block centres
+   * @param {object|null} series  stereo.series of an engine result
+   */
+  setData(timesS, timesM, series) {
+    this.timesS = timesS || [];
+    this.timesM = timesM || [];
+    this.series = series;
+  }
+
+  setView(t0, t1) {
+    this.view = [t0, t1];
+  }
+
+  setCursor(t) {
+    this.cursorT = t;
+  }
+
+  lines() {
+    const s = this.series;
+    return [
+      { label: 'L', color: cssVar('--accent', '#5aa9e6'), values: s.lufsL },
+      { label: 'R', color: cssVar('--warn', '#ffcf5c'), values: s.lufsR },
+      { label: 'Mid', color: cssVar('--fg', '#e6e7ea'), values: s.lufsMid },
+      { label: 'Side', color: cssVar('--err', '#ff6b6b'), values: s.lufsSide },
+    ];
+  }
+
+  // loudness pane: the visible peak rounded up to 5 LU, 40 LU deep
+  range(t0, t1) {
+    const i0 = lowerBound(this.timesS, t0), i1 = lowerBound(this.timesS, t1);
+    let hi = -Infinity;
+    for (const { values } of this.lines()) {
+      for (let i = i0; i < i1; i++) if (values[i] > hi) hi = values[i];
+    }
+    if (!Number.isFinite(hi)) hi = -20;
+    hi = Math.ceil((hi + 1) / 5) * 5;
+    return [hi - 40, hi];
+  }
+
+  scales() {
+    const W = this.canvas.width, H = this.canvas.height;
+    const [t0, t1] = this.view;
+    const plotB = H - PAD.b;
+    const splitY = PAD.t + (plotB - PAD.t) * STEREO_SPLIT;
+    return {
+      W, H, t0, t1, plotB, splitY, corrTop: splitY + STEREO_GAP,
+      X: t => PAD.l + ((t - t0) / (t1 - t0)) * (W - PAD.l - PAD.r),
+      T: x => t0 + ((x - PAD.l) / (W - PAD.l - PAD.r)) * (t1 - t0),
+    };
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const s = this.scales();
+    const { W, H, t0, t1, X, plotB, splitY, corrTop } = s;
+    const muted = cssVar('--muted', '#aaa');
+    ctx.clearRect(0, 0, W, H);
+    ctx.fillStyle = 'rgba(255,255,255,0.03)';
+    ctx.fillRect(0, 0, W, H);
+    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    if (!this.series || !this.timesS.length) {
+      ctx.fillStyle = '#888';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Sin datos', PAD.l, H / 2);
+      return;
+    }
+    const plotR = W - PAD.r;
+    const [lo, hi] = this.range(t0, t1);
+    const Y = v => PAD.t + (1 - (v - lo) / (hi - lo)) * (splitY - PAD.t);
+    const C = v => corrTop + (1 - (v + 1) / 2) * (plotB - corrTop);
+
+    // grids: LUFS every 10 LU, correlation at −1, 0, +1
+    ctx.strokeStyle = 'rgba(128,128,128,0.2)';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = muted;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.beginPath();
+    for (let v = hi; v >= lo; v -= 10) {
+      const yy = Math.round(Y(v)) + 0.5;
+      ctx.moveTo(PAD.l, yy);
+      ctx.lineTo(plotR, yy);
+      ctx.fillText(String(v), PAD.l - 6, yy);
+    }
+    for (const [v, label] of [[1, '+1'], [0, '0'], [-1, '−1']]) {
+      const yy = Math.round(C(v)) + 0.5;
+      ctx.moveTo(PAD.l, yy);
+      ctx.lineTo(plotR, yy);
+      ctx.fillText(label, PAD.l - 6, yy);
+    }
+    ctx.stroke();
+    drawTimeTicks(ctx, X, t0, t1, plotR, plotB);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText('LUFS-S', 4, 2);
+    ctx.fillText('Corr.', 4, corrTop - 14);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(PAD.l, PAD.t, plotR - PAD.l, splitY - PAD.t);
+    ctx.clip();
+    ctx.lineWidth = 1.5;
+    for (const line of this.lines()) {
+      ctx.strokeStyle = line.color;
+      traceSeries(ctx, this.timesS, line.values, t0, t1, X, v => Y(Number.isFinite(v) ? v : lo - 10), plotR - PAD.l);
+    }
+    ctx.restore();
+
+    // correlation: one bar per pixel column from 0 to the column's lowest and highest block,
+    // green above zero and red below
+    const corr = this.series.corr;
+    const i0 = lowerBound(this.timesM, t0), i1 = lowerBound(this.timesM, t1);
+    const cols = new Map();
+    for (let i = i0; i < i1; i++) {
+      const v = corr[i];
+      if (!Number.isFinite(v)) continue;
+      const c = Math.round(X(this.timesM[i]));
+      const m = cols.get(c);
+      if (m) { m.min = Math.min(m.min, v); m.max = Math.max(m.max, v); } else cols.set(c, { min: v, max: v });
+    }
+    const barW = Math.max(1, Math.ceil((plotR - PAD.l) / Math.max(1, i1 - i0)));
+    const y0 = C(0);
+    for (const [sign, color] of [[1, cssVar('--ok', '#39d98a')], [-1, cssVar('--err', '#ff6b6b')]]) {
+      ctx.fillStyle = color;
+      for (const [c, m] of cols) {
+        const v = sign > 0 ? m.max : m.min;
+        if (v * sign <= 0) continue;
+        ctx.fillRect(c - barW / 2, Math.min(y0, C(v)), barW, Math.abs(C(v) - y0));
+      }
+    }
+
+    // playhead
+    if (Number.isFinite(this.cursorT)) {
+      const xx = X(this.cursorT);
+      ctx.strokeStyle = cssVar('--warn', '#ffcf5c');
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(xx, PAD.t);
+      ctx.lineTo(xx, plotB);
+      ctx.stroke();
+    }
+
+    // legend
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    let lx = plotR;
+    for (const line of [...this.lines()].reverse()) {
+      ctx.fillStyle = line.color;
+      ctx.fillText(line.label, lx, 2);
+      lx -= ctx.measureText(line.label).width + 16;
+    }
+
+    // hover readout: S values and the correlation of the nearest blocks
+    if (this.hover !== null && this.hover >= PAD.l && this.hover <= plotR) {
+      const t = s.T(this.hover);
+      const nearest = (times) => {
+        let i = lowerBound(times, t);
+        if (i >= times.length || (i > 0 && t - times[i - 1] < times[i] - t)) i--;
+        return i;
+      };
+      const iS = nearest(this.timesS), iM = nearest(this.timesM);
+      const c = iM >= 0 ? corr[iM] : NaN;
+      const text = `${fmtAxisTime(t, 0.1)} · ` + this.lines().map(l => `${l.label} ${fmtValue(l.values[iS])}`).join(' · ')
+        + ` LUFS · corr ${Number.isFinite(c) ? c.toFixed(2) : '—'}`;
+      ctx.strokeStyle = muted;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(this.hover, PAD.t);
+      ctx.lineTo(this.hover, plotB);
+      ctx.stroke();
+      const tw = ctx.measureText(text).width + 12;
+      const bx = Math.min(plotR - tw, Math.max(PAD.l, this.hover + 8));
+      ctx.fillStyle = cssVar('--card', '#171a21');
+      ctx.fillRect(bx, PAD.t + 2, tw, 20);
+      ctx.fillStyle = cssVar('--fg', '#e6e7ea');
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, bx + 6, PAD.t + 12);
+    }
+  }
+}
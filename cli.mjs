@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Command-line loudness meter: the engine of the web app for WAV / BWF / RF64 / AIFF files, read
+ * block by block so file size does not matter.
+ *
+ * Needs Node 20.19+ or 22.7+: the shared modules (engine.js, wav.js …) are plain .js files with no
+ * package.json to mark them as ES modules, so Node must detect their module syntax on its own.
+ * Older versions load them as CommonJS and stop at the first named import.
+ *
+ *   node cli.mjs [opciones] archivo.wav …
+ *
+ * Prints the metrics as text (default) or JSON (same report as the web export). With --profile
+ * every file is checked against a delivery spec; loudness already stored in a BWF bext chunk is
+ * compared with the measurement.
+ * Exit code: 0 ok, 1 some file does not meet the profile, 2 usage or read error.
+ */
+
+import { openAsBlob } from 'node:fs';
+import { readFile, stat, writeFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { measurePcm, metricsOf, measurementSettings } from './engine.js';
+import { readPcmInfo, readBext, pcmFormatLabel } from './wav.js';
+import { CHANNEL_LAYOUTS, resolveLayout } from './layouts.js';
+import { PROFILES, checkCompliance } from './profiles.js';
+import { buildReport, reportToJSON, bextRows } from './report.js';
+
+const USAGE = `Uso: node cli.mjs [opciones] archivo.wav …
+
+  -p, --profile <clave|perfil.json>  comprobar contra un perfil de entrega
+                                     (${Object.keys(PROFILES).join(', ')})
+      --strict                       un aviso también cuenta como incumplimiento
+  -l, --layout <clave>               layout de canales: auto, ${Object.keys(CHANNEL_LAYOUTS).join(', ')}
+      --ceiling <dBTP>               techo para el registro de overs (por defecto −1)
+      --json                         informe JSON por la salida estándar
+  -o, --out <carpeta>                escribir <archivo>_loudness.json en la carpeta
+      --summary                      JSON sin las series M / S
+  -h, --help                         esta ayuda
+
+Código de salida: 0 correcto, 1 algún archivo no cumple el perfil, 2 error de uso o lectura.
+Requiere Node 20.19+ o 22.7+.`;
+
+const VERDICT_TEXT = { pass: 'Cumple', warn: 'Aviso', fail: 'No cumple' };
+const CHECK_LABELS = {
+  lufsI: 'Integrated', lufsD: 'Dialogue', dbtp: 'True Peak', lufsSmax: 'Max Short-term', lufsMmax: 'Max Momentary', lra: 'LRA',
+  monoDrop: 'Mono fold-down',
+};
+
+// --out file of an input: <name without extension>_loudness.json
+function outName(path) {
+  return basename(path).replace(/\.[^.]+$/, '') + '_loudness.json';
+}
+
+function fmt1(x) {
+  return Number.isFinite(x) ? (Math.round(x * 10) / 10).toFixed(1) : '−∞';
+}
+
+// mono fold-down loss: +∞ when the fold-down cancels out
+function fmtDrop(x) {
+  return x === Number.POSITIVE_INFINITY ? '∞' : fmt1(x);
+}
+
+function fmtClock(seconds) {
+  const s = Math.max(0, seconds);
+  const hh = Math.floor(s / 3600);
+  const mm = Math.floor((s % 3600) / 60);
+  const ss = (s % 60).toFixed(3).padStart(6, '0');
+  return `${hh ? hh + ':' : ''}${String(mm).padStart(2, '0')}:${ss}`;
+}
+
+async function loadProfile(arg) {
+  if (PROFILES[arg]) return PROFILES[arg];
+  if (/\.json$/i.test(arg)) {
+    const profile = JSON.parse(await readFile(arg, 'utf8'));
+    return { label: basename(arg, '.json'), ...profile };
+  }
+  throw new Error(`Perfil desconocido: ${arg}`);
+}
+
+/** Measures one file; returns the report built the same way as the web export. */
+async function analyze(path, opts) {
+  const blob = await openAsBlob(path);
+  const info = await readPcmInfo(blob);
+  const layout = resolveLayout(info.channels, opts.layout);
+  if (layout.mismatch) console.error(`${path}: el layout ${opts.layout} no tiene ${info.channels} canales; usando ${layout.label}`);
+  const result = await measurePcm((start, end) => blob.slice(start, end).arrayBuffer(), info, {
+    weights: layout.weights,
+    tpCeilingDb: opts.ceiling,
+  });
+  result.layout = layout;
+  const meta = {
+    name: basename(path),
+    size: blob.size,
+    lastModified: Math.round((await stat(path)).mtimeMs),
+    duration: info.frames / info.sampleRate,
+    sampleRate: info.sampleRate,
+    channels: info.channels,
+    format: pcmFormatLabel(info),
+    bext: info.container === 'AIFF' || info.container === 'AIFC' ? null : await readBext(blob, info),
+  };
+  const compliance = opts.profile ? { profile: opts.profile.label, ...checkCompliance(metricsOf(result), opts.profile) } : null;
+  return buildReport(result, meta, measurementSettings(layout, result.tpOversampling, result.tpCeilingDb), compliance);
+}
+
+function printText(report) {
+  const f = report.file, m = report.metrics;
+  const lines = [
+    `${f.name} · ${f.format} · ${f.sampleRate} Hz · ${f.channels} ch (${report.settings.layout.label}) · ${fmtClock(f.duration)}`,
+    `  Integrated      ${fmt1(m.lufsI).padStart(6)} LUFS`,
+    `  Dialogue        ${fmt1(m.lufsD).padStart(6)} LUFS (voz ${Math.round(m.speechPct)} %)`,
+    `  LRA             ${fmt1(m.lra).padStart(6)} LU`,
+    `  True Peak       ${fmt1(m.dbtp).padStart(6)} dBTP`,
+    `  Max Momentary   ${fmt1(m.lufsMmax).padStart(6)} LUFS`,
+    `  Max Short-term  ${fmt1(m.lufsSmax).padStart(6)} LUFS`,
+    `  PLR             ${fmt1(m.plr).padStart(6)} LU`,
+    `  Overs           ${String(report.overs.count).padStart(6)} (techo ${report.overs.ceilingDb} dBTP)`,
+  ];
+  if (f.bext) {
+    const rows = bextRows(f.bext, m);
+    lines.push(`  bext v${f.bext.version}${rows.length ? '' : ': sin campos de loudness'}`);
+    for (const b of rows) {
+      const delta = Number.isFinite(b.delta) ? `Δ ${fmt1(b.delta)}` : 'Δ —';
+      lines.push(`    ${b.field.padEnd(21)} ${fmt1(b.stored).padStart(6)} (medido ${fmt1(b.measured)}, ${delta}${b.mismatch ? ', no coincide' : ''})`);
+    }
+  }
+  const st = report.stereo;
+  if (st) {
+    const corr = Number.isFinite(st.corr) ? st.corr.toFixed(2) : '—';
+    lines.push(`  Estéreo         corr ${corr} · balance L−R ${fmt1(st.balance)} LU · mono ${fmt1(st.lufsMono)} LUFS (pérdida ${fmtDrop(st.monoDrop)} LU)`);
+  }
+  const comp = report.compliance;
+  if (comp?.verdict) {
+    lines.push(`  ${comp.profile}: ${VERDICT_TEXT[comp.verdict]}`);
+    for (const c of comp.checks) {
+      if (c.status !== 'pass') lines.push(`    ${VERDICT_TEXT[c.status]}: ${CHECK_LABELS[c.metric]} ${c.metric === 'monoDrop' ? fmtDrop(c.value) : fmt1(c.value)} (${c.limit})`);
+    }
+  }
+  console.log(lines.join('\n'));
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        profile: { type: 'string', short: 'p' },
+        strict: { type: 'boolean' },
+        layout: { type: 'string', short: 'l', default: 'auto' },
+        ceiling: { type: 'string', default: '-1' },
+        json: { type: 'boolean' },
+        out: { type: 'string', short: 'o' },
+        summary: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    console.error(err.message + '\n\n' + USAGE);
+    return 2;
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const ceiling = Number(values.ceiling);
+  if (!positionals.length || !Number.isFinite(ceiling) || (values.layout !== 'auto' && !CHANNEL_LAYOUTS[values.layout])) {
+    console.error(USAGE);
+    return 2;
+  }
+  let profile = null;
+  try {
+    if (values.profile) profile = await loadProfile(values.profile);
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+  if (values.out && !(await stat(values.out).then(s => s.isDirectory(), () => false))) {
+    console.error(`--out: ${values.out} no es una carpeta\n\n${USAGE}`);
+    return 2;
+  }
+  if (values.out) {
+    // inputs that would write the same report (same name in other folders); compared without
+    // case, as on case-insensitive file systems
+    const seen = new Map();
+    for (const path of positionals) {
+      const key = outName(path).toLowerCase();
+      if (seen.has(key)) {
+        console.error(`--out: ${seen.get(key)} y ${path} escribirían el mismo ${outName(path)}`);
+        return 2;
+      }
+      seen.set(key, path);
+    }
+  }
+
+  let code = 0;
+  const reports = [];
+  for (const path of positionals) {
+    let report;
+    try {
+      report = await analyze(path, { layout: values.layout, ceiling, profile });
+      if (values.summary) delete report.series;
+      if (values.out) await writeFile(join(values.out, outName(path)), reportToJSON(report));
+    } catch (err) {
+      console.error(`${path}: ${err.message}`);
+      code = 2;
+      continue;
+    }
+    const verdict = report.compliance?.verdict;
+    if (code < 2 && (verdict === 'fail' || (values.strict && verdict === 'warn'))) code = 1;
+    if (values.json) reports.push(report);
+    else printText(report);
+  }
+  if (values.json) console.log(reportToJSON(reports.length === 1 ? reports[0] : reports));
+  return code;
+}
+
+process.exitCode = await main();
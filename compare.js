@@ -0,0 +1,89 @@
+/**
+ * A/B comparison of two measurements (a new master against the previous one, or against a
+ * reference track)
+ * - Time alignment: the lag of B that best matches the two momentary loudness curves (Pearson
+ *   correlation of the M series over their overlap), in whole hops
+ * - Side-by-side metrics with deltas B − A
+ * - Gains for loudness-matched listening: the louder file is turned down to the quieter one
+ *
+ * Works on results of the engine (or anything with the same series and metric fields).
+ * Self-contained, no module state.
+ */
+
+const FLOOR_LUFS = -70;        // silent blocks count as this in the alignment (absolute gate)
+const MIN_OVERLAP = 0.5;       // share of the shorter series that must overlap at any lag
+
+/** Metrics of the side-by-side table: [key, label, unit]. */
+export const COMPARE_METRICS = [
+  ['lufsI', 'Integrated', 'LUFS'],
+  ['lra', 'LRA', 'LU'],
+  ['dbtp', 'True Peak', 'dBTP'],
+  ['plr', 'PLR', 'LU'],
+  ['dr', 'DR≈', 'LU'],
+];
+
+/**
+ * Offset to add to B's times so that its loudness curve lines up with A's.
+ * @param {ArrayLike<number>} a  momentary loudness of A, one value per hop
+ * @param {ArrayLike<number>} b  momentary loudness of B, same hop
+ * @param {number} hopSec
+ * @param {number} [maxLagSec]  search range, both directions
+ * @returns {{ offset: number, score: number }}  offset in seconds (a multiple of hopSec) and the
+ *   correlation there; offset 0 and score NaN when the curves are flat or too short
+ */
+export function alignOffset(a, b, hopSec, maxLagSec = 30) {
+  const x = Float64Array.from(a, v => (v > FLOOR_LUFS ? v : FLOOR_LUFS));
+  const y = Float64Array.from(b, v => (v > FLOOR_LUFS ? v : FLOOR_LUFS));
+  const minOverlap = Math.max(2, Math.ceil(MIN_OVERLAP * Math.min(x.length, y.length)));
+  const maxLag = Math.round(maxLagSec / hopSec);
+  let best = { offset: 0, score: Number.NaN }, bestK = 0;
+  // lag k: A's block i meets B's block i − k
+  for (let k = -maxLag; k <= maxLag; k++) {
+    const i0 = Math.max(0, k), i1 = Math.min(x.length, y.length + k);
+    const n = i1 - i0;
+    if (n < minOverlap) continue;
+    let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+    for (let i = i0; i < i1; i++) {
+      const u = x[i], v = y[i - k];
+      sx += u; sy += v;
+      sxx += u * u; syy += v * v; sxy += u * v;
+    }
+    const vx = sxx - sx * sx / n, vy = syy - sy * sy / n;
+    if (!(vx > 1e-9 && vy > 1e-9)) continue;
+    const r = (sxy - sx * sy / n) / Math.sqrt(vx * vy);
+    // ties go to the smallest shift
+    if (Number.isNaN(best.score) || r > best.score || (r === best.score && Math.abs(k) < Math.abs(bestK))) {
+      best = { offset: k * hopSec, score: r };
+      bestK = k;
+    }
+  }
+  return best;
+}
+
+/**
+ * Rows of the side-by-side table.
+ * @param {object} a  metrics of A (metricsOf() or a result)
+ * @param {object} b  metrics of B
+ * @returns {{ key: string, label: string, unit: string, a: number, b: number, delta: number }[]}
+ *   delta = B − A (NaN when either side is not finite)
+ */
+export function compareMetrics(a, b) {
+  return COMPARE_METRICS.map(([key, label, unit]) => {
+    const va = a?.[key], vb = b?.[key];
+    const delta = Number.isFinite(va) && Number.isFinite(vb) ? vb - va : Number.NaN;
+    return { key, label, unit, a: va, b: vb, delta };
+  });
+}
+
+/**
+ * Playback gains (dB, never above 0) that bring A and B to the same integrated loudness by
+ * turning the louder one down; 0 for both when either loudness is not finite.
+ * @param {number} lufsA
+ * @param {number} lufsB
+ * @returns {{ a: number, b: number }}
+ */
+export function matchedGains(lufsA, lufsB) {
+  if (!Number.isFinite(lufsA) || !Number.isFinite(lufsB)) return { a: 0, b: 0 };
+  const quiet = Math.min(lufsA, lufsB);
+  return { a: quiet - lufsA, b: quiet - lufsB };
+}
@@ -0,0 +1,76 @@
+/**
+ * Live input selection and routing
+ * - Audio input list (enumerateDevices), labels once permission has been granted
+ * - Per-device preferences in localStorage: calibration trim (dB), last seen channel count and
+ *   a channel map per layout
+ * - Router: MediaStreamSource → ChannelSplitter → ChannelMerger (channel map) → trim gain
+ */
+
+const STORAGE_KEY = 'loudness.inputs';
+
+/** Audio inputs as { id, label }; 'default' stands for the browser's default device. */
+export async function listInputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const all = await navigator.mediaDevices.enumerateDevices();
+  return all
+    .filter(d => d.kind === 'audioinput')
+    .map((d, i) => ({ id: d.deviceId, label: d.label || `Entrada ${i + 1}` }));
+}
+
+function loadAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/** @returns {{ trimDb: number, channels: number, maps: Object<string, number[]> }} */
+export function loadInputPrefs(deviceId) {
+  const p = loadAll()[deviceId || 'default'] || {};
+  return { trimDb: p.trimDb ?? 0, channels: p.channels ?? 2, maps: p.maps ?? {} };
+}
+
+export function saveInputPrefs(deviceId, prefs) {
+  const all = loadAll();
+  all[deviceId || 'default'] = prefs;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+/**
+ * Default map: layout channel c ← input c (mono takes input 1). −1 leaves a channel silent.
+ * @param {number} nOut  layout channels
+ * @param {number} nIn   device channels
+ */
+export function defaultChannelMap(nOut, nIn) {
+  return Array.from({ length: nOut }, (_, c) => (c < nIn ? c : -1));
+}
+
+/**
+ * Routing graph from a multichannel source to the metered layout.
+ * @param {BaseAudioContext} ctx
+ * @param {AudioNode} source
+ * @param {number} nIn   source channels
+ * @param {number} nOut  layout channels
+ * @returns {{ output: AudioNode, nodes: AudioNode[], setMap(map: number[]): void, setTrim(db: number): void }}
+ */
+export function createInputRouter(ctx, source, nIn, nOut) {
+  const splitter = ctx.createChannelSplitter(nIn);
+  const merger = ctx.createChannelMerger(nOut);
+  const trim = ctx.createGain();
+  source.connect(splitter);
+  merger.connect(trim);
+  return {
+    output: trim,
+    nodes: [splitter, merger, trim],
+    setMap(map) {
+      splitter.disconnect();
+      map.forEach((inIdx, c) => {
+        if (inIdx >= 0 && inIdx < nIn && c < nOut) splitter.connect(merger, inIdx, c);
+      });
+    },
+    setTrim(db) {
+      trim.gain.value = Math.pow(10, (Number.isFinite(db) ? db : 0) / 20);
+    },
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Analysis worker (module worker around engine.js)
+ * Messages: { type, id, payload } → { id, ok, result } | { id, ok: false, error, cancelled? },
+ * plus { id, progress } while a signal is measured. Sample buffers come in and go out as
+ * transferables, and so does the spectrogram of a measurement.
+ *
+ *   compute    { channels, sampleRate, ...measurement options }
+ *   stream     { file, info, ...measurement options }  (file: Blob, info: readPcmInfo())
+ *   album      { lufsM, lufsS }
+ *   normalize  { channels, sampleRate, gainDb, ceilingDb }
+ *   cancel     { id } of a running compute or stream job
+ */
+
+import { measureChannelsAsync, measurePcm, albumLoudness, normalize } from './engine.js';
+import { truePeakPhases } from './truepeak.js';
+
+const running = new Set();   // ids of the jobs in progress
+const cancelled = new Set(); // ids of running jobs asked to stop; a cancel for any other is dropped
+
+async function run(type, id, payload) {
+  const hooks = {
+    onProgress: progress => postMessage({ id, progress }),
+    isCancelled: () => cancelled.has(id),
+  };
+  if (type === 'compute') {
+    const result = await measureChannelsAsync(payload.channels, payload.sampleRate, payload, hooks);
+    return { result, transfer: result ? [result.spectrum.power.buffer] : [] };
+  }
+  if (type === 'stream') {
+    const { file, info } = payload;
+    const result = await measurePcm((start, end) => file.slice(start, end).arrayBuffer(), info, payload, hooks);
+    return { result, transfer: result ? [result.spectrum.power.buffer] : [] };
+  }
+  if (type === 'album') {
+    return { result: albumLoudness(payload.lufsM, payload.lufsS) };
+  }
+  if (type === 'normalize') {
+    const { channels, sampleRate, gainDb, ceilingDb } = payload;
+    const result = normalize(channels, sampleRate, gainDb, ceilingDb, truePeakPhases(sampleRate));
+    return { result, transfer: result.channels.map(x => x.buffer) };
+  }
+  throw new Error('Tipo de trabajo desconocido: ' + type);
+}
+
+self.onmessage = async (ev) => {
+  const { type, payload, id } = ev.data || {};
+  if (type === 'cancel') {
+    if (running.has(payload.id)) cancelled.add(payload.id);
+    return;
+  }
+  running.add(id);
+  try {
+    const { result, transfer = [] } = await run(type, id, payload);
+    if (result) postMessage({ id, ok: true, result }, transfer);
+    else postMessage({ id, ok: false, cancelled: true, error: 'Cancelado' });
+  } catch (e) {
+    postMessage({ id, ok: false, error: e?.message || String(e) });
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};
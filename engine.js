@@ -0,0 +1,543 @@
+/**
+ * Measurement engine (ITU-R BS.1770-4 / EBU R128), free of DOM and Web Audio
+ * - K-weighting as biquads, M / S block series, gating (I), LRA, DR and true peak
+ * - Dialogue-gated integrated loudness over the M blocks the speech detector flags (speech.js)
+ * - Spectrogram: 1/6-octave band powers per hop (spectrum.js)
+ * - Stereo image of the front L / R pair: per-channel, mid and side series, phase correlation per
+ *   M block, balance and the loudness lost in a mono fold-down
+ * - measureChannels: whole signal in memory (measureChannelsAsync: the same, cancellable);
+ *   measurePcm: PCM container read chunk by chunk
+ * - Normalization: gain + true-peak look-ahead limiter
+ *
+ * Runs in engine-worker.js and in Node (cli.mjs). Sample buffers are processed in place:
+ * callers hand over their own copies (transferred, never cloned).
+ */
+
+import { kWeightingCoefs } from './kweighting.js';
+import { TruePeakMeter, truePeakPhases } from './truepeak.js';
+import { LoudnessHistogram } from './histogram.js';
+import { createSpeechDetector, speechSegments } from './speech.js';
+import { createSpectrumAnalyzer } from './spectrum.js';
+import { decodePcm } from './wav.js';
+
+export const K_OFFSET_DB = -0.691; // ITU-R BS.1770 reference offset for LKFS/LUFS
+export const M_WINDOW_SEC = 0.400;
+export const S_WINDOW_SEC = 3.000;
+export const DEFAULT_HOP_SEC = 0.100;
+
+export function lufsFromMS(ms) {
+  if (ms <= 0) return Number.NEGATIVE_INFINITY;
+  return 10 * Math.log10(ms) + K_OFFSET_DB;
+}
+export function msFromLUFS(lufs) {
+  return Math.pow(10, (lufs - K_OFFSET_DB) / 10);
+}
+function maxWithIndex(arr) {
+  if (!arr.length) return { max: -Infinity, idx: -1 };
+  let m = arr[0], i = 0;
+  for (let k = 1; k < arr.length; k++) { if (arr[k] > m) { m = arr[k]; i = k; } }
+  return { max: m, idx: i };
+}
+function percentile(sortedArr, p) {
+  if (!sortedArr.length) return NaN;
+  if (p <= 0) return sortedArr[0];
+  if (p >= 100) return sortedArr[sortedArr.length - 1];
+  const pos = (p / 100) * (sortedArr.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  const frac = pos - lo;
+  return sortedArr[lo] + (sortedArr[hi] - sortedArr[lo]) * frac;
+}
+// Integrated gating (abs −70, then rel −10 LU): a block counts only if it passes both gates
+export function integratedLUFSFromS(msBlocks, lufsBlocks) {
+  if (!msBlocks.length) return { lufsI: Number.NEGATIVE_INFINITY, count: 0, gateRel: Number.NEGATIVE_INFINITY };
+  const ABS_GATE = -70;
+  const keptAbs = [];
+  for (let i = 0; i < lufsBlocks.length; i++) {
+    if (lufsBlocks[i] > ABS_GATE) keptAbs.push(msBlocks[i]);
+  }
+  if (!keptAbs.length) return { lufsI: Number.NEGATIVE_INFINITY, count: 0, gateRel: Number.NEGATIVE_INFINITY };
+  const meanAbs = keptAbs.reduce((a,b)=>a+b,0) / keptAbs.length;
+  const prelim = 10 * Math.log10(meanAbs) + K_OFFSET_DB;
+  const relGate = prelim - 10;
+  const keptRel = [];
+  for (let i = 0; i < lufsBlocks.length; i++) {
+    if (lufsBlocks[i] > ABS_GATE && lufsBlocks[i] >= relGate) keptRel.push(msBlocks[i]);
+  }
+  if (!keptRel.length) {
+    return { lufsI: prelim, count: keptAbs.length, gateRel: relGate };
+  }
+  const meanRel = keptRel.reduce((a,b)=>a+b,0) / keptRel.length;
+  const result = 10 * Math.log10(meanRel) + K_OFFSET_DB;
+  return { lufsI: result, count: keptRel.length, gateRel: relGate };
+}
+
+// LRA (EBU Tech 3342): P10..P95 of the S blocks above the absolute gate (−70 LUFS) and a
+// relative gate 20 LU below their mean power
+export function computeLRA(lufsS) {
+  const abs = lufsS.filter(v => v > -70);
+  if (!abs.length) return { lra: 0, p10: NaN, p95: NaN, thr: Number.NEGATIVE_INFINITY };
+  const thr = lufsFromMS(abs.reduce((a, v) => a + msFromLUFS(v), 0) / abs.length) - 20;
+  const sorted = abs.filter(v => v >= thr).sort((a, b) => a - b);
+  const p10 = percentile(sorted, 10);
+  const p95 = percentile(sorted, 95);
+  return { lra: p95 - p10, p10, p95, thr };
+}
+
+// DR approx: P95 - P5 over all S
+export function computeDR(lufsS) {
+  const arr = lufsS.filter(isFinite).slice().sort((a,b)=>a-b);
+  if (!arr.length) return { dr: 0, p5: NaN, p95: NaN };
+  const p5 = percentile(arr, 5);
+  const p95 = percentile(arr, 95);
+  return { dr: p95 - p5, p5, p95 };
+}
+
+// True Peak (BS.1770-4 Annex 2 polyphase FIR) on the un-weighted signal.
+// Returns overall and per-channel dBTP plus the overs above ceilingDb
+export function truePeak(channels, sampleRate, phases, ceilingDb) {
+  const tp = new TruePeakMeter(channels.length, phases, sampleRate, ceilingDb);
+  for (let c = 0; c < channels.length; c++) tp.processChannel(c, channels[c]);
+  tp.flush();
+  return truePeakSummary(tp);
+}
+
+function truePeakSummary(tp) {
+  return {
+    peak: tp.peak,
+    dbtp: TruePeakMeter.toDb(tp.peak),
+    dbtpCh: Array.from(tp.peakCh, TruePeakMeter.toDb),
+    overs: tp.overEvents(),
+    overCount: tp.overCount,
+  };
+}
+
+// Per-sample true-peak envelope: max |interpolated| over channels and phases, written to
+// the two input samples each interpolated point falls between (FIR group delay compensated)
+function truePeakEnvelope(channels, phases) {
+  const N = channels[0].length;
+  const taps = phases[0].length;
+  const D = Math.floor((taps - 1) / 2);
+  const env = new Float32Array(N);
+  for (const x of channels) {
+    for (let n = 0; n < N + taps - 1; n++) {
+      const kMin = Math.max(0, n - N + 1), kMax = Math.min(taps - 1, n);
+      let m = 0;
+      for (const ph of phases) {
+        let y = 0;
+        for (let k = kMin; k <= kMax; k++) y += ph[k] * x[n - k];
+        if (y < 0) y = -y;
+        if (y > m) m = y;
+      }
+      const i0 = n - D - 1, i1 = n - D;
+      if (i0 >= 0 && i0 < N && m > env[i0]) env[i0] = m;
+      if (i1 >= 0 && i1 < N && m > env[i1]) env[i1] = m;
+    }
+  }
+  return env;
+}
+
+// Linked look-ahead limiter driven by the true-peak envelope (in place). Gain per sample:
+// required gain → min over the next L samples → L-sample moving average (a ramp that is
+// already down when the peak arrives) → exponential release. Returns the gain curve
+function limitTruePeak(channels, sampleRate, ceilingDb, phases, lookaheadSec = 0.002, releaseSec = 0.1) {
+  const N = channels[0].length;
+  const ceil = Math.pow(10, ceilingDb / 20);
+  const L = Math.max(1, Math.round(lookaheadSec * sampleRate));
+  const g = truePeakEnvelope(channels, phases);
+  for (let n = 0; n < N; n++) g[n] = g[n] > ceil ? ceil / g[n] : 1;
+
+  // h[n] = min(g[n .. n+L-1]) with a monotonic deque, scanning backwards
+  const h = new Float32Array(N);
+  const dq = new Int32Array(N);
+  let head = 0, tail = 0;
+  for (let n = N - 1; n >= 0; n--) {
+    while (tail > head && g[dq[tail - 1]] >= g[n]) tail--;
+    dq[tail++] = n;
+    while (dq[head] > n + L - 1) head++;
+    h[n] = g[dq[head]];
+  }
+
+  // moving average over h[n-L+1 .. n], then release. Before the start h(m) is the min of
+  // g[0 .. m+L-1] (prefix minimum), so a peak in the first L samples is still covered
+  const pre = new Float32Array(Math.min(L, N));
+  for (let k = 0; k < pre.length; k++) pre[k] = Math.min(g[k], k ? pre[k - 1] : 1);
+  const preAt = k => pre[Math.min(k, pre.length - 1)];
+  const rel = Math.exp(-1 / (releaseSec * sampleRate));
+  let sum = 0, prev = 1;
+  for (let m = -L + 1; m < 0; m++) sum += preAt(m + L - 1);
+  for (let n = 0; n < N; n++) {
+    sum += h[n];
+    const s = sum / L;
+    sum -= (n - L + 1 >= 0) ? h[n - L + 1] : preAt(n);
+    const r = Math.min(s, 1 - (1 - prev) * rel);
+    g[n] = r;
+    prev = r;
+  }
+  for (const x of channels) for (let n = 0; n < N; n++) x[n] *= g[n];
+  return g;
+}
+
+// Gain to target + true-peak limiting when the gain pushes peaks over the ceiling.
+// Re-checks the true peak after each pass and tightens the ceiling slightly if needed
+export function normalize(channels, sampleRate, gainDb, ceilingDb, phases) {
+  const gain = Math.pow(10, gainDb / 20);
+  for (const x of channels) for (let n = 0; n < x.length; n++) x[n] *= gain;
+  let tp = truePeak(channels, sampleRate, phases, Infinity).dbtp;
+  let minGain = null;
+  let ceil = ceilingDb;
+  for (let pass = 0; pass < 4 && tp > ceilingDb; pass++) {
+    const g = limitTruePeak(channels, sampleRate, ceil, phases);
+    if (!minGain) minGain = g;
+    else for (let n = 0; n < g.length; n++) minGain[n] *= g[n];
+    tp = truePeak(channels, sampleRate, phases, Infinity).dbtp;
+    ceil -= Math.max(0.05, tp - ceilingDb);
+  }
+  let gr = 0;
+  if (minGain) {
+    let m = 1;
+    for (let n = 0; n < minGain.length; n++) if (minGain[n] < m) m = minGain[n];
+    gr = -20 * Math.log10(m);
+  }
+  return { channels, limited: !!minGain, maxGrDb: gr, dbtp: tp };
+}
+
+/** K-weights whole channels in place. */
+export function kWeight(channels, sampleRate) {
+  const { pre, rlb } = kWeightingCoefs(sampleRate);
+  const kw = biquadCascade([pre, rlb], channels.length);
+  channels.forEach((x, c) => kw(c, x));
+  return channels;
+}
+
+// K-weighting as a biquad cascade with per-channel state, filtering in place
+export function biquadCascade(sections, nCh) {
+  const state = sections.map(() => Array.from({ length: nCh }, () => new Float64Array(4)));
+  return (c, x) => {
+    for (let k = 0; k < sections.length; k++) {
+      const b = sections[k].b, a = sections[k].a, st = state[k][c];
+      let x1 = st[0], x2 = st[1], y1 = st[2], y2 = st[3];
+      for (let n = 0; n < x.length; n++) {
+        const y = b[0] * x[n] + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+        x2 = x1; x1 = x[n]; y2 = y1; y1 = y;
+        x[n] = y;
+      }
+      st[0] = x1; st[1] = x2; st[2] = y1; st[3] = y2;
+    }
+  };
+}
+
+// Windowed mean squares for M / S: a block starts every hop and lasts win samples. Built from
+// running sums of squares fed chunk by chunk (push), so only the open blocks are kept.
+// weights: BS.1770 channel weights (0 = excluded, e.g. LFE). perChannel: also keep each channel's MS
+export function blockSeries(nCh, sampleRate, winSec, hopSec, weights, perChannel = false) {
+  const win = Math.max(1, Math.floor(winSec * sampleRate));
+  const hop = Math.max(1, Math.floor(hopSec * sampleRate));
+  const cum = new Float64Array(nCh);
+  const open = []; // { pos, cum } of blocks started but not complete
+  let pos = 0, nextStart = 0;
+  const out = { lufs: [], msBlocks: [], times: [], win, hop, msCh: perChannel ? Array.from({ length: nCh }, () => []) : null };
+  out.push = (chans, n) => {
+    let i = 0;
+    for (;;) {
+      const nextEnd = open.length ? open[0].pos + win : Infinity;
+      const m = Math.min(n - i, Math.min(nextStart, nextEnd) - pos);
+      for (let c = 0; c < nCh; c++) {
+        const x = chans[c];
+        let acc = 0;
+        for (let k = i; k < i + m; k++) acc += x[k] * x[k];
+        cum[c] += acc;
+      }
+      i += m;
+      pos += m;
+      if (pos === nextStart) {
+        open.push({ pos, cum: cum.slice() });
+        nextStart += hop;
+      }
+      if (open.length && pos === open[0].pos + win) {
+        const b = open.shift();
+        let sumMS = 0;
+        for (let c = 0; c < nCh; c++) {
+          const ms_c = (cum[c] - b.cum[c]) / win;
+          sumMS += weights[c] * ms_c;
+          if (out.msCh) out.msCh[c].push(ms_c);
+        }
+        out.msBlocks.push(sumMS);
+        out.lufs.push(lufsFromMS(sumMS));
+        out.times.push((b.pos + win * 0.5) / sampleRate);
+      }
+      if (i >= n) break;
+    }
+  };
+  return out;
+}
+
+/** Block series of whole (already K-weighted) channels; see blockSeries. */
+export function seriesLUFS(channels, sampleRate, winSec, hopSec, weights, perChannel = false) {
+  const out = blockSeries(channels.length, sampleRate, winSec, hopSec, weights, perChannel);
+  out.push(channels, channels[0].length);
+  return out;
+}
+
+/**
+ * Measurement options (all durations in seconds):
+ *   weights      BS.1770 channel weights (default 1 for every channel)
+ *   hopSec, mWindowSec, sWindowSec
+ *   tpCeilingDb  threshold of the true-peak overs log
+ */
+const MEASURE_DEFAULTS = { hopSec: DEFAULT_HOP_SEC, mWindowSec: M_WINDOW_SEC, sWindowSec: S_WINDOW_SEC, tpCeilingDb: -1 };
+
+// K-weighting, block series and true peak fed chunk by chunk; finish() returns the result
+function createMeasurement(nCh, sampleRate, options) {
+  const opts = { ...MEASURE_DEFAULTS, ...options };
+  const weights = opts.weights || new Array(nCh).fill(1.0);
+  const { pre, rlb } = kWeightingCoefs(sampleRate);
+  const kw = biquadCascade([pre, rlb], nCh);
+  const M = blockSeries(nCh, sampleRate, opts.mWindowSec, opts.hopSec, weights, true);
+  const S = blockSeries(nCh, sampleRate, opts.sWindowSec, opts.hopSec, weights, true);
+  const stereo = nCh >= 2 ? createStereoSeries(sampleRate, opts) : null;
+  const phases = truePeakPhases(sampleRate);
+  const tp = new TruePeakMeter(nCh, phases, sampleRate, opts.tpCeilingDb);
+  const speech = createSpeechDetector(nCh, sampleRate, weights);
+  const spectrum = createSpectrumAnalyzer(nCh, sampleRate, weights, opts.hopSec);
+  return {
+    // chans are K-weighted in place, after the true peak, the speech detector and the
+    // spectrum have seen them
+    push(chans, n) {
+      speech.push(chans, n);
+      spectrum.push(chans, n);
+      for (let c = 0; c < nCh; c++) {
+        tp.processChannel(c, chans[c]);
+        kw(c, chans[c]);
+      }
+      M.push(chans, n);
+      S.push(chans, n);
+      stereo?.push(chans[0], chans[1], n);
+    },
+    finish() {
+      tp.flush();
+      const r = finishMeasurement(M, S, truePeakSummary(tp), opts.tpCeilingDb, phases.length);
+      Object.assign(r, dialogueLoudness(M, speech.finish(opts.hopSec), opts.hopSec, opts.mWindowSec));
+      r.spectrum = spectrum.finish();
+      r.stereo = stereo ? stereoImage(M, S, stereo) : null;
+      return r;
+    },
+  };
+}
+
+/**
+ * Measures a signal held in memory. The channels are overwritten (K-weighted in place).
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {object} opts  measurement options
+ */
+export function measureChannels(channels, sampleRate, opts = {}) {
+  const m = createMeasurement(channels.length, sampleRate, opts);
+  m.push(channels, channels[0].length);
+  return m.finish();
+}
+
+/**
+ * measureChannels a chunk at a time, yielding to the event loop between chunks so that a worker
+ * still takes messages (a cancel) while it measures.
+ * @param {Float32Array[]} channels  overwritten, as in measureChannels
+ * @param {number} sampleRate
+ * @param {object} opts  measurement options
+ * @param {{ onProgress?: (fraction: number) => void, isCancelled?: () => boolean }} [hooks]
+ * @returns {Promise<object | null>}  null when cancelled
+ */
+export async function measureChannelsAsync(channels, sampleRate, opts = {}, hooks = {}) {
+  const m = createMeasurement(channels.length, sampleRate, opts);
+  const frames = channels[0].length;
+  const chunkFrames = 1 << 20;
+  for (let f = 0; f < frames; f += chunkFrames) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (hooks.isCancelled?.()) return null;
+    const n = Math.min(chunkFrames, frames - f);
+    m.push(channels.map(x => x.subarray(f, f + n)), n);
+    hooks.onProgress?.((f + n) / frames);
+  }
+  return m.finish();
+}
+
+/**
+ * Measures a PCM container without holding it in memory: ~8 MB of data per read.
+ * @param {(start: number, end: number) => Promise<ArrayBuffer>} read  byte range of the file
+ * @param {object} info  from readPcmInfo()
+ * @param {object} opts  measurement options
+ * @param {{ onProgress?: (fraction: number) => void, isCancelled?: () => boolean }} [hooks]
+ * @returns {Promise<object | null>}  null when cancelled
+ */
+export async function measurePcm(read, info, opts = {}, hooks = {}) {
+  const m = createMeasurement(info.channels, info.sampleRate, opts);
+  const chunkFrames = Math.max(1, Math.floor((8 << 20) / info.blockAlign));
+  for (let f = 0; f < info.frames; f += chunkFrames) {
+    if (hooks.isCancelled?.()) return null;
+    const n = Math.min(chunkFrames, info.frames - f);
+    const offset = info.dataOffset + f * info.blockAlign;
+    m.push(decodePcm(await read(offset, offset + n * info.blockAlign), info), n);
+    hooks.onProgress?.((f + n) / info.frames);
+  }
+  return m.finish();
+}
+
+/** Album loudness: the M / S blocks of every file gated together (not an average of I). */
+export function albumLoudness(lufsM, lufsS) {
+  const integ = integratedLUFSFromS(lufsM.map(msFromLUFS), lufsM);
+  const lraObj = computeLRA(lufsS);
+  return { lufsI: integ.lufsI, gateRel: integ.gateRel, lra: lraObj.lra };
+}
+
+// Dialogue-gated integrated loudness: the usual two gates over the M blocks lying entirely on
+// speech. speechPct is the share of the programme's duration classified as speech
+function dialogueLoudness(M, flags, hopSec, winSec) {
+  const ms = [], lufs = [];
+  const span = Math.round(winSec / hopSec);
+  for (let k = 0; k < M.times.length; k++) {
+    const h0 = Math.round((M.times[k] - winSec / 2) / hopSec);
+    let all = true;
+    for (let h = h0; h < h0 + span && all; h++) all = flags[h] === 1;
+    if (!all) continue;
+    ms.push(M.msBlocks[k]);
+    lufs.push(M.lufs[k]);
+  }
+  let n = 0;
+  for (const f of flags) n += f;
+  return {
+    lufsD: integratedLUFSFromS(ms, lufs).lufsI,
+    speechPct: flags.length ? (100 * n) / flags.length : 0,
+    speech: speechSegments(flags, hopSec),
+  };
+}
+
+// Mid (L + R) / 2 and side (L − R) / 2 of the K-weighted front pair (channels 0 and 1: L / R in
+// every layout) as M / S block series, computed a slice at a time so no full-length copies
+const STEREO_SLICE = 1 << 16;
+
+function createStereoSeries(sampleRate, opts) {
+  const M = blockSeries(2, sampleRate, opts.mWindowSec, opts.hopSec, [1, 1], true);
+  const S = blockSeries(2, sampleRate, opts.sWindowSec, opts.hopSec, [1, 1], true);
+  const mid = new Float32Array(STEREO_SLICE), side = new Float32Array(STEREO_SLICE);
+  return {
+    M, S,
+    push(l, r, n) {
+      for (let i = 0; i < n; i += STEREO_SLICE) {
+        const m = Math.min(STEREO_SLICE, n - i);
+        for (let k = 0; k < m; k++) {
+          mid[k] = 0.5 * (l[i + k] + r[i + k]);
+          side[k] = 0.5 * (l[i + k] - r[i + k]);
+        }
+        M.push([mid, side], m);
+        S.push([mid, side], m);
+      }
+    },
+  };
+}
+
+// Stereo diagnostics from the per-channel M / S blocks and the mid / side series. Mid and side are
+// counted on both loudspeakers (2 × ms), so their powers add up to L + R and the mid is what a
+// mono fold-down measures. Correlation of a block: mean(L·R) = ms(mid) − ms(side), over
+// √(ms L · ms R); undefined (NaN) where either channel is below −70 LUFS. The summary values are
+// taken over the blocks the pair's own integrated gating keeps
+function stereoImage(M, S, ms) {
+  const [mL, mR] = M.msCh, [mMid, mSide] = ms.M.msCh;
+  const integrated = blocks => integratedLUFSFromS(blocks, blocks.map(lufsFromMS));
+  const pairMS = mL.map((l, k) => l + mR[k]);
+  const pair = integrated(pairMS);
+  const lufsMono = integrated(mMid.map(v => 2 * v)).lufsI;
+  const silent = msFromLUFS(-70);
+  const corr = mL.map((l, k) => (l > silent && mR[k] > silent ? (mMid[k] - mSide[k]) / Math.sqrt(l * mR[k]) : NaN));
+
+  let sumL = 0, sumR = 0, sumLR = 0, n = 0, neg = 0, corrMin = NaN;
+  for (let k = 0; k < pairMS.length; k++) {
+    const lufs = lufsFromMS(pairMS[k]);
+    if (!(lufs > -70 && lufs >= pair.gateRel)) continue;
+    sumL += mL[k];
+    sumR += mR[k];
+    sumLR += mMid[k] - mSide[k];
+    n++;
+    if (!Number.isFinite(corr[k])) continue;
+    if (!(corr[k] >= corrMin)) corrMin = corr[k];
+    if (corr[k] < 0) neg++;
+  }
+  return {
+    lufsI: pair.lufsI,
+    lufsMono,
+    lufsSide: integrated(mSide.map(v => 2 * v)).lufsI,
+    monoDrop: Number.isFinite(pair.lufsI) ? pair.lufsI - lufsMono : 0,
+    balance: n ? 10 * Math.log10(sumL / sumR) : NaN,
+    corr: n ? sumLR / Math.sqrt(sumL * sumR) : NaN,
+    corrMin,
+    negPct: n ? (100 * neg) / n : 0,
+    series: {
+      lufsL: S.msCh[0].map(lufsFromMS),
+      lufsR: S.msCh[1].map(lufsFromMS),
+      lufsMid: ms.S.msCh[0].map(v => lufsFromMS(2 * v)),
+      lufsSide: ms.S.msCh[1].map(v => lufsFromMS(2 * v)),
+      corr,
+    },
+  };
+}
+
+// Everything derived from the M / S series and the true-peak pass
+function finishMeasurement(M, S, tp, tpCeilingDb, tpOversampling) {
+  const integ = integratedLUFSFromS(M.msBlocks, M.lufs);
+  // Per-channel integrated loudness (each channel gated on its own, unweighted)
+  const lufsICh = M.msCh.map(ms => integratedLUFSFromS(ms, ms.map(lufsFromMS)).lufsI);
+  const lraObj = computeLRA(S.lufs);
+  const drObj = computeDR(S.lufs);
+
+  const mMax = maxWithIndex(M.lufs);
+  const sMax = maxWithIndex(S.lufs);
+
+  // block distributions behind I / LRA / DR, for the histogram view
+  const histM = new LoudnessHistogram(K_OFFSET_DB), histS = new LoudnessHistogram(K_OFFSET_DB);
+  for (const ms of M.msBlocks) histM.add(ms);
+  for (const ms of S.msBlocks) histS.add(ms);
+
+  return {
+    timesM: M.times, lufsM: M.lufs, timesS: S.times, lufsS: S.lufs,
+    lufsI: integ.lufsI, gateRel: integ.gateRel,
+    lra: lraObj.lra, lraThr: lraObj.thr, lraLow: lraObj.p10, lraHigh: lraObj.p95,
+    dbtp: tp.dbtp,
+    plr: tp.dbtp - integ.lufsI,
+    dr: drObj.dr, drLow: drObj.p5, drHigh: drObj.p95,
+    distM: histM.distribution(), distS: histS.distribution(),
+    mMaxIdx: mMax.idx,
+    sMaxIdx: sMax.idx,
+    lufsICh,
+    dbtpCh: tp.dbtpCh,
+    overs: tp.overs,
+    overCount: tp.overCount,
+    tpCeilingDb,
+    tpOversampling,
+  };
+}
+
+
+/** The metrics a delivery profile checks (see profiles.js checkCompliance). */
+export function metricsOf(r) {
+  return {
+    lufsI: r.lufsI,
+    lufsD: r.lufsD,
+    monoDrop: r.stereo?.monoDrop,
+    lra: r.lra,
+    dbtp: r.dbtp,
+    lufsMmax: r.mMaxIdx >= 0 ? r.lufsM[r.mMaxIdx] : Number.NEGATIVE_INFINITY,
+    lufsSmax: r.sMaxIdx >= 0 ? r.lufsS[r.sMaxIdx] : Number.NEGATIVE_INFINITY,
+  };
+}
+
+/** Settings block of a report: windows, gates, layout and true-peak parameters. */
+export function measurementSettings(layout, tpOversampling, tpCeilingDb) {
+  return {
+    mWindowSec: M_WINDOW_SEC,
+    sWindowSec: S_WINDOW_SEC,
+    hopSec: DEFAULT_HOP_SEC,
+    kWeighting: 'ITU-R BS.1770-4',
+    gating: { absolute: -70, relativeI: -10, relativeLRA: -20 },
+    layout: { key: layout.key, label: layout.label, labels: layout.labels, weights: layout.weights },
+    tpOversampling,
+    tpCeilingDb,
+  };
+}
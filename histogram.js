@@ -0,0 +1,124 @@
+/**
+ * Running loudness histogram (libebur128-style gating)
+ * - Fixed bins of 0.1 LU; each bin keeps the block count and the exact sum of block energies
+ * - Absolute gate (−70 LUFS) sums are kept exactly on insert; the relative gate is resolved
+ *   to bin resolution
+ * - Integrated loudness and percentiles are O(bins), independent of how many blocks were added
+ *
+ * No imports and no module state: shared by the analysis engine and the live worklet.
+ */
+
+export class LoudnessHistogram {
+  /**
+   * @param {number} [kOffsetDb]  BS.1770 offset (−0.691)
+   * @param {number} [min]        lower edge in LUFS; lower blocks are counted in the first bin
+   * @param {number} [max]        upper edge in LUFS; louder blocks are counted in the last bin
+   * @param {number} [step]       bin width in LU
+   */
+  constructor(kOffsetDb = -0.691, min = -100, max = 10, step = 0.1) {
+    this.kOffsetDb = kOffsetDb;
+    this.min = min;
+    this.step = step;
+    this.nBins = Math.round((max - min) / step);
+    this.counts = new Uint32Array(this.nBins);
+    this.energy = new Float64Array(this.nBins);
+    this.reset();
+  }
+
+  reset() {
+    this.counts.fill(0);
+    this.energy.fill(0);
+    this.total = 0;       // finite blocks
+    this.absCount = 0;    // blocks above the absolute gate
+    this.absEnergy = 0;
+  }
+
+  binOf(lufs) {
+    const i = Math.floor((lufs - this.min) / this.step);
+    return i < 0 ? 0 : (i >= this.nBins ? this.nBins - 1 : i);
+  }
+
+  binCenter(i) {
+    return this.min + (i + 0.5) * this.step;
+  }
+
+  /** Adds a block given its mean square (energy); silent blocks are ignored. */
+  add(ms) {
+    if (!(ms > 0)) return;
+    const lufs = 10 * Math.log10(ms) + this.kOffsetDb;
+    const i = this.binOf(lufs);
+    this.counts[i]++;
+    this.energy[i] += ms;
+    this.total++;
+    if (lufs > -70) {
+      this.absCount++;
+      this.absEnergy += ms;
+    }
+  }
+
+  lufsFromMS(ms) {
+    return ms > 0 ? 10 * Math.log10(ms) + this.kOffsetDb : Number.NEGATIVE_INFINITY;
+  }
+
+  /** Mean loudness of the blocks that pass the absolute gate. */
+  absGatedLoudness() {
+    return this.absCount ? this.lufsFromMS(this.absEnergy / this.absCount) : Number.NEGATIVE_INFINITY;
+  }
+
+  /** First bin whose center is at or above `thr` (and above the absolute gate). */
+  firstBinAbove(thr) {
+    return this.binOf(Math.max(thr, -70) + this.step / 2 - 1e-9);
+  }
+
+  /**
+   * Gated integrated loudness: absolute gate −70 LUFS, then relative gate `relLU` below the
+   * abs-gated mean. Returns { lufsI, gateRel }.
+   */
+  integrated(relLU = -10) {
+    if (!this.absCount) return { lufsI: Number.NEGATIVE_INFINITY, gateRel: Number.NEGATIVE_INFINITY };
+    const gateRel = this.absGatedLoudness() + relLU;
+    let n = 0, e = 0;
+    for (let i = this.firstBinAbove(gateRel); i < this.nBins; i++) {
+      n += this.counts[i];
+      e += this.energy[i];
+    }
+    return { lufsI: n ? this.lufsFromMS(e / n) : this.absGatedLoudness(), gateRel };
+  }
+
+  /**
+   * Block counts re-binned for display: `step` LU bins from `min` to `max` LUFS (blocks outside
+   * the range are counted in the first / last bin).
+   * @returns {{ min: number, step: number, counts: Uint32Array }}
+   */
+  distribution(min = -80, max = 10, step = 0.5) {
+    const n = Math.round((max - min) / step);
+    const counts = new Uint32Array(n);
+    for (let i = 0; i < this.nBins; i++) {
+      if (!this.counts[i]) continue;
+      const j = Math.floor((this.binCenter(i) - min) / step);
+      counts[j < 0 ? 0 : (j >= n ? n - 1 : j)] += this.counts[i];
+    }
+    return { min, step, counts };
+  }
+
+  /**
+   * Percentiles (0..100, bin centers) of the blocks at or above `thr` LUFS.
+   * Pass −Infinity to use every finite block (no gate).
+   * @returns {number[]} NaN when no block qualifies
+   */
+  percentiles(ps, thr = Number.NEGATIVE_INFINITY) {
+    const start = Number.isFinite(thr) ? this.binOf(thr + this.step / 2 - 1e-9) : 0;
+    let n = 0;
+    for (let i = start; i < this.nBins; i++) n += this.counts[i];
+    if (!n) return ps.map(() => NaN);
+    return ps.map(p => {
+      const rank = Math.min(n - 1, Math.max(0, Math.round((p / 100) * (n - 1))));
+      let acc = 0;
+      for (let i = start; i < this.nBins; i++) {
+        acc += this.counts[i];
+        if (acc > rank) return this.binCenter(i);
+      }
+      return this.binCenter(this.nBins - 1);
+    });
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Analysis history kept in the browser (IndexedDB): nothing leaves the client
+ * - One entry per measurement: file name, size, content hash, date, settings and the summary
+ *   metrics, small enough to list and filter them all at once
+ * - The full result (M / S series, distributions, stereo, overs …) stored apart under the entry's
+ *   id and read back only to reopen it; the spectrogram is left out (it is the bulk of a result)
+ * - Content hash (SHA-256) to recognize a file measured before, under any name
+ * - A file whose measurements disagree (same hash, different numbers) is flagged
+ *
+ * The helpers that do not touch IndexedDB (hash, entry, comparisons) also run in Node.
+ */
+
+import { metricsOf } from './engine.js';
+
+const DB_NAME = 'loudness-history';
+const DB_VERSION = 1;
+const HASH_WHOLE_BYTES = 64 * 1024 * 1024; // larger files are hashed on evenly spread slices
+const HASH_SLICES = 16;
+const HASH_SLICE_BYTES = 1024 * 1024;
+
+/** Metrics compared between two measurements of the same file. */
+export const HISTORY_METRICS = ['lufsI', 'lufsD', 'lra', 'dbtp', 'lufsMmax', 'lufsSmax'];
+/** Largest difference (LU / dB) still taken as the same number: the metrics are shown to 0.1. */
+export const HISTORY_TOLERANCE = 0.05;
+
+let dbPromise = null; // one connection, opened on first use
+
+export function historyAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const entries = req.result.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+        entries.createIndex('hash', 'hash');
+        req.result.createObjectStore('results');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('Historial bloqueado por otra pestaña'));
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// fn(entries, results) queues its requests on one transaction; resolves with the result of the
+// request it returns once the transaction has committed
+async function transact(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['entries', 'results'], mode);
+    let value;
+    const req = fn(tx.objectStore('entries'), tx.objectStore('results'));
+    req?.addEventListener('success', () => { value = req.result; });
+    tx.oncomplete = () => resolve(value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transacción cancelada'));
+  });
+}
+
+/**
+ * SHA-256 of the file contents (hex). Files above 64 MB are hashed on their size and 16 slices
+ * of 1 MB spread over them: enough to tell files apart without reading gigabytes.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function fileHash(blob) {
+  let data;
+  if (blob.size <= HASH_WHOLE_BYTES) {
+    data = await blob.arrayBuffer();
+  } else {
+    const parts = [new TextEncoder().encode(String(blob.size))];
+    const step = (blob.size - HASH_SLICE_BYTES) / (HASH_SLICES - 1);
+    for (let i = 0; i < HASH_SLICES; i++) {
+      const start = Math.round(i * step);
+      parts.push(new Uint8Array(await blob.slice(start, start + HASH_SLICE_BYTES).arrayBuffer()));
+    }
+    data = await new Blob(parts).arrayBuffer();
+  }
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Summary entry of a result (engine or live session).
+ * @param {object} result
+ * @param {string | null} hash  content hash of the file (null: live input)
+ * @param {Date} [date]
+ */
+export function historyEntry(result, hash, date = new Date()) {
+  const f = result.file || {};
+  return {
+    name: f.name || 'audio',
+    size: f.size,
+    lastModified: f.lastModified,
+    hash,
+    type: f.type === 'live' ? 'live' : 'file',
+    date: date.toISOString(),
+    duration: f.duration,
+    sampleRate: f.sampleRate,
+    channels: f.channels,
+    format: f.format,
+    settings: result.settings,
+    metrics: { ...metricsOf(result), plr: result.plr, dr: result.dr, speechPct: result.speechPct },
+  };
+}
+
+/**
+ * Saves a measurement: the entry and the full result in one transaction.
+ * @returns {Promise<number>}  id of the new entry
+ */
+export function saveMeasurement(entry, result) {
+  const stored = { ...result };
+  delete stored.spectrum;
+  return transact('readwrite', (entries, results) => {
+    const req = entries.add(entry);
+    req.addEventListener('success', () => results.put(stored, req.result));
+    return req;
+  });
+}
+
+/** All entries, newest first (with their `id`). */
+export async function listMeasurements() {
+  const all = await transact('readonly', entries => entries.getAll());
+  return all.reverse();
+}
+
+/** Full result saved with an entry (undefined when it is gone). */
+export function loadResult(id) {
+  return transact('readonly', (entries, results) => results.get(id));
+}
+
+export function deleteMeasurement(id) {
+  return transact('readwrite', (entries, results) => {
+    entries.delete(id);
+    results.delete(id);
+  });
+}
+
+export function clearHistory() {
+  return transact('readwrite', (entries, results) => {
+    entries.clear();
+    results.clear();
+  });
+}
+
+/**
+ * Whether two sets of metrics disagree: finite values by more than the tolerance, anything else
+ * (−∞ of silence, a missing dialogue loudness) unless identical.
+ */
+export function metricsDiffer(a, b, tolerance = HISTORY_TOLERANCE) {
+  return HISTORY_METRICS.some((k) => {
+    const x = a?.[k], y = b?.[k];
+    return Number.isFinite(x) && Number.isFinite(y) ? Math.abs(x - y) > tolerance : !Object.is(x, y);
+  });
+}
+
+/** Whether two entries were measured with different settings (layout, true-peak ceiling …). */
+export function settingsDiffer(a, b) {
+  return JSON.stringify(a?.settings ?? null) !== JSON.stringify(b?.settings ?? null);
+}
+
+/**
+ * Hashes of the files measured more than once with different numbers.
+ * @param {{ hash: string | null, metrics: object }[]} entries
+ * @returns {Set<string>}
+ */
+export function changedHashes(entries) {
+  const first = new Map();
+  const changed = new Set();
+  for (const e of entries) {
+    if (!e.hash) continue;
+    const ref = first.get(e.hash);
+    if (!ref) first.set(e.hash, e);
+    else if (metricsDiffer(ref.metrics, e.metrics)) changed.add(e.hash);
+  }
+  return changed;
+}
@@ -0,0 +1,62 @@
+/**
+ * K-weighting (ITU-R BS.1770-4)
+ * - Stage 1: pre-filter, high shelf (+4 dB) modelling the acoustic effect of the head
+ * - Stage 2: RLB weighting, 2nd-order high-pass
+ *
+ * BS.1770 only tabulates the coefficients for 48 kHz. For any other rate we re-derive them
+ * from the analog prototype (f0, Q, gain) via the bilinear transform with frequency
+ * pre-warping, which reproduces the 48 kHz table to ~1e-14 and is what reference meters
+ * (libebur128 & co.) do.
+ */
+
+// Analog prototype of the pre-filter (shelf)
+const PRE_F0 = 1681.974450955533;
+const PRE_GAIN_DB = 3.999843853973347;
+const PRE_Q = 0.7071752369554196;
+// Analog prototype of the RLB high-pass
+const RLB_F0 = 38.13547087602444;
+const RLB_Q = 0.5003270373238773;
+
+/**
+ * Biquad coefficients of both K-weighting stages for a given sample rate.
+ * Returned as { b: [b0, b1, b2], a: [1, a1, a2] }, ready for createIIRFilter(b, a).
+ * @param {number} sampleRate
+ */
+export function kWeightingCoefs(sampleRate) {
+  // Stage 1: high shelf
+  let K = Math.tan(Math.PI * PRE_F0 / sampleRate);
+  const Vh = Math.pow(10, PRE_GAIN_DB / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / PRE_Q + K * K;
+  const pre = {
+    b: [
+      (Vh + Vb * K / PRE_Q + K * K) / a0,
+      2 * (K * K - Vh) / a0,
+      (Vh - Vb * K / PRE_Q + K * K) / a0,
+    ],
+    a: [1, 2 * (K * K - 1) / a0, (1 - K / PRE_Q + K * K) / a0],
+  };
+
+  // Stage 2: RLB high-pass (numerator is 1, −2, 1 as tabulated in BS.1770)
+  K = Math.tan(Math.PI * RLB_F0 / sampleRate);
+  a0 = 1 + K / RLB_Q + K * K;
+  const rlb = {
+    b: [1, -2, 1],
+    a: [1, 2 * (K * K - 1) / a0, (1 - K / RLB_Q + K * K) / a0],
+  };
+
+  return { pre, rlb };
+}
+
+/**
+ * Builds the two-stage K-weighting chain with IIRFilterNodes on any (Offline)AudioContext.
+ * Returns { input, output, nodes } so callers can wire src → input … output → dest.
+ * @param {BaseAudioContext} ctx
+ */
+export function createKWeightingNodes(ctx) {
+  const { pre, rlb } = kWeightingCoefs(ctx.sampleRate);
+  const preNode = ctx.createIIRFilter(pre.b, pre.a);
+  const rlbNode = ctx.createIIRFilter(rlb.b, rlb.a);
+  preNode.connect(rlbNode);
+  return { input: preNode, output: rlbNode, nodes: [preNode, rlbNode] };
+}
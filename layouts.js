@@ -0,0 +1,65 @@
+/**
+ * Channel layouts and BS.1770-4 channel weights.
+ * - Channel order follows WAVE_FORMAT_EXTENSIBLE / Web Audio (L R C LFE …), which is what
+ *   decodeAudioData and getUserMedia hand us.
+ * - Weight by azimuth (BS.1770-4, table 3): 1.0 for |θ| < 60°, 1.41 (+1.5 dB) for
+ *   60° ≤ |θ| ≤ 120°, 1.0 behind. LFE is excluded from the sum (weight 0).
+ */
+
+const LFE = null; // no position: excluded
+
+// label + azimuth (degrees) per channel; mask = WAVE_FORMAT_EXTENSIBLE dwChannelMask
+export const CHANNEL_LAYOUTS = {
+  mono: { label: 'Mono', mask: 0x4, channels: [['C', 0]] },
+  stereo: { label: 'Estéreo', mask: 0x3, channels: [['L', 30], ['R', -30]] },
+  '3.0': { label: '3.0 (L R C)', mask: 0x7, channels: [['L', 30], ['R', -30], ['C', 0]] },
+  quad: { label: 'Quad (L R Ls Rs)', mask: 0x33, channels: [['L', 30], ['R', -30], ['Ls', 110], ['Rs', -110]] },
+  '5.0': { label: '5.0', mask: 0x37, channels: [['L', 30], ['R', -30], ['C', 0], ['Ls', 110], ['Rs', -110]] },
+  '5.1': {
+    label: '5.1',
+    mask: 0x3F,
+    channels: [['L', 30], ['R', -30], ['C', 0], ['LFE', LFE], ['Ls', 110], ['Rs', -110]],
+  },
+  '7.1': {
+    label: '7.1',
+    mask: 0x63F,
+    channels: [['L', 30], ['R', -30], ['C', 0], ['LFE', LFE], ['Lrs', 135], ['Rrs', -135], ['Lss', 90], ['Rss', -90]],
+  },
+};
+
+const DEFAULT_BY_COUNT = { 1: 'mono', 2: 'stereo', 3: '3.0', 4: 'quad', 5: '5.0', 6: '5.1', 8: '7.1' };
+
+function weightForAzimuth(az) {
+  if (az === LFE) return 0;
+  const a = Math.abs(az);
+  return (a >= 60 && a <= 120) ? 1.41 : 1.0;
+}
+
+/**
+ * Resolves the layout to use for `nCh` channels.
+ * `requested` is a key of CHANNEL_LAYOUTS or 'auto'; a layout whose channel count does not
+ * match falls back to auto-detection. Unknown counts get generic labels with weight 1.0.
+ * @returns {{ key: string, label: string, labels: string[], weights: number[], mask: number, mismatch: boolean }}
+ */
+export function resolveLayout(nCh, requested = 'auto') {
+  let key = requested;
+  let mismatch = false;
+  if (key !== 'auto' && CHANNEL_LAYOUTS[key]?.channels.length !== nCh) {
+    mismatch = true;
+    key = 'auto';
+  }
+  if (key === 'auto') key = DEFAULT_BY_COUNT[nCh];
+  if (!key) {
+    const labels = Array.from({ length: nCh }, (_, c) => `Ch${c + 1}`);
+    return { key: 'generic', label: `${nCh} canales`, labels, weights: labels.map(() => 1.0), mask: 0, mismatch };
+  }
+  const L = CHANNEL_LAYOUTS[key];
+  return {
+    key,
+    label: L.label,
+    labels: L.channels.map(([name]) => name),
+    weights: L.channels.map(([, az]) => weightForAzimuth(az)),
+    mask: L.mask,
+    mismatch,
+  };
+}
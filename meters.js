@@ -0,0 +1,403 @@
+/**
+ * Live meter widgets (EBU Tech 3341 "EBU Mode" display conventions)
+ * - BarMeters: vertical M / S / I bars on the EBU +9 (−18…+9 LU) or +18 (−36…+18 LU) scale,
+ *   labelled relative to a target (LU) or absolute (LUFS), with M / S max hold marks
+ * - LoudnessRadar: circular history of short-term loudness (one revolution per period),
+ *   momentary ring, integrated value in the centre and a true-peak indicator
+ * - StereoScope: goniometer of the latest L / R samples (mid up, side across, auto gain) over a
+ *   phase-correlation bar, with balance, mid / side loudness and the mono fold-down loss
+ *
+ * All are fed with the values of each 'metrics' message (10 Hz) and redraw on update().
+ */
+
+export const METER_SCALES = {
+  ebu9: { label: 'EBU +9', lo: -18, hi: 9, step: 3 },
+  ebu18: { label: 'EBU +18', lo: -36, hi: 18, step: 6 },
+};
+
+const TP_RECENT_SEC = 2; // the TP lamp stays red this long after an over
+
+function cssVar(name, fallback) {
+  return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+}
+
+function fmtRel(v) {
+  if (!Number.isFinite(v)) return '−∞';
+  const r = Math.round(v * 10) / 10;
+  return (r > 0 ? '+' : '') + r.toFixed(1);
+}
+
+// Level colour relative to the target: under (accent), on target ±1 LU (ok), over (warn)
+function levelColor(rel) {
+  if (!(rel > -1)) return cssVar('--accent-strong', '#2d8fe2');
+  if (rel <= 1) return cssVar('--ok', '#39d98a');
+  return cssVar('--warn', '#ffcf5c');
+}
+
+/** Shared display settings of the live meters. */
+export class MeterSettings {
+  constructor() {
+    this.target = -23;      // LUFS
+    this.scale = 'ebu9';    // key of METER_SCALES
+    this.relative = true;   // LU around the target, or LUFS
+    this.tpCeiling = -1;    // dBTP
+  }
+
+  get range() {
+    return METER_SCALES[this.scale] || METER_SCALES.ebu9;
+  }
+
+  // label text for a level given relative to the target
+  label(rel) {
+    return this.relative ? fmtRel(rel) : String(Math.round((rel + this.target) * 10) / 10);
+  }
+
+  get unit() {
+    return this.relative ? 'LU' : 'LUFS';
+  }
+}
+
+export class BarMeters {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {MeterSettings} settings
+   */
+  constructor(canvas, settings) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.settings = settings;
+    this.reset();
+  }
+
+  reset() {
+    this.values = { M: -Infinity, S: -Infinity, I: -Infinity, mMax: -Infinity, sMax: -Infinity };
+  }
+
+  /** @param {{ M, S, I, mMax, sMax }} v  LUFS */
+  update(v) {
+    this.values = v;
+    this.draw();
+  }
+
+  draw() {
+    const ctx = this.ctx, st = this.settings, { lo, hi, step } = st.range;
+    const W = this.canvas.width, H = this.canvas.height;
+    const muted = cssVar('--muted', '#aaa');
+    const top = 28, bottom = H - 44;
+    const Y = rel => bottom - ((Math.min(hi, Math.max(lo, rel)) - lo) / (hi - lo)) * (bottom - top);
+    ctx.clearRect(0, 0, W, H);
+    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+
+    // scale (shared by the three bars)
+    const scaleX = 52;
+    ctx.fillStyle = muted;
+    ctx.strokeStyle = 'rgba(128,128,128,0.25)';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let r = lo; r <= hi; r += step) {
+      const yy = Math.round(Y(r)) + 0.5;
+      ctx.moveTo(scaleX, yy);
+      ctx.lineTo(W - 8, yy);
+      ctx.fillText(st.label(r), scaleX - 6, yy);
+    }
+    ctx.stroke();
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${st.range.label} · ${st.unit}`, 4, 4);
+
+    // target line
+    ctx.strokeStyle = cssVar('--ok', '#39d98a');
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(scaleX, Y(0));
+    ctx.lineTo(W - 8, Y(0));
+    ctx.stroke();
+
+    const v = this.values;
+    const bars = [['M', v.M, v.mMax], ['S', v.S, v.sMax], ['I', v.I, NaN]];
+    const slot = (W - 8 - scaleX) / bars.length;
+    const bw = Math.min(56, slot * 0.6);
+    bars.forEach(([name, lufs, max], k) => {
+      const x = scaleX + slot * k + (slot - bw) / 2;
+      const rel = lufs - st.target;
+      ctx.fillStyle = 'rgba(128,128,128,0.12)';
+      ctx.fillRect(x, top, bw, bottom - top);
+      if (Number.isFinite(rel) && rel > lo) {
+        ctx.fillStyle = levelColor(rel);
+        ctx.fillRect(x, Y(rel), bw, bottom - Y(rel));
+      }
+      if (Number.isFinite(max) && max - st.target > lo) {
+        ctx.fillStyle = cssVar('--fg', '#e6e7ea');
+        ctx.fillRect(x, Y(max - st.target) - 1, bw, 2);
+      }
+      ctx.fillStyle = cssVar('--fg', '#e6e7ea');
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.font = 'bold 13px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+      ctx.fillText(name, x + bw / 2, bottom + 6);
+      ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+      ctx.fillText(st.label(rel), x + bw / 2, bottom + 24);
+    });
+  }
+}
+
+export class LoudnessRadar {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {MeterSettings} settings
+   * @param {number} [periodSec]  time for one revolution
+   */
+  constructor(canvas, settings, periodSec = 240) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.settings = settings;
+    this.periodSec = periodSec;
+    this.reset();
+  }
+
+  reset() {
+    this.history = [];   // { t, S } over the last revolution
+    this.now = { t: 0, M: -Infinity, I: -Infinity, lra: NaN, dbtp: -Infinity };
+    this.lastOverT = -Infinity;
+    this.overCount = 0;
+  }
+
+  setPeriod(sec) {
+    this.periodSec = sec;
+    this.trim();
+    this.draw();
+  }
+
+  trim() {
+    const from = this.now.t - this.periodSec;
+    let k = 0;
+    while (k < this.history.length && this.history[k].t <= from) k++;
+    if (k) this.history.splice(0, k);
+  }
+
+  /** @param {{ t, M, S, I, lra, dbtp, overCount }} v */
+  update(v) {
+    if (v.overCount > this.overCount) this.lastOverT = v.t;
+    this.overCount = v.overCount || 0;
+    this.now = v;
+    this.history.push({ t: v.t, S: v.S });
+    this.trim();
+    this.draw();
+  }
+
+  draw() {
+    const ctx = this.ctx, st = this.settings, { lo, hi, step } = st.range;
+    const W = this.canvas.width, H = this.canvas.height;
+    const cx = W / 2, cy = H / 2 + 6;
+    const R = Math.min(W, H) / 2 - 30;   // outer edge of the history
+    const r0 = R * 0.28;                 // inner hole (integrated readout)
+    const ringW = 10;                    // momentary ring outside the history
+    const radius = rel => r0 + ((Math.min(hi, Math.max(lo, rel)) - lo) / (hi - lo)) * (R - r0);
+    const angle = t => -Math.PI / 2 + ((t % this.periodSec) / this.periodSec) * Math.PI * 2;
+    const muted = cssVar('--muted', '#aaa');
+    ctx.clearRect(0, 0, W, H);
+    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+
+    // level rings
+    ctx.strokeStyle = 'rgba(128,128,128,0.25)';
+    ctx.fillStyle = muted;
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    for (let r = lo; r <= hi; r += step) {
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius(r), 0, Math.PI * 2);
+      ctx.stroke();
+      if ((r - lo) % (step * 2) === 0) ctx.fillText(st.label(r), cx + 3, cy - radius(r) + 7);
+    }
+    ctx.strokeStyle = cssVar('--ok', '#39d98a');
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius(0), 0, Math.PI * 2);
+    ctx.stroke();
+
+    // short-term history: one wedge per point, from the hole out to its level
+    const h = this.history;
+    for (let i = 1; i < h.length; i++) {
+      const rel = h[i].S - st.target;
+      if (!Number.isFinite(rel) || rel <= lo) continue;
+      const a0 = angle(h[i - 1].t), a1 = angle(h[i].t);
+      if (a1 < a0) continue; // wrap-around point
+      ctx.fillStyle = levelColor(rel);
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius(rel), a0, a1 + 0.002);
+      ctx.arc(cx, cy, r0, a1 + 0.002, a0, true);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // sweep
+    const a = angle(this.now.t);
+    ctx.strokeStyle = cssVar('--fg', '#e6e7ea');
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(cx + Math.cos(a) * r0, cy + Math.sin(a) * r0);
+    ctx.lineTo(cx + Math.cos(a) * R, cy + Math.sin(a) * R);
+    ctx.stroke();
+
+    // momentary ring: filled clockwise from the top in proportion to the level
+    const relM = this.now.M - st.target;
+    ctx.lineWidth = ringW;
+    ctx.strokeStyle = 'rgba(128,128,128,0.15)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, R + ringW, 0, Math.PI * 2);
+    ctx.stroke();
+    if (Number.isFinite(relM) && relM > lo) {
+      const frac = (Math.min(hi, relM) - lo) / (hi - lo);
+      ctx.strokeStyle = levelColor(relM);
+      ctx.beginPath();
+      ctx.arc(cx, cy, R + ringW, -Math.PI / 2, -Math.PI / 2 + frac * Math.PI * 2);
+      ctx.stroke();
+    }
+
+    // integrated (and LRA) in the centre
+    const relI = this.now.I - st.target;
+    ctx.fillStyle = Number.isFinite(relI) ? levelColor(relI) : muted;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 22px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    ctx.fillText(st.label(relI), cx, cy - 6);
+    ctx.font = '11px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    ctx.fillStyle = muted;
+    ctx.fillText(`I ${st.unit} · LRA ${Number.isFinite(this.now.lra) ? this.now.lra.toFixed(1) : '—'}`, cx, cy + 14);
+
+    // true-peak lamp: red for a while after an over, amber while the held peak is above the ceiling
+    const tp = this.now.dbtp;
+    const recent = this.now.t - this.lastOverT <= TP_RECENT_SEC;
+    const lamp = recent ? cssVar('--err', '#ff6b6b') : (tp > st.tpCeiling ? cssVar('--warn', '#ffcf5c') : cssVar('--ok', '#39d98a'));
+    ctx.fillStyle = lamp;
+    ctx.beginPath();
+    ctx.arc(W - 16, 16, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.textAlign = 'right';
+    ctx.fillStyle = muted;
+    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    ctx.fillText(`TP ${Number.isFinite(tp) ? tp.toFixed(1) : '−∞'} dBTP`, W - 28, 16);
+    ctx.textAlign = 'left';
+    ctx.fillText(`${Math.round(this.periodSec / 60)} min / vuelta`, 4, 16);
+  }
+}
+
+export class StereoScope {
+  /** @param {HTMLCanvasElement} canvas */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.reset();
+  }
+
+  reset() {
+    this.l = null;
+    this.r = null;
+    this.values = null;  // stereo values of the worklet, null without a pair
+    this.gain = 1;
+  }
+
+  /**
+   * @param {Float32Array|null} l  latest un-weighted samples of L
+   * @param {Float32Array|null} r  the same samples of R
+   * @param {{ corr, balance, lufsMid, lufsSide, monoDrop }|null} v
+   */
+  update(l, r, v) {
+    this.l = l;
+    this.r = r;
+    this.values = v;
+    if (l && r) {
+      // auto gain: the peak fills ~90 % of the radius, rising at once and falling slowly
+      let peak = 0;
+      for (let i = 0; i < l.length; i++) peak = Math.max(peak, Math.abs(l[i]), Math.abs(r[i]));
+      const target = Math.min(1000, 0.9 / Math.max(peak, 1e-3));
+      this.gain = target < this.gain ? target : Math.min(target, this.gain * 1.05);
+    }
+    this.draw();
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const W = this.canvas.width, H = this.canvas.height;
+    const muted = cssVar('--muted', '#aaa');
+    const barH = 72;                         // correlation bar and readouts below the scope
+    const R = Math.min(W, H - barH) / 2 - 22;
+    const cx = W / 2, cy = 16 + R + 6;
+    ctx.clearRect(0, 0, W, H);
+    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = muted;
+    ctx.fillText('Goniómetro · L / R', 4, 4);
+    const v = this.values;
+    if (!v) {
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Sin par estéreo', 4, H / 2);
+      return;
+    }
+
+    // axes: mid (M) up, side (S) across, L and R on the diagonals
+    ctx.strokeStyle = 'rgba(128,128,128,0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(cx, cy, R, 0, Math.PI * 2);
+    ctx.moveTo(cx, cy - R);
+    ctx.lineTo(cx, cy + R);
+    ctx.moveTo(cx - R, cy);
+    ctx.lineTo(cx + R, cy);
+    const d = R * Math.SQRT1_2;
+    ctx.moveTo(cx - d, cy - d);
+    ctx.lineTo(cx + d, cy + d);
+    ctx.moveTo(cx + d, cy - d);
+    ctx.lineTo(cx - d, cy + d);
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('M', cx, cy - R - 2);
+    ctx.fillText('L', cx - d - 6, cy - d - 2);
+    ctx.fillText('R', cx + d + 6, cy - d - 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText('−S', cx - R - 10, cy);
+    ctx.fillText('+S', cx + R + 10, cy);
+
+    // samples: x = (R − L) / √2, y = (L + R) / √2
+    if (this.l && this.r) {
+      const k = this.gain * R * Math.SQRT1_2;
+      ctx.fillStyle = cssVar('--accent', '#5aa9e6');
+      ctx.globalAlpha = 0.5;
+      for (let i = 0; i < this.l.length; i++) {
+        ctx.fillRect(cx + (this.r[i] - this.l[i]) * k - 0.75, cy - (this.l[i] + this.r[i]) * k - 0.75, 1.5, 1.5);
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // correlation bar: −1 … +1, filled from 0 to the value
+    const bx0 = 24, bx1 = W - 24, by = H - barH + 8, bh = 12;
+    const BX = c => bx0 + ((c + 1) / 2) * (bx1 - bx0);
+    ctx.fillStyle = 'rgba(128,128,128,0.15)';
+    ctx.fillRect(bx0, by, bx1 - bx0, bh);
+    if (Number.isFinite(v.corr)) {
+      ctx.fillStyle = v.corr < 0 ? cssVar('--err', '#ff6b6b') : cssVar('--ok', '#39d98a');
+      ctx.fillRect(Math.min(BX(0), BX(v.corr)), by, Math.abs(BX(v.corr) - BX(0)), bh);
+    }
+    ctx.fillStyle = cssVar('--fg', '#e6e7ea');
+    ctx.fillRect(BX(0) - 0.5, by - 2, 1, bh + 4);
+    ctx.fillStyle = muted;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText('−1', bx0, by + bh + 2);
+    ctx.textAlign = 'right';
+    ctx.fillText('+1', bx1, by + bh + 2);
+    ctx.textAlign = 'center';
+    ctx.fillText(`Corr ${Number.isFinite(v.corr) ? v.corr.toFixed(2) : '—'}`, BX(0), by + bh + 2);
+
+    const fmt = x => (Number.isFinite(x) ? (Math.round(x * 10) / 10).toFixed(1) : '−∞');
+    const bal = Number.isFinite(v.balance) ? fmtRel(v.balance) : '—';
+    const drop = Number.isFinite(v.monoDrop) ? fmtRel(-v.monoDrop) : '−∞';
+    ctx.fillText(`Balance L−R ${bal} LU · Mono ${drop} LU`, W / 2, by + bh + 18);
+    ctx.fillText(`Mid ${fmt(v.lufsMid)} · Side ${fmt(v.lufsSide)} LUFS-M`, W / 2, by + bh + 34);
+  }
+}
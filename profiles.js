@@ -0,0 +1,122 @@
+/**
+ * Delivery-spec profiles and compliance checks
+ * - Built-in presets for the common broadcast and streaming specs
+ * - Custom profiles, kept in localStorage
+ * - Each check grades a metric as 'pass', 'warn' or 'fail'; the verdict is the worst of them
+ *
+ * Profile fields (null / missing: not checked):
+ *   targetI, tolI   integrated loudness target and ± tolerance (LUFS / LU)
+ *   targetD, tolD   the same for dialogue-gated loudness (speech blocks only, file analysis)
+ *   maxTP           true-peak ceiling (dBTP)
+ *   maxS, maxM      maximum short-term / momentary loudness (LUFS)
+ *   lraMin, lraMax  loudness range window (LU)
+ *   maxMonoDrop     most integrated loudness the mono fold-down of L / R may lose (LU)
+ *   warnLU          grace band outside the I tolerance and the LRA window that still rates 'warn'
+ *                   (ceilings are hard limits: over is 'fail')
+ */
+
+export const PROFILES = {
+  'ebu-r128': { label: 'EBU R128', targetI: -23, tolI: 0.5, maxTP: -1 },
+  'ebu-r128-s1': { label: 'EBU R128 S1 (formato corto)', targetI: -23, tolI: 0.5, maxTP: -1, maxS: -18 },
+  'atsc-a85': { label: 'ATSC A/85', targetI: -24, tolI: 2, maxTP: -2 },
+  'arib-trb32': { label: 'ARIB TR-B32', targetI: -24, tolI: 1, maxTP: -1 },
+  'spotify': { label: 'Spotify', targetI: -14, tolI: 1, maxTP: -1 },
+  'apple-music': { label: 'Apple Music', targetI: -16, tolI: 1, maxTP: -1 },
+  'youtube': { label: 'YouTube', targetI: -14, tolI: 1, maxTP: -1 },
+  'netflix': { label: 'Netflix', targetD: -27, tolD: 2, maxTP: -2, lraMin: 4, lraMax: 18 },
+};
+
+const DEFAULT_WARN_LU = 0.5;
+const STORAGE_KEY = 'loudness.customProfiles';
+const RANK = { pass: 0, warn: 1, fail: 2 };
+
+/** Custom profiles saved by the user ({ key: profile }); keys are prefixed with 'custom:'. */
+export function loadCustomProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveCustomProfile(profile) {
+  const label = String(profile.label || '').trim();
+  if (!label) throw new Error('El perfil necesita un nombre');
+  const all = loadCustomProfiles();
+  const key = 'custom:' + label;
+  all[key] = { ...profile, label };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  return key;
+}
+
+export function deleteCustomProfile(key) {
+  const all = loadCustomProfiles();
+  delete all[key];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+/** Built-in and custom profiles together. */
+export function allProfiles() {
+  return { ...PROFILES, ...loadCustomProfiles() };
+}
+
+// amount by which `v` is outside [lo, hi] (≤ 0 inside)
+function excess(v, lo, hi) {
+  return Math.max(lo - v, v - hi);
+}
+
+function grade(ex, warnLU) {
+  if (ex <= 1e-9) return 'pass';
+  return ex <= warnLU + 1e-9 ? 'warn' : 'fail';
+}
+
+const isSet = v => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v));
+
+/**
+ * Checks measured metrics against a profile.
+ * @param {{ lufsI, lufsD?, monoDrop?, lra, dbtp, lufsMmax, lufsSmax }} m  silent programmes have
+ *   −∞ values; without lufsD (live meter) the dialogue target is not checked, without monoDrop
+ *   (mono programmes) the fold-down
+ * @param {object} profile
+ * @returns {{ verdict: 'pass'|'warn'|'fail'|null, checks: { metric, value, limit, status }[] }}
+ *   checks are keyed by the metric names of `m`; verdict is null when nothing was checked
+ */
+export function checkCompliance(m, profile) {
+  const warnLU = isSet(profile.warnLU) ? Number(profile.warnLU) : DEFAULT_WARN_LU;
+  const checks = [];
+  const add = (metric, value, limit, status) => checks.push({ metric, value, limit, status });
+
+  if (isSet(profile.targetI)) {
+    const t = Number(profile.targetI), tol = isSet(profile.tolI) ? Number(profile.tolI) : 0;
+    const status = Number.isFinite(m.lufsI) ? grade(Math.abs(m.lufsI - t) - tol, warnLU) : 'fail';
+    add('lufsI', m.lufsI, `${t} ± ${tol} LUFS`, status);
+  }
+  if (isSet(profile.targetD) && m.lufsD !== undefined) {
+    const t = Number(profile.targetD), tol = isSet(profile.tolD) ? Number(profile.tolD) : 0;
+    const status = Number.isFinite(m.lufsD) ? grade(Math.abs(m.lufsD - t) - tol, warnLU) : 'fail';
+    add('lufsD', m.lufsD, `${t} ± ${tol} LUFS`, status);
+  }
+  if (isSet(profile.maxTP)) {
+    add('dbtp', m.dbtp, `≤ ${profile.maxTP} dBTP`, m.dbtp <= Number(profile.maxTP) + 1e-9 ? 'pass' : 'fail');
+  }
+  if (isSet(profile.maxS)) {
+    add('lufsSmax', m.lufsSmax, `≤ ${profile.maxS} LUFS`, !(m.lufsSmax > Number(profile.maxS) + 1e-9) ? 'pass' : 'fail');
+  }
+  if (isSet(profile.maxM)) {
+    add('lufsMmax', m.lufsMmax, `≤ ${profile.maxM} LUFS`, !(m.lufsMmax > Number(profile.maxM) + 1e-9) ? 'pass' : 'fail');
+  }
+  if (isSet(profile.maxMonoDrop) && m.monoDrop !== undefined) {
+    add('monoDrop', m.monoDrop, `≤ ${profile.maxMonoDrop} LU`, m.monoDrop <= Number(profile.maxMonoDrop) + 1e-9 ? 'pass' : 'fail');
+  }
+  if (isSet(profile.lraMin) || isSet(profile.lraMax)) {
+    const lo = isSet(profile.lraMin) ? Number(profile.lraMin) : -Infinity;
+    const hi = isSet(profile.lraMax) ? Number(profile.lraMax) : Infinity;
+    const limit = isSet(profile.lraMin) && isSet(profile.lraMax) ? `${lo}–${hi} LU` : (isSet(profile.lraMin) ? `≥ ${lo} LU` : `≤ ${hi} LU`);
+    add('lra', m.lra, limit, Number.isFinite(m.lra) ? grade(excess(m.lra, lo, hi), warnLU) : 'fail');
+  }
+
+  const verdict = checks.length
+    ? checks.reduce((worst, c) => (RANK[c.status] > RANK[worst] ? c.status : worst), 'pass')
+    : null;
+  return { verdict, checks };
+}
@@ -0,0 +1,241 @@
+/**
+ * Measurement export: JSON (full result), CSV (M/S series) and a self-contained HTML report
+ * (printable loudness certificate with the charts embedded as PNG data URLs).
+ *
+ * Non-finite loudness values (−∞ for silent blocks) become null in JSON and empty cells in CSV.
+ * The BWF bext loudness of the file (meta.bext, when it has one) is set against the measurement.
+ */
+
+import { BEXT_LOUDNESS } from './wav.js';
+
+// |stored − measured| above this is flagged: beyond the 0.01 rounding of bext and the spread
+// between meters
+const BEXT_TOLERANCE = 0.2;
+
+function fmt1(x) {
+  return Number.isFinite(x) ? (Math.round(x * 10) / 10).toFixed(1) : '−∞';
+}
+
+// mono fold-down loss: +∞ when the fold-down cancels out
+function fmtDrop(x) {
+  return x === Number.POSITIVE_INFINITY ? '∞' : fmt1(x);
+}
+
+function fmtClock(seconds) {
+  if (!Number.isFinite(seconds)) return '—';
+  const s = Math.max(0, seconds);
+  const hh = Math.floor(s / 3600);
+  const mm = Math.floor((s % 3600) / 60);
+  const ss = (s % 60).toFixed(3).padStart(6, '0');
+  return `${hh ? hh + ':' : ''}${String(mm).padStart(2, '0')}:${ss}`;
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+/**
+ * Everything needed to reproduce or audit a measurement.
+ * @param {object} result  worker result (+ layout)
+ * @param {object} meta    file metadata { name, size, type, lastModified, duration, sampleRate, channels }
+ * @param {object} settings measurement settings
+ * @param {object} [compliance] { profile, verdict, checks } from the delivery-profile check
+ * @param {object[]} [regions]  named time ranges measured on their own
+ *   { name, start, end, lufsI, lra, dbtp, plr, lufsMmax, lufsSmax }
+ */
+export function buildReport(result, meta, settings, compliance = null, regions = []) {
+  const r = result;
+  const { series: stereoSeries, ...stereo } = r.stereo || {};
+  return {
+    generator: 'loudness-meter-web',
+    createdAt: new Date().toISOString(),
+    file: meta,
+    settings,
+    metrics: {
+      lufsI: r.lufsI,
+      lufsD: r.lufsD ?? null,
+      speechPct: r.speechPct ?? null,
+      gateRel: r.gateRel,
+      lra: r.lra,
+      dbtp: r.dbtp,
+      plr: r.plr,
+      dr: r.dr,
+      lufsMmax: r.mMaxIdx >= 0 ? r.lufsM[r.mMaxIdx] : null,
+      tMmax: r.mMaxIdx >= 0 ? r.timesM[r.mMaxIdx] : null,
+      lufsSmax: r.sMaxIdx >= 0 ? r.lufsS[r.sMaxIdx] : null,
+      tSmax: r.sMaxIdx >= 0 ? r.timesS[r.sMaxIdx] : null,
+    },
+    channels: r.layout ? r.layout.labels.map((name, c) => ({
+      name,
+      weight: r.layout.weights[c],
+      lufsI: r.lufsICh?.[c],
+      dbtp: r.dbtpCh?.[c],
+    })) : [],
+    overs: { ceilingDb: r.tpCeilingDb, count: r.overCount, events: r.overs },
+    compliance,
+    regions,
+    speech: r.speech || [],
+    stereo: r.stereo ? stereo : null,
+    series: {
+      timesM: r.timesM, lufsM: r.lufsM,
+      timesS: r.timesS, lufsS: r.lufsS,
+      ...(stereoSeries ? { stereo: stereoSeries } : {}),
+    },
+  };
+}
+
+export function reportToJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * M and S series on one time grid. Both use the same hop, so S is M shifted by a whole number
+ * of hops (block centers 0.2 s vs 1.5 s): rows follow the M times, S cells are empty until the
+ * first 3 s block.
+ */
+export function seriesToCSV(result) {
+  const { timesM, lufsM, timesS, lufsS } = result;
+  const hop = timesM.length > 1 ? timesM[1] - timesM[0] : 0.1;
+  const shift = timesS.length && timesM.length ? Math.round((timesS[0] - timesM[0]) / hop) : 0;
+  const cell = v => (Number.isFinite(v) ? v.toFixed(2) : '');
+  const lines = ['time_s,lufs_m,lufs_s'];
+  for (let i = 0; i < timesM.length; i++) {
+    const j = i - shift;
+    lines.push(`${timesM[i].toFixed(3)},${cell(lufsM[i])},${j >= 0 && j < lufsS.length ? cell(lufsS[j]) : ''}`);
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Stored bext loudness next to the measurement, one row per field that is set.
+ * @param {object|null} bext  from readBext()
+ * @param {object} metrics  measured { lufsI, lra, dbtp, lufsMmax, lufsSmax } (null / −∞ allowed)
+ * @returns {{ key: string, field: string, stored: number, measured: number, delta: number, mismatch: boolean }[]}
+ */
+export function bextRows(bext, metrics) {
+  if (!bext) return [];
+  return Object.entries(BEXT_LOUDNESS).filter(([key]) => bext.loudness[key] !== null).map(([key, [field]]) => {
+    const stored = bext.loudness[key], measured = metrics[key] ?? Number.NEGATIVE_INFINITY;
+    const delta = Number.isFinite(measured) ? stored - measured : Number.NaN;
+    return { key, field, stored, measured, delta, mismatch: !(Math.abs(delta) <= BEXT_TOLERANCE) };
+  });
+}
+
+/**
+ * Printable, self-contained HTML report.
+ * @param {object} report  from buildReport()
+ * @param {{ M?: string, S?: string, stereo?: string }} images  chart PNG data URLs
+ */
+export function reportToHTML(report, images = {}) {
+  const m = report.metrics;
+  const f = report.file || {};
+  const st = report.settings || {};
+  const row = (k, v) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`;
+
+  const metrics = [
+    row('Integrated (LUFS-I)', fmt1(m.lufsI) + ' LUFS'),
+    ...(m.lufsD === null || m.lufsD === undefined ? [] : [row('Dialogue (diálogo)', `${fmt1(m.lufsD)} LUFS · voz ${Math.round(m.speechPct)} %`)]),
+    row('Loudness Range (LRA)', fmt1(m.lra) + ' LU'),
+    row('True Peak', fmt1(m.dbtp) + ' dBTP'),
+    row('Max Momentary', `${fmt1(m.lufsMmax)} LUFS @ ${fmtClock(m.tMmax)}`),
+    row('Max Short-term', `${fmt1(m.lufsSmax)} LUFS @ ${fmtClock(m.tSmax)}`),
+    row('PLR', fmt1(m.plr) + ' LU'),
+    row('DR≈ (P95 − P5 S)', fmt1(m.dr) + ' LU'),
+    row('Gate relativo', fmt1(m.gateRel) + ' LUFS'),
+  ].join('');
+
+  const fileRows = [
+    row('Archivo', f.name ?? '—'),
+    row('Duración', fmtClock(f.duration)),
+    row('Formato', `${f.format ? f.format + ' · ' : ''}${f.sampleRate ?? '—'} Hz · ${f.channels ?? '—'} ch${f.type ? ' · ' + f.type : ''}`),
+    row('Tamaño', f.size ? `${(f.size / 1048576).toFixed(2)} MB` : '—'),
+  ].join('');
+
+  const settingsRows = [
+    row('Norma', 'ITU-R BS.1770-4 / EBU R128'),
+    row('Layout', `${st.layout?.label ?? '—'} (pesos ${st.layout?.weights?.join(' ') ?? '—'})`),
+    row('Ventanas', `M ${st.mWindowSec} s · S ${st.sWindowSec} s · hop ${st.hopSec} s`),
+    row('True peak', `FIR ${st.tpOversampling}× · techo ${st.tpCeilingDb} dBTP`),
+  ].join('');
+
+  const chRows = report.channels.map(c =>
+    `<tr><td>${escapeHtml(c.name)}</td><td>${c.weight === 0 ? 'excluido' : c.weight}</td><td>${fmt1(c.lufsI)}</td><td>${fmt1(c.dbtp)}</td></tr>`).join('');
+
+  const overs = report.overs?.events || [];
+  const overRows = overs.slice(0, 50).map(o =>
+    `<tr><td>${fmtClock(o.t)}</td><td>${escapeHtml(report.channels[o.ch]?.name ?? 'Ch' + (o.ch + 1))}</td><td>${fmt1(o.dbtp)}</td></tr>`).join('');
+
+  const verdictText = { pass: 'Cumple', warn: 'Aviso', fail: 'No cumple' };
+  const checkLabel = {
+    lufsI: 'Integrated', lufsD: 'Dialogue', dbtp: 'True Peak', lufsSmax: 'Max Short-term', lufsMmax: 'Max Momentary', lra: 'LRA',
+    monoDrop: 'Mono fold-down',
+  };
+  const comp = report.compliance;
+  const compRows = comp?.checks?.map(c =>
+    `<tr><td>${escapeHtml(checkLabel[c.metric] ?? c.metric)}</td><td>${c.metric === 'monoDrop' ? fmtDrop(c.value) : fmt1(c.value)}</td><td>${escapeHtml(c.limit)}</td><td class="${c.status}">${verdictText[c.status]}</td></tr>`).join('');
+
+  const regionRows = (report.regions || []).map(g =>
+    `<tr><td>${escapeHtml(g.name)}</td><td>${fmtClock(g.start)}</td><td>${fmtClock(g.end)}</td><td>${fmt1(g.lufsI)}</td>`
+    + `<td>${fmt1(g.lra)}</td><td>${fmt1(g.dbtp)}</td><td>${fmt1(g.plr)}</td><td>${fmt1(g.lufsMmax)}</td><td>${fmt1(g.lufsSmax)}</td></tr>`).join('');
+
+  const im = report.stereo;
+  const corr = x => (Number.isFinite(x) ? x.toFixed(2) : '—');
+  const stereoRows = im ? [
+    row('Correlación', `media ${corr(im.corr)} · mínima ${corr(im.corrMin)} · negativa ${Math.round(im.negPct)} % del tiempo`),
+    row('Balance L − R', fmt1(im.balance) + ' LU'),
+    row('Mono (L + R) / 2', `${fmt1(im.lufsMono)} LUFS · pérdida ${fmtDrop(im.monoDrop)} LU`),
+    row('Side (L − R) / 2', fmt1(im.lufsSide) + ' LUFS'),
+  ].join('') : '';
+
+  const bext = f.bext;
+  const bextTable = bextRows(bext, m).map(b =>
+    `<tr><td>${b.field}</td><td>${fmt1(b.stored)}</td><td>${fmt1(b.measured)}</td><td class="${b.mismatch ? 'fail' : 'pass'}">${Number.isFinite(b.delta) ? fmt1(b.delta) : '—'}</td></tr>`).join('');
+
+  const img = (src, alt) => (src ? `<figure><img src="${src}" alt="${alt}"><figcaption>${alt}</figcaption></figure>` : '');
+
+  return `<!doctype html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Informe de loudness – ${escapeHtml(f.name ?? '')}</title>
+<style>
+  body { font: 14px/1.45 system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: #111; margin: 32px; }
+  h1 { font-size: 1.3rem; margin: 0 0 4px; }
+  h2 { font-size: 1rem; margin: 24px 0 8px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+  .meta { color: #555; margin: 0 0 16px; }
+  table { border-collapse: collapse; }
+  th, td { text-align: left; padding: 3px 16px 3px 0; font-variant-numeric: tabular-nums; }
+  th { font-weight: 600; }
+  .grid { display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 8px 32px; }
+  figure { margin: 12px 0; }
+  img { width: 100%; border: 1px solid #ddd; border-radius: 6px; }
+  figcaption { color: #555; font-size: 0.85rem; }
+  .pass { color: #128c7e; } .warn { color: #b45309; } .fail { color: #b91c1c; font-weight: 600; }
+  @media print { body { margin: 12mm; } h2 { break-after: avoid; } figure { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Informe de loudness</h1>
+<p class="meta">${escapeHtml(f.name ?? '')} · generado ${escapeHtml(new Date(report.createdAt).toLocaleString())}</p>
+<div class="grid">
+  <section><h2>Resultados</h2><table>${metrics}</table></section>
+  <section><h2>Archivo</h2><table>${fileRows}</table><h2>Medición</h2><table>${settingsRows}</table></section>
+</div>
+${comp?.verdict ? `<h2>Conformidad · ${escapeHtml(comp.profile)}: <span class="${comp.verdict}">${verdictText[comp.verdict]}</span></h2>
+<table><tr><th>Métrica</th><th>Valor</th><th>Límite</th><th>Estado</th></tr>${compRows}</table>` : ''}
+${regionRows ? `<h2>Regiones</h2>
+<table><tr><th>Nombre</th><th>Inicio</th><th>Fin</th><th>LUFS-I</th><th>LRA</th><th>dBTP</th><th>PLR</th><th>M máx</th><th>S máx</th></tr>${regionRows}</table>` : ''}
+${chRows ? `<h2>Canales</h2><table><tr><th>Canal</th><th>Peso</th><th>LUFS-I</th><th>dBTP</th></tr>${chRows}</table>` : ''}
+${stereoRows ? `<h2>Imagen estéreo (L / R)</h2><table>${stereoRows}</table>` : ''}
+${bext ? `<h2>Metadatos BWF (bext v${bext.version})</h2>
+${bextTable ? `<table><tr><th>Campo</th><th>bext</th><th>Medido</th><th>Δ</th></tr>${bextTable}</table>` : '<p>Sin campos de loudness.</p>'}` : ''}
+<h2>Overs de true peak (techo ${escapeHtml(report.overs?.ceilingDb ?? '—')} dBTP): ${report.overs?.count ?? 0}</h2>
+${overRows ? `<table><tr><th>Tiempo</th><th>Canal</th><th>dBTP</th></tr>${overRows}</table>` : '<p>Ninguno.</p>'}
+<h2>Series</h2>
+${img(images.M, 'Momentary (400 ms)')}
+${img(images.S, 'Short-term (3 s)')}
+${img(images.stereo, 'Estéreo: L, R, mid y side (S) y correlación por bloque M')}
+</body>
+</html>
+`;
+}
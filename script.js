@@ -1,26 +1,91 @@
 /* eslint-disable no-undef */
 /**
- * Loudness Meter (EBU R128 / ITU-R BS.1770 approx) – client-only
- * - File analysis via OfflineAudioContext → K-weighting (HP ~60 Hz, HS ~4 kHz +4 dB)
+ * Loudness Meter (EBU R128 / ITU-R BS.1770) – client-only
+ * - File analysis in a module worker (engine.js): K-weighting BS.1770-4 (pre-filter + RLB biquads),
+ *   series, gating and true peak off the main thread; samples are handed over as transferables
+ * - Channel layouts (mono … 7.1) with BS.1770-4 weights: LFE excluded, surrounds +1.5 dB
  * - Series:
  *    Momentary (M) 400 ms, hop 100 ms
  *    Short-term (S) 3 s, hop 100 ms
- * - Gating simplified:
- *    Integrated: absolute gate −70 LUFS, then relative gate −10 LU (1 iter)
- *    LRA: percentiles P10–P95 over S with relative gate (LUFS-I − 20)
- * - True Peak (dBTP): oversampling 4× via Catmull-Rom cubic interpolation; peak over channels
+ * - Gating (BS.1770-4 / EBU Tech 3342):
+ *    Integrated: M blocks kept only above the absolute gate (−70 LUFS) and the relative gate
+ *    (−10 LU below the loudness of the blocks over the absolute gate)
+ *    LRA: percentiles P10–P95 over S, gated at −70 LUFS and −20 LU below the abs-gated S mean
+ * - True Peak (dBTP): BS.1770-4 Annex 2 polyphase FIR (4×, 2× from 96 kHz) on the un-weighted
+ *   signal; per channel, plus a log of overs above a chosen ceiling
  * - PLR = dBTP − LUFS-I
+ * - Dialogue-gated loudness (files): speech detector in the engine, integrated gating over the
+ *   speech blocks only, share of speech, speech segments marked on the charts
  * - DR≈ = P95(S) − P5(S)
  * - UI: metric cards + two Canvas charts
- * - Live (optional): getUserMedia + Biquads + AudioWorklet for stable timing
+ * - Normalization to a target loudness with a true-peak limiter, re-measured and exported as WAV
+ * - Charts with time axis, wheel zoom / drag pan (M and S linked), hover readout, fixed or auto
+ *   Y range and reference lines: target, integrated, relative gate, LRA band
+ * - Spectrogram of the file (1/6-octave bands per hop, from the worker) on the time window of the
+ *   M / S charts and a spectrum of the picked point, the selected region or the live input,
+ *   K-weighted (LUFS per band) or un-weighted (dBFS)
+ * - Stereo image of the front L / R pair: phase correlation, balance, mid / side loudness and the
+ *   loss of the mono fold-down (profile limit); L / R / mid / side and correlation over time for
+ *   files, correlation meter and goniometer live
+ * - Regions: shift + drag on the charts or typed start / end; each range is re-measured on its own
+ *   (gating over the region's blocks) and named regions go into the report
+ * - Distribution of M / S block loudness with the gates, LRA (P10–P95) and DR (P5–P95) bounds
+ * - Live meters: M / S / I bars on the EBU +9 / +18 scales (LU around a target or LUFS) and a
+ *   loudness radar with momentary ring and true-peak lamp
+ * - Live input: device picker (follows hot-plugging), channel map from the interface inputs to
+ *   the metered layout, calibration trim per device
+ * - Live session: pause / resume and reset without rebuilding the graph, timed measurement,
+ *   recording of the metered input; on stop the session becomes the current result (exports,
+ *   charts) and the recording is loaded into the player
+ * - Delivery profiles (EBU R128, ATSC A/85, streaming specs, custom): pass / warn / fail per
+ *   metric card and an overall verdict, for files, batches and live
+ * - WAV / BWF / RF64 / AIFF files are read by our own parser at their native sample rate and bit
+ *   depth (decodeAudioData only for compressed formats); large ones are measured block by block in
+ *   the worker (read through File.slice): memory does not grow with the file, with progress and
+ *   cancel
+ * - BWF bext loudness (EBU Tech 3285 v2) compared with the measurement, and a copy of the file with
+ *   the measured values written into bext (also in the normalized WAV)
+ * - Batch: queue of files/folders through the worker, sortable table, album loudness gated over
+ *   the blocks of all files together
+ * - A/B comparison: two files measured with the same settings, B's M / S series over A's on the
+ *   charts (offset typed or found by aligning the loudness curves), table of deltas and
+ *   loudness-matched A/B listening
+ * - History in IndexedDB (stays in the browser): every measurement with its settings, metrics and
+ *   series, reopened with its charts, searched, filtered and deleted; a file measured again with
+ *   different numbers (same content hash) is flagged
+ * - Export: full result as JSON, M/S series as CSV, printable HTML report with the charts
+ * - Playback of the analyzed file (play/pause/seek) metered through the same K-weighting +
+ *   worklet, with a playhead on the charts and click-to-seek
+ * - Live (optional): getUserMedia + K-weighting IIR + AudioWorklet for stable timing
  */
 
+import { createKWeightingNodes } from './kweighting.js';
+import { K_OFFSET_DB, M_WINDOW_SEC, S_WINDOW_SEC, DEFAULT_HOP_SEC, metricsOf, measurementSettings } from './engine.js';
+import { CHANNEL_LAYOUTS, resolveLayout } from './layouts.js';
+import { truePeakPhases } from './truepeak.js';
+import { WAV_FORMATS, encodeWav, readPcmInfo, decodePcm, readBext, writeBextLoudness, pcmFormatLabel } from './wav.js';
+import { buildReport, reportToJSON, seriesToCSV, reportToHTML, bextRows } from './report.js';
+import { LoudnessChart, DistributionChart, SpectrogramChart, SpectrumChart, StereoChart } from './chart.js';
+import { SPECTRUM_BANDS, kWeightingBandGains, analyserBands } from './spectrum.js';
+import { listInputDevices, loadInputPrefs, saveInputPrefs, defaultChannelMap, createInputRouter } from './devices.js';
+import { METER_SCALES, MeterSettings, BarMeters, LoudnessRadar, StereoScope } from './meters.js';
+import { allProfiles, checkCompliance, saveCustomProfile, deleteCustomProfile } from './profiles.js';
+import { alignOffset, compareMetrics, matchedGains } from './compare.js';
+import {
+  historyAvailable, fileHash, historyEntry, saveMeasurement, listMeasurements, loadResult,
+  deleteMeasurement, clearHistory, metricsDiffer, settingsDiffer, changedHashes,
+} from './history.js';
+
 const els = {
   fileInput: document.getElementById('fileInput'),
+  folderInput: document.getElementById('folderInput'),
   analyzeBtn: document.getElementById('analyzeBtn'),
   liveBtn: document.getElementById('liveBtn'),
+  layoutSelect: document.getElementById('layoutSelect'),
   darkToggle: document.getElementById('darkToggle'),
   lufsI: document.getElementById('lufsI'),
+  lufsD: document.getElementById('lufsD'),
+  speechPct: document.getElementById('speechPct'),
   lufsS: document.getElementById('lufsS'),
   lufsSmax: document.getElementById('lufsSmax'),
   tSmax: document.getElementById('tSmax'),
@@ -31,27 +96,175 @@ const els = {
   dbtp: document.getElementById('dbtp'),
   plr: document.getElementById('plr'),
   dr: document.getElementById('dr'),
+  corr: document.getElementById('corr'),
+  monoDrop: document.getElementById('monoDrop'),
+  balance: document.getElementById('balance'),
+  tpHint: document.getElementById('tpHint'),
+  tpCeiling: document.getElementById('tpCeiling'),
+  overCount: document.getElementById('overCount'),
+  overTable: document.getElementById('overTable'),
+  channelLayout: document.getElementById('channelLayout'),
+  channelTable: document.getElementById('channelTable'),
+  stereoTable: document.getElementById('stereoTable'),
   canvasM: document.getElementById('canvasM'),
   canvasS: document.getElementById('canvasS'),
+  canvasHist: document.getElementById('canvasHist'),
+  meterBars: document.getElementById('meterBars'),
+  meterRadar: document.getElementById('meterRadar'),
+  meterScope: document.getElementById('meterScope'),
+  meterTarget: document.getElementById('meterTarget'),
+  meterScale: document.getElementById('meterScale'),
+  meterUnit: document.getElementById('meterUnit'),
+  radarPeriod: document.getElementById('radarPeriod'),
+  liveDevice: document.getElementById('liveDevice'),
+  liveTrim: document.getElementById('liveTrim'),
+  channelMap: document.getElementById('channelMap'),
+  livePause: document.getElementById('livePause'),
+  liveReset: document.getElementById('liveReset'),
+  liveDuration: document.getElementById('liveDuration'),
+  liveRecord: document.getElementById('liveRecord'),
+  liveStatus: document.getElementById('liveStatus'),
+  liveRecDownload: document.getElementById('liveRecDownload'),
+  liveRecAnalyze: document.getElementById('liveRecAnalyze'),
+  chartYMin: document.getElementById('chartYMin'),
+  chartYMax: document.getElementById('chartYMax'),
+  chartYAuto: document.getElementById('chartYAuto'),
+  chartReset: document.getElementById('chartReset'),
+  spectrumWeighting: document.getElementById('spectrumWeighting'),
+  canvasSpectrogram: document.getElementById('canvasSpectrogram'),
+  canvasSpectrum: document.getElementById('canvasSpectrum'),
+  canvasStereo: document.getElementById('canvasStereo'),
+  spectrumTitle: document.getElementById('spectrumTitle'),
+  regionStart: document.getElementById('regionStart'),
+  regionEnd: document.getElementById('regionEnd'),
+  regionMeasure: document.getElementById('regionMeasure'),
+  regionName: document.getElementById('regionName'),
+  regionAdd: document.getElementById('regionAdd'),
+  regionClear: document.getElementById('regionClear'),
+  regionInfo: document.getElementById('regionInfo'),
+  regionTable: document.getElementById('regionTable'),
+  playBtn: document.getElementById('playBtn'),
+  seekBar: document.getElementById('seekBar'),
+  playTime: document.getElementById('playTime'),
+  normTarget: document.getElementById('normTarget'),
+  normCustom: document.getElementById('normCustom'),
+  normCeiling: document.getElementById('normCeiling'),
+  normFormat: document.getElementById('normFormat'),
+  normBtn: document.getElementById('normBtn'),
+  normDownload: document.getElementById('normDownload'),
+  normInfo: document.getElementById('normInfo'),
+  exportJson: document.getElementById('exportJson'),
+  exportCsv: document.getElementById('exportCsv'),
+  exportHtml: document.getElementById('exportHtml'),
+  exportPrint: document.getElementById('exportPrint'),
+  profileSelect: document.getElementById('profileSelect'),
+  profileVerdict: document.getElementById('profileVerdict'),
+  profileChecks: document.getElementById('profileChecks'),
+  profileForm: document.getElementById('profileForm'),
+  profileDelete: document.getElementById('profileDelete'),
+  jobBox: document.getElementById('jobBox'),
+  jobProgress: document.getElementById('jobProgress'),
+  jobText: document.getElementById('jobText'),
+  jobCancel: document.getElementById('jobCancel'),
+  batchCard: document.getElementById('batchCard'),
+  batchStatus: document.getElementById('batchStatus'),
+  batchAlbum: document.getElementById('batchAlbum'),
+  batchTable: document.getElementById('batchTable'),
+  fileFormat: document.getElementById('fileFormat'),
+  bextTable: document.getElementById('bextTable'),
+  bextInfo: document.getElementById('bextInfo'),
+  bextDownload: document.getElementById('bextDownload'),
+  compareA: document.getElementById('compareA'),
+  compareB: document.getElementById('compareB'),
+  compareBtn: document.getElementById('compareBtn'),
+  compareClear: document.getElementById('compareClear'),
+  compareOffset: document.getElementById('compareOffset'),
+  compareAlign: document.getElementById('compareAlign'),
+  compareSide: document.getElementById('compareSide'),
+  compareMatch: document.getElementById('compareMatch'),
+  compareTable: document.getElementById('compareTable'),
+  compareInfo: document.getElementById('compareInfo'),
+  historyCount: document.getElementById('historyCount'),
+  historySearch: document.getElementById('historySearch'),
+  historyFilter: document.getElementById('historyFilter'),
+  historyClear: document.getElementById('historyClear'),
+  historyTable: document.getElementById('historyTable'),
+  historyInfo: document.getElementById('historyInfo'),
   log: document.getElementById('log'),
 };
 
-const M_WINDOW_SEC = 0.400;
-const S_WINDOW_SEC = 3.000;
-const DEFAULT_HOP_SEC = 0.100;
-const K_OFFSET_DB = -0.691; // ITU-R BS.1770 reference offset (approx) for LKFS/LUFS
-
 let audioCtx = null;
 let live = {
   ctx: null,
   stream: null,
   workletNode: null,
-  hp: null,
-  hs: null,
+  kw: null,
+  layout: null,
+  running: false,
+};
+
+let player = {
+  buffer: null,     // decoded AudioBuffer of the analyzed file (in audioCtx)
+  layout: null,     // its channel layout (weights of the playback meter)
+  src: null,
+  workletNode: null,
+  kw: null,
+  gain: null,       // monitoring gain (loudness-matched A/B), after the meter
+  startedAt: 0,     // audioCtx.currentTime when the current source started
+  offset: 0,        // file position (s) at startedAt, or the paused position
+  playing: false,
+  raf: 0,
+  moduleLoaded: false,
+};
+
+let batch = {
+  items: [],        // { file, result?, error?, status: 'pending' | 'running' | 'done' | 'error' }
+  album: null,      // { lufsI, lra, dbtp, files }
+  sortKey: 'order',
+  sortDir: 1,
   running: false,
 };
 
+// A/B mode: A is the current result; B is shown over it, shifted by `offset` seconds
+let compare = null; // { a: { file, result, buffer }, b: { file, result, buffer }, offset, side: 'A' | 'B' }
+
+// Saved measurements (newest first) and the hashes of files whose numbers changed between them
+let saved = { entries: [], changed: new Set() };
+
+const charts = {
+  M: new LoudnessChart(els.canvasM, { onSeek: t => chartSeek(t), onSelect: (a, b) => chartSelect(a, b), onView: () => drawTimeViews() }),
+  S: new LoudnessChart(els.canvasS, { onSeek: t => chartSeek(t), onSelect: (a, b) => chartSelect(a, b), onView: () => drawTimeViews() }),
+};
+const stereoChart = new StereoChart(els.canvasStereo, { onPick: t => chartSeek(t) });
+const histChart = new DistributionChart(els.canvasHist);
+const spectrumCharts = {
+  gram: new SpectrogramChart(els.canvasSpectrogram, { onPick: t => pickSpectrum(t) }),
+  bands: new SpectrumChart(els.canvasSpectrum),
+};
+charts.M.setLink(charts.S);
+charts.S.setLink(charts.M);
+const meterSettings = new MeterSettings();
+const meters = {
+  bars: new BarMeters(els.meterBars, meterSettings),
+  radar: new LoudnessRadar(els.meterRadar, meterSettings),
+  scope: new StereoScope(els.meterScope),
+};
+let chartRefs = {}; // { lufsI, gateRel, lraLow, lraHigh } behind the overlay lines
+let spectrumPoint = NaN; // time picked on the spectrogram
+let spectrumMean = null; // band powers averaged over the whole file
+
+let job = null; // running analysis: { controller: AbortController }
+let regions = [];     // named regions of the current file: { name, start, end, lufsI, lra, dbtp, plr, lufsMmax, lufsSmax }
+let selection = null; // { start, end, summary } range being looked at (summary once measured)
+let lastRecording = null; // { channels, sampleRate, mask, name } of the last live recording
+
+let lastMetrics = null; // metrics shown in the cards (file or live), re-checked on profile change
+
+let normalized = null; // { channels, sampleRate, layout, metrics, name, target } ready for download
+
 let worker = null;
+let lastFile = null; // last analyzed file, re-analyzed when the layout changes
+let lastResult = null;
 
 // ---------- Utilities ----------
 
@@ -69,6 +282,17 @@ function fmtLU(x) {
   if (!isFinite(x)) return '−∞';
   return (Math.round(x * 10) / 10).toFixed(1);
 }
+// loudness lost in the mono fold-down: +∞ when the fold-down cancels out
+function fmtDrop(x) {
+  if (x === Number.POSITIVE_INFINITY) return '∞';
+  return fmtLU(x);
+}
+// signed difference (deltas, offsets)
+function fmtDelta(x) {
+  if (!Number.isFinite(x)) return '—';
+  return (x > 0.05 ? '+' : '') + fmtLU(x);
+}
+
 function fmtTime(seconds) {
   if (!isFinite(seconds)) return '—';
   const s = Math.max(0, seconds);
@@ -98,337 +322,213 @@ function percentile(sortedArr, p /* 0..100 */) {
   return sortedArr[lo] + (sortedArr[hi] - sortedArr[lo]) * frac;
 }
 
-// Simple line chart
-function drawSeries(canvas, times, values, opts = {}) {
-  const ctx = canvas.getContext('2d');
-  const W = canvas.width, H = canvas.height;
-  ctx.clearRect(0, 0, W, H);
-
-  // padding
-  const pL = 40, pR = 10, pT = 16, pB = 24;
-  ctx.fillStyle = 'rgba(255,255,255,0.03)';
-  ctx.fillRect(0, 0, W, H);
-
-  if (!values?.length || !times?.length) {
-    ctx.fillStyle = '#888';
-    ctx.fillText('Sin datos', pL, H/2);
-    return;
-  }
-
-  const t0 = times[0];
-  const t1 = times[times.length - 1];
-  const vMin = Math.min(...values.filter(Number.isFinite));
-  const vMax = Math.max(...values.filter(Number.isFinite));
-  const minY = Math.floor((Math.min(vMin, -70) - 1) / 5) * 5; // grid to −∞..-70
-  const maxY = Math.ceil((vMax + 1) / 5) * 5;
-
-  const X = t => pL + ((t - t0) / (t1 - t0 || 1)) * (W - pL - pR);
-  const Y = v => pT + (1 - (v - minY) / (maxY - minY || 1)) * (H - pT - pB);
-
-  // grid
-  const ctxGrid = ctx;
-  ctxGrid.strokeStyle = 'rgba(128,128,128,0.2)';
-  ctxGrid.lineWidth = 1;
-  ctxGrid.beginPath();
-  for (let y = Math.ceil(minY/5)*5; y <= maxY; y += 5) {
-    const yy = Y(y);
-    ctxGrid.moveTo(pL, yy);
-    ctxGrid.lineTo(W - pR, yy);
-  }
-  ctxGrid.stroke();
-
-  // axes labels (min/max)
-  ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--muted') || '#aaa';
-  ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
-  ctx.textAlign = 'right';
-  ctx.textBaseline = 'middle';
-  ctx.fillText(`${maxY} LUFS`, pL - 6, Y(maxY));
-  ctx.fillText(`${minY} LUFS`, pL - 6, Y(minY));
-
-  // series
-  ctx.lineWidth = 2;
-  ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--accent-strong') || '#2d8fe2';
-  ctx.beginPath();
-  for (let i = 0; i < values.length; i++) {
-    const xx = X(times[i]);
-    const yy = Y(values[i]);
-    if (i === 0) ctx.moveTo(xx, yy);
-    else ctx.lineTo(xx, yy);
-  }
-  ctx.stroke();
-
-  // max marker
-  const { idx } = maxWithIndex(values);
-  if (idx >= 0) {
-    const xx = X(times[idx]);
-    const yy = Y(values[idx]);
-    ctx.fillStyle = '#ff6b6b';
-    ctx.beginPath();
-    ctx.arc(xx, yy, 3.5, 0, Math.PI * 2);
-    ctx.fill();
-  }
-}
-
 // ---------- Web Worker (compute engine) ----------
 
 function ensureWorker() {
   if (worker) return worker;
-  const code = `
-    const K_OFFSET_DB = -0.691;
-    function lufsFromMS(ms) {
-      if (ms <= 0) return Number.NEGATIVE_INFINITY;
-      return 10 * Math.log10(ms) + K_OFFSET_DB;
-    }
-    function msFromLUFS(lufs) {
-      return Math.pow(10, (lufs - K_OFFSET_DB) / 10);
-    }
-    function maxWithIndex(arr) {
-      if (!arr.length) return { max: -Infinity, idx: -1 };
-      let m = arr[0], i = 0;
-      for (let k = 1; k < arr.length; k++) { if (arr[k] > m) { m = arr[k]; i = k; } }
-      return { max: m, idx: i };
-    }
-    function percentile(sortedArr, p) {
-      if (!sortedArr.length) return NaN;
-      if (p <= 0) return sortedArr[0];
-      if (p >= 100) return sortedArr[sortedArr.length - 1];
-      const pos = (p / 100) * (sortedArr.length - 1);
-      const lo = Math.floor(pos);
-      const hi = Math.ceil(pos);
-      const frac = pos - lo;
-      return sortedArr[lo] + (sortedArr[hi] - sortedArr[lo]) * frac;
-    }
-    // Compute windowed mean squares for multi-channel using prefix sums (O(N))
-    function seriesLUFS(channels, sampleRate, winSec, hopSec) {
-      const win = Math.max(1, Math.floor(winSec * sampleRate));
-      const hop = Math.max(1, Math.floor(hopSec * sampleRate));
-      const length = channels[0].length;
-      const nCh = channels.length;
-
-      // Prefix sums of squares per channel
-      const P = new Array(nCh);
-      for (let c = 0; c < nCh; c++) {
-        const x = channels[c];
-        const Pc = new Float64Array(length + 1);
-        let acc = 0;
-        Pc[0] = 0;
-        for (let i = 0; i < length; i++) { acc += x[i]*x[i]; Pc[i+1] = acc; }
-        P[c] = Pc;
-      }
-
-      const lufs = [];
-      const msBlocks = [];
-      const times = [];
-      for (let s = 0; s + win <= length; s += hop) {
-        let sumMS = 0;
-        for (let c = 0; c < nCh; c++) {
-          const Pc = P[c];
-          const sumsq = Pc[s + win] - Pc[s];
-          const ms_c = sumsq / win;
-          sumMS += ms_c; // BS.1770: suma de energías por canal (peso 1 para L/R)
-        }
-        msBlocks.push(sumMS);
-        lufs.push(lufsFromMS(sumMS));
-        times.push((s + win * 0.5) / sampleRate);
-      }
-      return { lufs, msBlocks, times, win, hop };
-    }
-
-    // Integrated gating (abs −70, then rel −10 LU)
-    function integratedLUFSFromS(msBlocks, lufsBlocks) {
-      if (!msBlocks.length) return { lufsI: Number.NEGATIVE_INFINITY, count: 0, gateRel: Number.NEGATIVE_INFINITY };
-      const ABS_GATE = -70;
-      const keptAbs = [];
-      for (let i = 0; i < lufsBlocks.length; i++) {
-        if (lufsBlocks[i] > ABS_GATE) keptAbs.push(msBlocks[i]);
-      }
-      if (!keptAbs.length) return { lufsI: Number.NEGATIVE_INFINITY, count: 0, gateRel: Number.NEGATIVE_INFINITY };
-      const meanAbs = keptAbs.reduce((a,b)=>a+b,0) / keptAbs.length;
-      const prelim = 10 * Math.log10(meanAbs) + K_OFFSET_DB;
-      const relGate = prelim - 10;
-      const keptRel = [];
-      for (let i = 0; i < lufsBlocks.length; i++) {
-        if (lufsBlocks[i] >= relGate) keptRel.push(msBlocks[i]);
-      }
-      if (!keptRel.length) {
-        return { lufsI: prelim, count: keptAbs.length, gateRel: relGate };
-      }
-      const meanRel = keptRel.reduce((a,b)=>a+b,0) / keptRel.length;
-      const result = 10 * Math.log10(meanRel) + K_OFFSET_DB;
-      return { lufsI: result, count: keptRel.length, gateRel: relGate };
-    }
-
-    // LRA: P10..P95 of S with gate relative −20 LU from integrated
-    function computeLRA(lufsS, lufsI) {
-      if (!lufsS.length || !isFinite(lufsI)) return { lra: 0, p10: NaN, p95: NaN };
-      const thr = lufsI - 20;
-      const gated = lufsS.filter(v => isFinite(v) && v >= thr);
-      const base = gated.length ? gated : lufsS.filter(isFinite);
-      const sorted = base.slice().sort((a,b)=>a-b);
-      const p10 = percentile(sorted, 10);
-      const p95 = percentile(sorted, 95);
-      return { lra: p95 - p10, p10, p95, thr };
-    }
-
-    // DR approx: P95 - P5 over all S
-    function computeDR(lufsS) {
-      const arr = lufsS.filter(isFinite).slice().sort((a,b)=>a-b);
-      if (!arr.length) return { dr: 0, p5: NaN, p95: NaN };
-      const p5 = percentile(arr, 5);
-      const p95 = percentile(arr, 95);
-      return { dr: p95 - p5, p5, p95 };
-    }
-
-    // True Peak (4× oversampling with Catmull-Rom). Returns dBTP and linear peak
-    function truePeakLinear(channels) {
-      let peak = 0;
-      for (let c = 0; c < channels.length; c++) {
-        const x = channels[c];
-        const N = x.length;
-        if (!N) continue;
-        // include original samples
-        for (let i = 0; i < N; i++) {
-          const abs = Math.abs(x[i]);
-          if (abs > peak) peak = abs;
-        }
-        // cubic oversampling
-        for (let i = 0; i < N - 1; i++) {
-          const s0 = i > 0 ? x[i-1] : x[i];
-          const s1 = x[i];
-          const s2 = x[i+1];
-          const s3 = (i+2 < N) ? x[i+2] : x[i+1];
-          for (let k = 1; k < 4; k++) { // 4x: t = 0.25, 0.5, 0.75
-            const t = k * 0.25;
-            const a = 2*s1;
-            const b = -s0 + s2;
-            const c2 = 2*s0 - 5*s1 + 4*s2 - s3;
-            const d = -s0 + 3*s1 - 3*s2 + s3;
-            const y = 0.5 * (a + b*t + c2*t*t + d*t*t*t);
-            const abs = Math.abs(y);
-            if (abs > peak) peak = abs;
-          }
-        }
-      }
-      const dbtp = (peak > 0) ? 20*Math.log10(peak) : Number.NEGATIVE_INFINITY;
-      return { peak, dbtp };
-    }
-
-    onmessage = async (ev) => {
-      const { type, payload } = ev.data || {};
-      if (type === 'compute') {
-        const { channels, sampleRate, hopSec, mWindowSec, sWindowSec } = payload;
-        try {
-          const M = seriesLUFS(channels, sampleRate, mWindowSec, hopSec);
-          const S = seriesLUFS(channels, sampleRate, sWindowSec, hopSec);
-
-          const integ = integratedLUFSFromS(M.msBlocks, M.lufs);
-          const lraObj = computeLRA(S.lufs, integ.lufsI);
-          const drObj = computeDR(S.lufs);
-          const tp = truePeakLinear(channels);
-
-          const mMax = maxWithIndex(M.lufs);
-          const sMax = maxWithIndex(S.lufs);
-
-          postMessage({
-            ok: true,
-            result: {
-              timesM: M.times, lufsM: M.lufs, timesS: S.times, lufsS: S.lufs,
-              lufsI: integ.lufsI, gateRel: integ.gateRel,
-              lra: lraObj.lra, lraThr: integ.lufsI - 20,
-              dbtp: tp.dbtp,
-              plr: tp.dbtp - integ.lufsI,
-              dr: drObj.dr,
-              mMaxIdx: mMax.idx,
-              sMaxIdx: sMax.idx,
-            }
-          });
-        } catch (e) {
-          postMessage({ ok: false, error: e?.message || String(e) });
-        }
-      }
-    };
-  `;
-  const blob = new Blob([code], { type: 'application/javascript' });
-  worker = new Worker(URL.createObjectURL(blob));
+  worker = new Worker(new URL('./engine-worker.js', import.meta.url), { type: 'module' });
   return worker;
 }
 
-// ---------- K-weighted render (Offline) ----------
-
-async function renderKWeighted(buffer) {
-  // Offline rendering: buffer -> [highpass ~60 Hz] -> [highshelf ~4 kHz, +4 dB] -> destination
-  const sr = buffer.sampleRate;
-  const ch = buffer.numberOfChannels;
-  const ctx = new OfflineAudioContext(ch, buffer.length, sr);
-  const src = ctx.createBufferSource();
-  src.buffer = buffer;
+let workerSeq = 0;
 
-  const hp = ctx.createBiquadFilter();
-  hp.type = 'highpass';
-  hp.frequency.value = 60;     // ~60 Hz
-  hp.Q.value = Math.SQRT1_2;   // ~0.707
-
-  const hs = ctx.createBiquadFilter();
-  hs.type = 'highshelf';
-  hs.frequency.value = 4000;   // ~4 kHz
-  hs.gain.value = 4;           // +4 dB
-  hs.Q.value = 0.707;
-
-  src.connect(hp).connect(hs).connect(ctx.destination);
-  src.start();
-  const rendered = await ctx.startRendering();
-  return rendered;
+// Sends a job to the worker; replies are matched by id so jobs never pick up each other's results
+// opts.onProgress(fraction) receives the job's progress messages; opts.signal cancels it
+function workerCall(type, payload, transfer = [], opts = {}) {
+  const w = ensureWorker();
+  const id = ++workerSeq;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => w.postMessage({ type: 'cancel', payload: { id } });
+    const onMsg = (ev) => {
+      if (ev.data?.id !== id) return;
+      if (ev.data.progress !== undefined) {
+        opts.onProgress?.(ev.data.progress);
+        return;
+      }
+      w.removeEventListener('message', onMsg);
+      opts.signal?.removeEventListener('abort', onAbort);
+      if (ev.data.ok) resolve(ev.data.result);
+      else reject(Object.assign(new Error(ev.data.error || 'Worker error'), { cancelled: !!ev.data.cancelled }));
+    };
+    w.addEventListener('message', onMsg);
+    opts.signal?.addEventListener('abort', onAbort);
+    w.postMessage({ type, id, payload }, transfer);
+  });
 }
 
 // ---------- File analysis pipeline ----------
 
+// Files from this size up are streamed when their container allows it
+const STREAM_MIN_BYTES = 256 * 1024 * 1024;
+
 async function analyzeFile(file) {
   if (!file) {
     alert('Selecciona un archivo de audio primero.');
     return;
   }
+  if (job) {
+    alert('Ya hay un análisis en curso.');
+    return;
+  }
+  stopPlayback();
+  let measured;
+  try {
+    measured = await runJob(`Analizando ${file.name}`, opts => measureFile(file, opts));
+  } catch (err) {
+    if (!err.cancelled) throw err;
+    logln('Análisis cancelado.');
+    return;
+  }
+  const { result, buffer } = measured;
+  lastFile = file;
+
+  logln('Cálculo OK. Actualizando UI…');
+  updateUIFromResult(result);
+  if (buffer) loadPlayer(buffer);
+  else unloadPlayer();
+  resetNormalization();
+  remember(result, file);
+}
+
+/**
+ * Measures a file. PCM containers (WAV / BWF / RF64 / AIFF) are streamed through the worker when
+ * `stream` is set or the file is large, else read whole at their native sample rate; anything
+ * else is decoded by the browser.
+ * @returns {Promise<{ result: object, buffer: AudioBuffer | null }>}  buffer is null when streamed
+ */
+async function measureFile(file, opts = {}, stream = false) {
+  const info = await readPcmInfo(file).catch(() => null);
+  const bext = info && info.container !== 'AIFF' && info.container !== 'AIFC'
+    ? await readBext(file, info).catch(err => { logln('bext ilegible:', err.message); return null; })
+    : null;
+  if (info && (stream || file.size >= STREAM_MIN_BYTES)) {
+    logln('Análisis por bloques:', file.name, '·', pcmFormatLabel(info) + ',',
+      info.sampleRate + ' Hz, ' + info.channels + ' ch, ' + fmtTime(info.frames / info.sampleRate));
+    const result = await measureStream(file, info, opts);
+    result.file = fileMeta(file, { duration: info.frames / info.sampleRate, sampleRate: info.sampleRate, numberOfChannels: info.channels }, info, bext);
+    return { result, buffer: null };
+  }
+  const buffer = info ? await readPcmFile(file, info) : await decodeFile(file);
+  if (opts.signal?.aborted) throw Object.assign(new Error('Cancelado'), { cancelled: true });
+  const result = await measureBuffer(buffer, opts);
+  result.file = fileMeta(file, buffer, info, bext);
+  return { result, buffer };
+}
+
+// Progress bar + cancel button around an analysis; fn receives { signal, onProgress }
+async function runJob(label, fn) {
+  const controller = new AbortController();
+  job = { controller };
+  els.jobBox.hidden = false;
+  els.jobText.textContent = label;
+  els.jobProgress.removeAttribute('value'); // indeterminate until the first progress message
+  const onProgress = (f) => {
+    els.jobProgress.value = f;
+    els.jobText.textContent = `${label} · ${Math.round(f * 100)} %`;
+  };
+  try {
+    return await fn({ signal: controller.signal, onProgress });
+  } finally {
+    job = null;
+    els.jobBox.hidden = true;
+  }
+}
+
+async function decodeFile(file) {
   logln('Decodificando:', file.name);
   if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-
   const abuf = await file.arrayBuffer();
   const buffer = await audioCtx.decodeAudioData(abuf);
   logln('Audio decodificado:', buffer.sampleRate + ' Hz, ' + buffer.numberOfChannels + ' ch, ' + (buffer.duration.toFixed(3)) + ' s');
+  return buffer;
+}
+
+// PCM containers at their own sample rate: decodeAudioData would resample to the context's.
+// Decoded a slice at a time, so only the AudioBuffer itself is held whole
+async function readPcmFile(file, info) {
+  logln('Leyendo:', file.name, '·', pcmFormatLabel(info) + ',', info.sampleRate + ' Hz, ' + info.channels + ' ch');
+  const buffer = new AudioBuffer({ length: Math.max(1, info.frames), numberOfChannels: info.channels, sampleRate: info.sampleRate });
+  const FRAMES = 1 << 18;
+  for (let f = 0; f < info.frames; f += FRAMES) {
+    const start = info.dataOffset + f * info.blockAlign;
+    const n = Math.min(FRAMES, info.frames - f);
+    const chans = decodePcm(await file.slice(start, start + n * info.blockAlign).arrayBuffer(), info);
+    chans.forEach((x, c) => buffer.copyToChannel(x, c, f));
+  }
+  logln('Audio leído:', fmtTime(buffer.duration));
+  return buffer;
+}
 
-  logln('Render K-weighted (offline)…');
-  const kbuf = await renderKWeighted(buffer);
+// info / bext: native format and broadcast extension of PCM containers (null otherwise)
+function fileMeta(file, buffer, info = null, bext = null) {
+  return {
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    lastModified: file.lastModified,
+    duration: buffer.duration,
+    sampleRate: buffer.sampleRate,
+    channels: buffer.numberOfChannels,
+    ...(info ? { format: pcmFormatLabel(info), container: info.container, bext } : {}),
+  };
+}
 
-  // Collect channels data copies (transferable-friendly)
+// Worker measurement of a decoded buffer (file, or a normalized version of it). The one copy of
+// the samples made here is transferred: the worker K-weights it in place
+async function measureBuffer(buffer, opts = {}) {
   const channels = [];
-  for (let c = 0; c < kbuf.numberOfChannels; c++) {
-    channels.push(kbuf.getChannelData(c).slice());
-  }
+  for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice());
+  return measureChannels(channels, buffer.sampleRate, opts);
+}
 
-  const w = ensureWorker();
-  const result = await new Promise((resolve, reject) => {
-    const onMsg = (ev) => {
-      if (ev.data?.ok) { w.removeEventListener('message', onMsg); resolve(ev.data.result); }
-      else if (ev.data?.ok === false) { w.removeEventListener('message', onMsg); reject(new Error(ev.data?.error || 'Worker error')); }
-    };
-    w.addEventListener('message', onMsg);
-    w.postMessage({
-      type: 'compute',
-      payload: {
-        channels,
-        sampleRate: kbuf.sampleRate,
-        hopSec: DEFAULT_HOP_SEC,
-        mWindowSec: M_WINDOW_SEC,
-        sWindowSec: S_WINDOW_SEC,
-      }
-    });
-  });
+// channels are transferred (detached afterwards); opts: { signal, onProgress } as in workerCall
+async function measureChannels(channels, sampleRate, opts = {}) {
+  const layout = measureLayout(channels.length);
+  const result = await workerCall('compute', {
+    channels,
+    sampleRate,
+    weights: layout.weights,
+    tpCeilingDb: tpCeilingDb(),
+    hopSec: DEFAULT_HOP_SEC,
+    mWindowSec: M_WINDOW_SEC,
+    sWindowSec: S_WINDOW_SEC,
+  }, channels.map(x => x.buffer), opts);
+  result.layout = layout;
+  result.settings = measurementSettings(layout, result.tpOversampling, result.tpCeilingDb);
+  return result;
+}
 
-  logln('Cálculo OK. Actualizando UI…');
-  updateUIFromResult(result);
+// Streaming counterpart of measureBuffer: the worker reads the file itself
+async function measureStream(file, info, opts = {}) {
+  const layout = measureLayout(info.channels);
+  const result = await workerCall('stream', {
+    file,
+    info,
+    weights: layout.weights,
+    tpCeilingDb: tpCeilingDb(),
+    hopSec: DEFAULT_HOP_SEC,
+    mWindowSec: M_WINDOW_SEC,
+    sWindowSec: S_WINDOW_SEC,
+  }, [], opts);
+  result.layout = layout;
+  result.settings = measurementSettings(layout, result.tpOversampling, result.tpCeilingDb);
+  return result;
+}
+
+function measureLayout(nCh) {
+  const layout = resolveLayout(nCh, els.layoutSelect.value);
+  if (layout.mismatch) logln('Layout elegido no coincide con', nCh, 'canales; usando auto:', layout.label);
+  logln('Layout:', layout.label, '· pesos', layout.weights.join(' '));
+  return layout;
 }
 
 function updateUIFromResult(r) {
+  lastResult = r;
+  for (const b of [els.exportJson, els.exportCsv, els.exportHtml, els.exportPrint]) b.disabled = false;
   // Metrics
   els.lufsI.textContent = fmtLU(r.lufsI);
+  els.lufsD.textContent = r.lufsD === undefined ? '—' : fmtLU(r.lufsD);
+  els.speechPct.textContent = r.speechPct === undefined ? '—' : `${r.speechPct.toFixed(0)} %`;
   els.lufsS.textContent = (r.lufsS.length ? fmtLU(r.lufsS[r.lufsS.length - 1]) : '—');
   els.lufsM.textContent = (r.lufsM.length ? fmtLU(r.lufsM[r.lufsM.length - 1]) : '—');
 
@@ -453,146 +553,1986 @@ function updateUIFromResult(r) {
   els.plr.textContent = fmtLU(r.plr);
   els.dr.textContent = fmtLU(r.dr);
 
+  els.tpHint.textContent = `Oversampling ${r.tpOversampling}× (FIR BS.1770-4)`;
+  renderOvers(r.overs, r.overCount, r.layout?.labels);
+
+  if (r.layout) renderChannelTable(r.layout, r.lufsICh, 'LUFS-I', r.dbtpCh);
+  renderCompliance(metricsOf(r));
+  showBext(r);
+  showStereo(r);
+  showSpectrogram(r.spectrum);
+  resetRegions();
+  resetCompare();
+
   // Charts
-  drawSeries(els.canvasM, r.timesM, r.lufsM);
-  drawSeries(els.canvasS, r.timesS, r.lufsS);
+  charts.M.setData(r.timesM, r.lufsM);
+  charts.S.setData(r.timesS, r.lufsS);
+  charts.M.setSpeech(r.speech);
+  charts.S.setSpeech(r.speech);
+  updateChartOverlays({ lufsI: r.lufsI, gateRel: r.gateRel, lraLow: r.lraLow, lraHigh: r.lraHigh });
+  histChart.setData(r.distM, r.distS, {
+    gateRel: r.gateRel, lraThr: r.lraThr, lraLow: r.lraLow, lraHigh: r.lraHigh, drLow: r.drLow, drHigh: r.drHigh,
+  });
+  histChart.draw();
+  drawFileCharts();
 }
 
-// ---------- Live (mic) with AudioWorklet ----------
+function drawFileCharts() {
+  if (!lastResult || live.running) return;
+  const cursorT = player.buffer ? playbackPosition() + playerShift() : NaN;
+  charts.M.setCursor(cursorT);
+  charts.S.setCursor(cursorT);
+  charts.M.draw();
+  charts.S.draw();
+  drawTimeViews();
+}
 
-async function toggleLive() {
+function redrawCharts() {
   if (live.running) {
-    // stop
-    live.workletNode?.port?.postMessage({ type: 'stop' });
-    live.workletNode?.disconnect();
-    live.hs?.disconnect();
-    live.hp?.disconnect();
-    if (live.stream) {
-      live.stream.getTracks().forEach(t => t.stop());
+    charts.M.draw();
+    charts.S.draw();
+  } else {
+    drawFileCharts();
+  }
+}
+
+// Reference lines: profile target and integrated on both; relative gate on M, LRA band on S
+function updateChartOverlays(refs = chartRefs) {
+  chartRefs = refs;
+  const color = (name, fallback) => getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+  const common = [
+    { value: profileTarget(), label: 'Objetivo', color: color('--ok', '#39d98a') },
+    { value: refs.lufsI, label: 'I', color: color('--accent', '#5aa9e6'), dash: [2, 3] },
+  ];
+  charts.M.setOverlays([...common, { value: refs.gateRel, label: 'Gate rel', color: color('--muted', '#aaa') }]);
+  charts.S.setOverlays([{ from: refs.lraLow, to: refs.lraHigh, label: 'LRA', color: color('--warn', '#ffcf5c') }, ...common]);
+}
+
+function chartSeek(t) {
+  if (!player.buffer || live.running || !lastResult) return;
+  seekTo(t - playerShift());
+}
+
+// Per-channel loudness (and true peak) next to the weighted sum
+function renderChannelTable(layout, values, unit, tpCh) {
+  els.channelLayout.textContent = layout.label;
+  const rows = layout.labels.map((name, c) => {
+    const w = layout.weights[c];
+    const wTxt = w === 0 ? 'excluido' : (w === 1 ? '1.0' : `${w} (+${fmtDb(10 * Math.log10(w))} dB)`);
+    const v = values?.[c];
+    const tp = tpCh?.[c];
+    return `<tr${w === 0 ? ' class="excluded"' : ''}><th>${name}</th><td>${wTxt}</td><td>${v === undefined ? '—' : fmtLU(v)}</td>`
+      + `<td>${tp === undefined ? '—' : fmtDb(tp)}</td></tr>`;
+  });
+  els.channelTable.innerHTML = `<thead><tr><th>Canal</th><th>Peso</th><th>${unit}</th><th>dBTP</th></tr></thead><tbody>${rows.join('')}</tbody>`;
+}
+
+// ---------- Delivery profiles & compliance ----------
+
+const PROFILE_STORAGE_KEY = 'loudness.profile';
+const PROFILE_FIELDS = ['targetI', 'tolI', 'targetD', 'tolD', 'maxTP', 'maxS', 'maxM', 'lraMin', 'lraMax', 'maxMonoDrop', 'warnLU'];
+const VERDICT_TEXT = { pass: 'Cumple', warn: 'Aviso', fail: 'No cumple' };
+const CHECK_LABELS = {
+  lufsI: 'Integrated', lufsD: 'Dialogue', dbtp: 'True Peak', lufsSmax: 'Max Short-term', lufsMmax: 'Max Momentary', lra: 'LRA',
+  monoDrop: 'Mono fold-down',
+};
+// metric → card showing it
+const CHECK_CARDS = { lufsI: 'lufsI', lufsD: 'lufsD', dbtp: 'dbtp', lufsSmax: 'lufsS', lufsMmax: 'lufsM', lra: 'lra', monoDrop: 'corr' };
+
+function currentProfile() {
+  const profiles = allProfiles();
+  return profiles[els.profileSelect.value] || profiles['ebu-r128'];
+}
+
+// Reference level of a profile: its integrated target, else its dialogue target
+function profileTarget(p = currentProfile()) {
+  return Number(p.targetI ?? p.targetD ?? NaN);
+}
+
+function fillProfileSelect(selected) {
+  const profiles = allProfiles();
+  els.profileSelect.innerHTML = Object.entries(profiles)
+    .map(([key, p]) => `<option value="${escapeHtml(key)}">${escapeHtml(p.label)}</option>`).join('');
+  els.profileSelect.value = profiles[selected] ? selected : 'ebu-r128';
+  fillProfileForm();
+}
+
+function fillProfileForm() {
+  const p = currentProfile();
+  const f = els.profileForm.elements;
+  f.label.value = els.profileSelect.value.startsWith('custom:') ? p.label : '';
+  for (const k of PROFILE_FIELDS) f[k].value = p[k] ?? '';
+  els.profileDelete.disabled = !els.profileSelect.value.startsWith('custom:');
+}
+
+function renderCompliance(m) {
+  lastMetrics = m;
+  const profile = currentProfile();
+  const { verdict, checks } = m ? checkCompliance(m, profile) : { verdict: null, checks: [] };
+
+  for (const id of Object.values(CHECK_CARDS)) els[id].closest('.card').classList.remove('pass', 'warn', 'fail');
+  for (const c of checks) els[CHECK_CARDS[c.metric]].closest('.card').classList.add(c.status);
+
+  els.profileVerdict.className = 'verdict' + (verdict ? ' ' + verdict : '');
+  els.profileVerdict.textContent = verdict ? VERDICT_TEXT[verdict] : '—';
+  els.profileChecks.innerHTML = checks.length
+    ? '<thead><tr><th>Métrica</th><th>Valor</th><th>Límite</th><th>Estado</th></tr></thead><tbody>'
+      + checks.map(c => `<tr><th>${CHECK_LABELS[c.metric]}</th><td>${c.metric === 'monoDrop' ? fmtDrop(c.value) : fmtLU(c.value)}</td><td>${c.limit}</td>`
+        + `<td class="${c.status}">${VERDICT_TEXT[c.status]}</td></tr>`).join('')
+      + '</tbody>'
+    : '';
+}
+
+function complianceOf(r) {
+  const profile = currentProfile();
+  return { profile: profile.label, ...checkCompliance(metricsOf(r), profile) };
+}
+
+function tpCeilingDb() {
+  const v = parseFloat(els.tpCeiling.value);
+  return Number.isFinite(v) ? v : -1;
+}
+
+const MAX_OVER_ROWS = 200;
+
+// Overs above the true-peak ceiling: time, channel, duration, peak
+function renderOvers(overs, count, labels) {
+  els.overCount.textContent = count ? `${count} over${count === 1 ? '' : 's'}` : 'Ninguno';
+  const rows = (overs || []).slice(0, MAX_OVER_ROWS).map((o, i) =>
+    `<tr><td>${i + 1}</td><td>${fmtTime(o.t)}</td><td>${labels?.[o.ch] ?? 'Ch' + (o.ch + 1)}</td>`
+    + `<td>${o.dur === undefined ? '—' : Math.round(o.dur * 1000) + ' ms'}</td><td>${fmtDb(o.dbtp)}</td></tr>`);
+  if (count > rows.length) rows.push(`<tr><td colspan="5">… ${count - rows.length} más</td></tr>`);
+  els.overTable.innerHTML = rows.length
+    ? `<thead><tr><th>#</th><th>Tiempo</th><th>Canal</th><th>Duración</th><th>dBTP</th></tr></thead><tbody>${rows.join('')}</tbody>`
+    : '';
+}
+
+// ---------- File playback (transport) ----------
+
+function loadPlayer(buffer, layout = lastResult?.layout) {
+  player.buffer = buffer;
+  player.layout = layout;
+  player.offset = 0;
+  // metering nodes are rebuilt for the new file (its layout / sample rate)
+  player.workletNode?.disconnect();
+  player.kw?.nodes.forEach(n => n.disconnect());
+  player.gain?.disconnect();
+  player.workletNode = null;
+  player.kw = null;
+  player.gain = null;
+  els.playBtn.disabled = false;
+  els.seekBar.disabled = false;
+  els.seekBar.max = buffer.duration;
+  updateTransportUI();
+}
+
+function unloadPlayer() {
+  stopPlayback();
+  player.buffer = null;
+  player.offset = 0;
+  els.playBtn.disabled = true;
+  els.seekBar.disabled = true;
+  els.seekBar.value = 0;
+  els.playTime.textContent = '—';
+}
+
+async function ensurePlayerGraph() {
+  if (player.workletNode) return;
+  if (!player.moduleLoaded) {
+    await audioCtx.audioWorklet.addModule('worklet-processor.js');
+    player.moduleLoaded = true;
+  }
+  const kw = createKWeightingNodes(audioCtx);
+  const worklet = new AudioWorkletNode(audioCtx, 'loudness-processor', {
+    numberOfInputs: 2,
+    numberOfOutputs: 0,
+    outputChannelCount: [],
+    processorOptions: {
+      sampleRate: audioCtx.sampleRate,
+      mWindowSec: M_WINDOW_SEC,
+      sWindowSec: S_WINDOW_SEC,
+      hopSec: DEFAULT_HOP_SEC,
+      kOffsetDb: K_OFFSET_DB,
+      channelWeights: player.layout?.weights,
+      tpCeilingDb: tpCeilingDb(),
     }
-    live.ctx?.close();
-    live = { ctx: null, stream: null, workletNode: null, hp: null, hs: null, running: false };
-    els.liveBtn.textContent = 'Live (mic)';
-    logln('Live detenido.');
-    return;
+  });
+  // while listening only M/S follow the audio; the other cards keep the file's values
+  worklet.port.onmessage = (ev) => {
+    const d = ev.data || {};
+    if (d.type === 'metrics' && player.playing) {
+      els.lufsM.textContent = fmtLU(d.M.current);
+      els.lufsS.textContent = fmtLU(d.S.current);
+    }
+  };
+  kw.output.connect(worklet, 0, 0);
+  const gain = audioCtx.createGain();
+  gain.connect(audioCtx.destination);
+  player.kw = kw;
+  player.workletNode = worklet;
+  player.gain = gain;
+}
+
+function playbackPosition() {
+  if (!player.playing) return player.offset;
+  return Math.min(player.buffer.duration, player.offset + (audioCtx.currentTime - player.startedAt));
+}
+
+async function startPlayback(offset = player.offset) {
+  if (!player.buffer) return;
+  if (live.running) await toggleLive();
+  await audioCtx.resume();
+  await ensurePlayerGraph();
+  stopSource();
+  if (offset >= player.buffer.duration) offset = 0;
+
+  const src = audioCtx.createBufferSource();
+  src.buffer = player.buffer;
+  src.connect(player.gain);
+  src.connect(player.kw.input);
+  src.connect(player.workletNode, 0, 1);
+  src.onended = () => {
+    // natural end of file (manual stops clear this handler first)
+    player.offset = player.buffer.duration;
+    player.playing = false;
+    player.src = null;
+    updateTransportUI();
+  };
+  // fresh M/S windows: the audio jumps, the worklet must not mix old and new material
+  player.workletNode.port.postMessage({ type: 'reset' });
+  applyPlayerGain();
+  src.start(0, offset);
+
+  player.src = src;
+  player.offset = offset;
+  player.startedAt = audioCtx.currentTime;
+  player.playing = true;
+  updateTransportUI();
+  cancelAnimationFrame(player.raf);
+  player.raf = requestAnimationFrame(playheadLoop);
+}
+
+function stopSource() {
+  if (!player.src) return;
+  player.src.onended = null;
+  player.src.stop();
+  player.src.disconnect();
+  player.src = null;
+}
+
+function pausePlayback() {
+  if (!player.playing) return;
+  player.offset = playbackPosition();
+  player.playing = false;
+  stopSource();
+  updateTransportUI();
+}
+
+function stopPlayback() {
+  pausePlayback();
+  player.offset = 0;
+}
+
+function seekTo(t) {
+  if (!player.buffer || !Number.isFinite(t)) return;
+  const pos = Math.min(player.buffer.duration, Math.max(0, t));
+  if (player.playing) startPlayback(pos);
+  else {
+    player.offset = pos;
+    updateTransportUI();
   }
+}
 
-  // start
-  try {
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: { channelCount: { ideal: 2 }, noiseSuppression: false, echoCancellation: false, autoGainControl: false } });
-    const ctx = new (window.AudioContext || window.webkitAudioContext)({ latencyHint: 'interactive' });
-    await ctx.audioWorklet.addModule('worklet-processor.js');
-    const src = ctx.createMediaStreamSource(stream);
+function playheadLoop() {
+  updateTransportUI();
+  if (player.playing) player.raf = requestAnimationFrame(playheadLoop);
+}
 
-    // K-weighting nodes (main thread to keep worklet simple)
-    const hp = ctx.createBiquadFilter();
-    hp.type = 'highpass';
-    hp.frequency.value = 60;
-    hp.Q.value = Math.SQRT1_2;
+function updateTransportUI() {
+  if (!player.buffer) return;
+  const pos = playbackPosition();
+  els.playBtn.textContent = player.playing ? '⏸ Pausa' : '▶ Reproducir';
+  els.seekBar.value = pos;
+  els.playTime.textContent = `${fmtTime(pos)} / ${fmtTime(player.buffer.duration)}`;
+  drawFileCharts();
+}
 
-    const hs = ctx.createBiquadFilter();
-    hs.type = 'highshelf';
-    hs.frequency.value = 4000;
-    hs.gain.value = 4;
-    hs.Q.value = 0.707;
+// ---------- Batch analysis & album loudness ----------
 
-    const worklet = new AudioWorkletNode(ctx, 'loudness-processor', {
-      numberOfInputs: 1,
-      numberOfOutputs: 0,
-      outputChannelCount: [],
-      processorOptions: {
-        sampleRate: ctx.sampleRate,
-        mWindowSec: M_WINDOW_SEC,
-        sWindowSec: S_WINDOW_SEC,
-        hopSec: DEFAULT_HOP_SEC,
-        kOffsetDb: K_OFFSET_DB,
+const AUDIO_EXT = /\.(wav|wave|bwf|rf64|aif|aiff|aifc|flac|mp3|m4a|aac|mp4|ogg|oga|opus|webm|caf)$/i;
+
+function isAudioFile(file) {
+  return file.type.startsWith('audio/') || AUDIO_EXT.test(file.name);
+}
+
+// Files from a drop: folders are walked recursively (webkitGetAsEntry)
+async function filesFromDataTransfer(dt) {
+  const entries = [...dt.items].map(it => it.webkitGetAsEntry?.()).filter(Boolean);
+  if (!entries.length) return [...dt.files];
+  const files = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      for (;;) {
+        const batchEntries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!batchEntries.length) break;
+        for (const e of batchEntries) await walk(e);
       }
-    });
+    }
+  };
+  for (const e of entries) await walk(e);
+  return files;
+}
 
-    worklet.port.onmessage = (ev) => {
-      const d = ev.data || {};
-      if (d.type === 'metrics') {
-        // live instantaneous updates
-        els.lufsM.textContent = fmtLU(d.M.current);
-        els.lufsS.textContent = fmtLU(d.S.current);
-        els.lufsI.textContent = fmtLU(d.integrated);
-        els.dbtp.textContent = fmtDb(d.dbtp);
-        els.plr.textContent = fmtLU(d.dbtp - d.integrated);
-        els.lra.textContent = fmtLU(d.lra);
-        els.dr.textContent = fmtLU(d.dr);
-
-        // Draw partial series
-        if (d.M.times && d.M.values) drawSeries(els.canvasM, d.M.times, d.M.values);
-        if (d.S.times && d.S.values) drawSeries(els.canvasS, d.S.times, d.S.values);
-
-        // Max times
-        if (typeof d.M.maxIdx === 'number' && d.M.times?.length) {
-          els.lufsMmax.textContent = fmtLU(d.M.values[d.M.maxIdx]);
-          els.tMmax.textContent = fmtTime(d.M.times[d.M.maxIdx]);
-        }
-        if (typeof d.S.maxIdx === 'number' && d.S.times?.length) {
-          els.lufsSmax.textContent = fmtLU(d.S.values[d.S.maxIdx]);
-          els.tSmax.textContent = fmtTime(d.S.times[d.S.maxIdx]);
+async function runBatch(fileList) {
+  const files = [...fileList].filter(isAudioFile)
+    .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true }));
+  if (!files.length) {
+    alert('No hay archivos de audio en la selección.');
+    return;
+  }
+  if (batch.running) {
+    alert('Ya hay un lote en curso.');
+    return;
+  }
+  if (job) {
+    alert('Ya hay un análisis en curso.');
+    return;
+  }
+  stopPlayback();
+  batch = { items: files.map((file, order) => ({ file, order, status: 'pending' })), album: null, sortKey: 'order', sortDir: 1, running: true };
+  els.batchCard.hidden = false;
+  renderBatch();
+
+  // PCM files are always streamed here: the batch never needs the decoded audio
+  const n = batch.items.length;
+  let cancelled = false;
+  await runJob(`Lote de ${n} archivos`, async ({ signal, onProgress }) => {
+    for (let i = 0; i < n && !cancelled; i++) {
+      const item = batch.items[i];
+      item.status = 'running';
+      els.batchStatus.textContent = `Analizando ${i + 1}/${n}: ${item.file.name}`;
+      renderBatch();
+      try {
+        ({ result: item.result } = await measureFile(item.file, { signal, onProgress: f => onProgress((i + f) / n) }, true));
+        item.status = 'done';
+        await remember(item.result, item.file);
+      } catch (err) {
+        if (err.cancelled) {
+          cancelled = true;
+          item.status = 'pending';
+        } else {
+          console.error(err);
+          logln('Error en', item.file.name + ':', err.message);
+          item.error = err.message;
+          item.status = 'error';
         }
-      } else if (d.type === 'log') {
-        logln('[live]', d.msg);
       }
-    };
-
-    src.connect(hp).connect(hs).connect(worklet);
+      onProgress((i + 1) / n);
+      renderBatch();
+    }
+  });
 
-    live = { ctx, stream, workletNode: worklet, hp, hs, running: true };
-    els.liveBtn.textContent = 'Detener Live';
-    logln('Live iniciado @', ctx.sampleRate, 'Hz');
-  } catch (err) {
-    console.error(err);
-    alert('No se pudo iniciar el modo Live: ' + err.message);
+  const done = batch.items.filter(it => it.status === 'done');
+  if (done.length) {
+    const album = await workerCall('album', {
+      lufsM: done.flatMap(it => it.result.lufsM),
+      lufsS: done.flatMap(it => it.result.lufsS),
+    });
+    album.dbtp = Math.max(...done.map(it => it.result.dbtp));
+    album.files = done.length;
+    album.duration = done.reduce((a, it) => a + it.result.file.duration, 0);
+    batch.album = album;
   }
+  batch.running = false;
+  const failed = batch.items.filter(it => it.status === 'error').length;
+  els.batchStatus.textContent = `${done.length} analizados` + (failed ? `, ${failed} con error` : '')
+    + (cancelled ? ' (cancelado)' : '') + '. Clic en una fila para abrirla.';
+  logln('Lote terminado:', els.batchStatus.textContent);
+  renderBatch();
 }
 
-// ---------- Event bindings ----------
+// Sort keys → value getter (non-finite values always sort last)
+const BATCH_COLUMNS = [
+  ['order', '#', it => it.order + 1],
+  ['name', 'Archivo', it => it.file.name],
+  ['lufsI', 'I (LUFS)', it => it.result?.lufsI],
+  ['lufsD', 'Diálogo', it => it.result?.lufsD],
+  ['lra', 'LRA (LU)', it => it.result?.lra],
+  ['dbtp', 'TP (dBTP)', it => it.result?.dbtp],
+  ['plr', 'PLR (LU)', it => it.result?.plr],
+  ['monoDrop', 'Mono (LU)', it => it.result?.stereo?.monoDrop],
+  ['mMax', 'Max M', it => it.result && it.result.mMaxIdx >= 0 ? it.result.lufsM[it.result.mMaxIdx] : undefined],
+  ['sMax', 'Max S', it => it.result && it.result.sMaxIdx >= 0 ? it.result.lufsS[it.result.sMaxIdx] : undefined],
+  ['verdict', 'Perfil', it => (it.result ? ['pass', 'warn', 'fail'].indexOf(complianceOf(it.result).verdict) : undefined)],
+];
+
+function renderBatch() {
+  const col = BATCH_COLUMNS.find(c => c[0] === batch.sortKey) || BATCH_COLUMNS[0];
+  const get = col[2];
+  const rows = batch.items.slice().sort((a, b) => {
+    const va = get(a), vb = get(b);
+    if (typeof va === 'string') return va.localeCompare(vb, undefined, { numeric: true }) * batch.sortDir;
+    const fa = Number.isFinite(va), fb = Number.isFinite(vb);
+    if (!fa || !fb) return fa === fb ? a.order - b.order : (fa ? -1 : 1);
+    return (va - vb) * batch.sortDir;
+  });
 
-els.analyzeBtn.addEventListener('click', async () => {
+  const head = BATCH_COLUMNS.map(([key, label]) => {
+    const arrow = key === batch.sortKey ? (batch.sortDir > 0 ? ' ▲' : ' ▼') : '';
+    return `<th data-key="${key}">${label}${arrow}</th>`;
+  }).join('') + '<th>Estado</th>';
+
+  const status = { pending: 'en cola', running: 'analizando…', done: 'OK', error: 'error' };
+  const body = rows.map(it => {
+    const cells = BATCH_COLUMNS.map(([key, , g]) => {
+      const v = g(it);
+      if (key === 'order') return `<td>${v}</td>`;
+      if (key === 'name') return `<td class="name">${escapeHtml(it.file.webkitRelativePath || v)}</td>`;
+      if (key === 'verdict') {
+        const verdict = ['pass', 'warn', 'fail'][v];
+        return verdict ? `<td class="${verdict}">${VERDICT_TEXT[verdict]}</td>` : '<td>—</td>';
+      }
+      if (key === 'monoDrop') return `<td>${v === undefined ? '—' : fmtDrop(v)}</td>`;
+      return `<td>${v === undefined ? '—' : fmtLU(v)}</td>`;
+    }).join('');
+    const st = it.status === 'error' ? `<span title="${escapeHtml(it.error)}">error</span>` : status[it.status];
+    return `<tr data-order="${it.order}" class="${it.status}">${cells}<td>${st}</td></tr>`;
+  }).join('');
+
+  els.batchTable.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`;
+
+  const a = batch.album;
+  els.batchAlbum.textContent = a
+    ? `Álbum (${a.files} archivos, ${fmtTime(a.duration)}): ${fmtLU(a.lufsI)} LUFS-I · LRA ${fmtLU(a.lra)} LU · TP ${fmtDb(a.dbtp)} dBTP · PLR ${fmtLU(a.dbtp - a.lufsI)} LU`
+    : '';
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// ---------- A/B comparison ----------
+
+const COMPARE_HINT = 'A vacío: se usa el archivo actual. Ambos se miden con el mismo layout y techo; B se superpone en las gráficas M / S.';
+
+// Settings changed: measure the current file again (both of them in A/B mode)
+async function reanalyze() {
+  if (compare) await runCompare(compare.a.file, compare.b.file, compare.offset);
+  else if (lastFile) await analyzeFile(lastFile);
+}
+
+async function runCompare(fileA, fileB, offset = 0) {
+  if (!fileA || !fileB) {
+    alert('Elige el archivo B (y A, si no es el archivo actual).');
+    return;
+  }
+  if (job) {
+    alert('Ya hay un análisis en curso.');
+    return;
+  }
+  stopPlayback();
+  let measured;
   try {
-    const file = els.fileInput.files?.[0];
-    await analyzeFile(file);
+    measured = await runJob(`Comparando ${fileA.name} y ${fileB.name}`, async ({ signal, onProgress }) => {
+      const a = await measureFile(fileA, { signal, onProgress: f => onProgress(f / 2) });
+      onProgress(0.5);
+      const b = await measureFile(fileB, { signal, onProgress: f => onProgress(0.5 + f / 2) });
+      return { a, b };
+    });
   } catch (err) {
-    console.error(err);
-    logln('Error:', err.message);
-    alert('Error al analizar: ' + err.message);
+    if (!err.cancelled) throw err;
+    logln('Comparación cancelada.');
+    return;
   }
-});
+  const { a, b } = measured;
+  lastFile = fileA;
+
+  logln('A/B:', fileA.name, 'frente a', fileB.name);
+  updateUIFromResult(a.result);
+  if (a.buffer) loadPlayer(a.buffer);
+  else unloadPlayer();
+  resetNormalization();
+  compare = { a: { file: fileA, ...a }, b: { file: fileB, ...b }, offset, side: 'A' };
+  showCompare();
+  await remember(a.result, fileA);
+  await remember(b.result, fileB);
+}
 
-els.liveBtn.addEventListener('click', toggleLive);
+function resetCompare() {
+  compare = null;
+  charts.M.setCompare(null);
+  charts.S.setCompare(null);
+  renderCompare();
+}
 
-// Light/Dark manual toggle (forces color-scheme via data-theme attr)
-els.darkToggle.addEventListener('change', (e) => {
-  if (e.target.checked) {
-    document.documentElement.style.colorScheme = 'dark';
-  } else {
-    document.documentElement.style.colorScheme = 'light';
+// B's series on the charts, shifted onto A's time axis
+function showCompare() {
+  const { result: b } = compare.b;
+  const shift = times => Array.from(times, t => t + compare.offset);
+  charts.M.setCompare(shift(b.timesM), b.lufsM);
+  charts.S.setCompare(shift(b.timesS), b.lufsS);
+  renderCompare();
+  redrawCharts();
+}
+
+function renderCompare() {
+  const c = compare;
+  const playable = !!(c?.a.buffer && c?.b.buffer);
+  els.compareClear.disabled = els.compareAlign.disabled = els.compareOffset.disabled = !c;
+  els.compareSide.disabled = els.compareMatch.disabled = !playable;
+  if (!c) {
+    els.compareTable.innerHTML = '';
+    els.compareInfo.textContent = COMPARE_HINT;
+    els.compareSide.value = 'A';
+    return;
   }
-});
+  els.compareOffset.value = c.offset.toFixed(1);
+  els.compareSide.value = c.side;
+  const rows = compareMetrics(c.a.result, c.b.result).map(r =>
+    `<tr><th>${r.label} (${r.unit})</th><td>${fmtLU(r.a)}</td><td>${fmtLU(r.b)}</td>`
+    + `<td>${fmtDelta(r.delta)} ${r.unit === 'dBTP' ? 'dB' : 'LU'}</td></tr>`);
+  els.compareTable.innerHTML = '<thead><tr><th></th><th>A</th><th>B</th><th>Δ (B − A)</th></tr></thead>'
+    + `<tbody>${rows.join('')}</tbody>`;
+
+  const g = matchedGains(c.a.result.lufsI, c.b.result.lufsI);
+  const listen = !playable
+    ? 'Escucha A/B no disponible: un archivo se analizó por bloques sin decodificar.'
+    : els.compareMatch.checked ? `Escucha igualada: A ${fmtDelta(g.a)} dB · B ${fmtDelta(g.b)} dB.` : 'Escucha sin igualar.';
+  els.compareInfo.textContent = `A: ${c.a.file.name} · B: ${c.b.file.name} · B desplazado ${fmtDelta(c.offset)} s. ${listen}`;
+}
 
-// ---------- Test helpers (callable from console) ----------
+function setCompareOffset(offset) {
+  if (!compare || !Number.isFinite(offset)) return;
+  // B keeps playing at the same point of the chart
+  const t = playbackPosition() + playerShift();
+  compare.offset = offset;
+  if (compare.side === 'B' && player.buffer) seekTo(t - offset);
+  showCompare();
+}
 
-async function computeFromChannels(channels, sampleRate) {
-  const w = ensureWorker();
-  return await new Promise((resolve, reject) => {
-    const onMsg = (ev) => {
-      if (ev.data?.ok) { w.removeEventListener('message', onMsg); resolve(ev.data.result); }
-      else if (ev.data?.ok === false) { w.removeEventListener('message', onMsg); reject(new Error(ev.data?.error || 'Worker error')); }
-    };
-    w.addEventListener('message', onMsg);
-    w.postMessage({
-      type: 'compute',
-      payload: {
-        channels, sampleRate,
-        hopSec: DEFAULT_HOP_SEC,
-        mWindowSec: M_WINDOW_SEC,
-        sWindowSec: S_WINDOW_SEC,
-      }
-    });
+function alignCompare() {
+  if (!compare) return;
+  const { offset, score } = alignOffset(compare.a.result.lufsM, compare.b.result.lufsM, DEFAULT_HOP_SEC);
+  if (!Number.isFinite(score)) {
+    logln('A/B: el loudness no varía lo suficiente para alinear.');
+    return;
+  }
+  logln('A/B: B alineado', fmtDelta(offset), 's (correlación', score.toFixed(2) + ')');
+  setCompareOffset(offset);
+}
+
+// Player position on the chart time axis: B plays shifted by the A/B offset
+function playerShift() {
+  return compare?.side === 'B' ? compare.offset : 0;
+}
+
+// Switches the player between A and B at the same point of the chart, playing on if it was
+async function listenCompare(side) {
+  if (!compare || compare.side === side) return;
+  const target = side === 'A' ? compare.a : compare.b;
+  if (!target.buffer) return;
+  const wasPlaying = player.playing;
+  const t = playbackPosition() + playerShift();
+  pausePlayback();
+  compare.side = side;
+  loadPlayer(target.buffer, target.result.layout);
+  player.offset = Math.min(target.buffer.duration, Math.max(0, t - playerShift()));
+  if (wasPlaying) await startPlayback();
+  else updateTransportUI();
+  renderCompare();
+}
+
+// Loudness-matched A/B listening: the louder one is turned down (monitoring only, the meter
+// before the gain still reads the file)
+function applyPlayerGain() {
+  if (!player.gain) return;
+  let db = 0;
+  if (compare && els.compareMatch.checked) {
+    const g = matchedGains(compare.a.result.lufsI, compare.b.result.lufsI);
+    db = compare.side === 'B' ? g.b : g.a;
+  }
+  player.gain.gain.value = Math.pow(10, db / 20);
+}
+
+// ---------- History (IndexedDB) ----------
+
+const HISTORY_HINT = 'Guardado solo en este navegador (IndexedDB).';
+const HISTORY_FILTERS = {
+  all: () => true,
+  changed: e => saved.changed.has(e.hash),
+  fail: e => checkCompliance(e.metrics, currentProfile()).verdict === 'fail',
+  live: e => e.type === 'live',
+};
+
+function fmtDate(iso) {
+  return new Date(iso).toLocaleString('es', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+async function refreshHistory() {
+  saved.entries = await listMeasurements();
+  saved.changed = changedHashes(saved.entries);
+  renderHistory();
+}
+
+// Saves a measurement (file: hashed to recognize it later; none for live) and reports when the
+// same file was measured before with other numbers. Never throws: a failure only goes to the log
+async function remember(result, file = null) {
+  if (!historyAvailable()) return;
+  try {
+    const hash = file ? await fileHash(file) : null;
+    const entry = historyEntry(result, hash);
+    const prev = hash && saved.entries.find(e => e.hash === hash && metricsDiffer(e.metrics, entry.metrics));
+    await saveMeasurement(entry, result);
+    await refreshHistory();
+    els.historyInfo.textContent = HISTORY_HINT;
+    if (prev) {
+      const a = prev.metrics, b = entry.metrics;
+      const text = `${entry.name} ya se midió el ${fmtDate(prev.date)} con otras cifras:`
+        + ` I ${fmtLU(a.lufsI)} → ${fmtLU(b.lufsI)} LUFS · LRA ${fmtLU(a.lra)} → ${fmtLU(b.lra)} LU`
+        + ` · TP ${fmtDb(a.dbtp)} → ${fmtDb(b.dbtp)} dBTP`
+        + (settingsDiffer(prev, entry) ? ' (con otros ajustes)' : '');
+      els.historyInfo.textContent = text;
+      logln(text);
+    }
+  } catch (err) {
+    console.error(err);
+    logln('Historial: no se pudo guardar:', err.message);
+  }
+}
+
+function renderHistory() {
+  const query = els.historySearch.value.trim().toLowerCase();
+  const keep = HISTORY_FILTERS[els.historyFilter.value] || HISTORY_FILTERS.all;
+  const rows = saved.entries.filter(e => (!query || e.name.toLowerCase().includes(query)) && keep(e));
+  const total = saved.entries.length;
+  els.historyCount.textContent = rows.length === total ? String(total) : `${rows.length} / ${total}`;
+  els.historyClear.disabled = !total;
+
+  const profile = currentProfile();
+  const body = rows.map((e) => {
+    const m = e.metrics;
+    const { verdict } = checkCompliance(m, profile);
+    const title = [fmtTime(e.duration), e.format, e.settings?.layout?.label].filter(Boolean).join(' · ');
+    const changed = saved.changed.has(e.hash)
+      ? ' <span class="changed" title="Medido otras veces con cifras distintas">≠</span>' : '';
+    return `<tr data-id="${e.id}"><td>${fmtDate(e.date)}</td>`
+      + `<td class="name" title="${escapeHtml(title)}">${escapeHtml(e.name)}${changed}</td>`
+      + `<td>${fmtLU(m.lufsI)}</td><td>${fmtLU(m.lra)}</td><td>${fmtDb(m.dbtp)}</td>`
+      + (verdict ? `<td class="${verdict}">${VERDICT_TEXT[verdict]}</td>` : '<td>—</td>')
+      + `<td><button class="secondary" data-del="${e.id}" title="Eliminar del historial">✕</button></td></tr>`;
+  }).join('');
+  els.historyTable.innerHTML = rows.length
+    ? '<thead><tr><th>Fecha</th><th>Archivo</th><th>I (LUFS)</th><th>LRA (LU)</th><th>TP (dBTP)</th><th>Perfil</th><th></th></tr></thead>'
+      + `<tbody>${body}</tbody>`
+    : '';
+}
+
+// A saved result becomes the current one: cards, charts, profile and exports, but no audio
+// (playback, regions, normalization and the bext copy need the file analyzed again)
+async function openHistoryEntry(id) {
+  if (job || live.running) {
+    alert('Hay un análisis o una sesión live en curso.');
+    return;
+  }
+  const r = await loadResult(id);
+  if (!r) {
+    logln('Historial: la medición ya no existe.');
+    await refreshHistory();
+    return;
+  }
+  unloadPlayer();
+  lastFile = null;
+  logln('Historial:', r.file?.name, '·', fmtDate(saved.entries.find(e => e.id === id)?.date));
+  updateUIFromResult(r);
+  resetNormalization();
+}
+
+// ---------- Normalization & WAV export ----------
+
+function normTargetLufs() {
+  const v = els.normTarget.value === 'custom' ? parseFloat(els.normCustom.value) : parseFloat(els.normTarget.value);
+  return Number.isFinite(v) ? v : -23;
+}
+
+function resetNormalization() {
+  normalized = null;
+  els.normBtn.disabled = !player.buffer;
+  els.normDownload.disabled = true;
+  els.normInfo.textContent = player.buffer
+    ? `Medido: ${fmtLU(lastResult.lufsI)} LUFS-I, ${fmtDb(lastResult.dbtp)} dBTP`
+    : (lastFile ? 'Archivo medido por bloques: la normalización necesita el audio completo en memoria.'
+      : lastResult ? 'Sin audio: la normalización necesita el archivo analizado.' : 'Analiza un archivo primero.');
+}
+
+async function normalizeCurrent() {
+  const buffer = player.buffer;
+  if (!buffer || !lastResult) return;
+  if (!isFinite(lastResult.lufsI)) throw new Error('El archivo no tiene loudness medible (silencio)');
+
+  const target = normTargetLufs();
+  const ceilingDb = parseFloat(els.normCeiling.value);
+  const gainDb = target - lastResult.lufsI;
+  const ceiling = Number.isFinite(ceilingDb) ? ceilingDb : -1;
+  logln('Normalizando a', target, 'LUFS: ganancia', fmtDb(gainDb), 'dB, techo', ceiling, 'dBTP');
+  els.normBtn.disabled = true;
+  els.normDownload.disabled = true;
+  els.normInfo.textContent = 'Procesando…';
+
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice());
+  const r = await workerCall('normalize', {
+    channels,
+    sampleRate: buffer.sampleRate,
+    gainDb,
+    ceilingDb: ceiling,
+  }, channels.map(x => x.buffer));
+
+  // Re-measure the processed audio through the same pipeline as the original (on a copy: the
+  // channels are kept for the download)
+  const m = await measureChannels(r.channels.map(x => x.slice()), buffer.sampleRate);
+
+  normalized = {
+    channels: r.channels, sampleRate: buffer.sampleRate, layout: m.layout, metrics: metricsOf(m),
+    name: lastResult.file?.name || 'audio', target,
+  };
+  els.normInfo.textContent = `Ganancia ${gainDb >= 0 ? '+' : ''}${fmtDb(gainDb)} dB`
+    + (r.limited ? ` · limitador TP: reducción máx ${fmtDb(r.maxGrDb)} dB` : ' · sin limitador')
+    + ` → ${fmtLU(m.lufsI)} LUFS-I, ${fmtDb(m.dbtp)} dBTP, LRA ${fmtLU(m.lra)} LU`;
+  logln('Normalizado:', els.normInfo.textContent);
+  els.normBtn.disabled = false;
+  els.normDownload.disabled = false;
+}
+
+// The re-measured loudness goes into the bext chunk of the download
+async function downloadNormalized() {
+  if (!normalized) return;
+  const format = els.normFormat.value;
+  const wav = encodeWav(normalized.channels, normalized.sampleRate, format, normalized.layout?.mask || 0);
+  const blob = await writeBextLoudness(wav, await readPcmInfo(wav), normalized.metrics);
+  const base = normalized.name.replace(/\.[^.]+$/, '');
+  downloadBlob(blob, `${base}_${normalized.target}LUFS.wav`);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ---------- BWF metadata (bext) ----------
+
+// Native format of the file and its bext loudness against the measurement (null: live)
+function showBext(r) {
+  const f = r?.file;
+  const wave = !!f?.container && f.container !== 'AIFF' && f.container !== 'AIFC';
+  els.bextDownload.disabled = !wave || !lastFile; // a result reopened from the history has no file
+  if (!f || f.type === 'live') {
+    els.fileFormat.textContent = f ? `Live · ${f.sampleRate} Hz · ${f.channels} ch` : '—';
+    els.bextTable.innerHTML = '';
+    els.bextInfo.textContent = 'Analiza un WAV / BWF / RF64 para ver o escribir su loudness en bext.';
+    return;
+  }
+  els.fileFormat.textContent = f.format
+    ? `${f.format} · ${f.sampleRate} Hz · ${f.channels} ch`
+    : `${f.type || 'audio'} · decodificado a ${f.sampleRate} Hz · ${f.channels} ch`;
+
+  const rows = bextRows(f.bext, metricsOf(r)).map(b =>
+    `<tr><th>${b.field}</th><td>${fmtLU(b.stored)}</td><td>${fmtLU(b.measured)}</td>`
+    + `<td class="${b.mismatch ? 'fail' : 'pass'}">${fmtDelta(b.delta)}</td></tr>`);
+  els.bextTable.innerHTML = rows.length
+    ? `<thead><tr><th>Campo</th><th>bext</th><th>Medido</th><th>Δ</th></tr></thead><tbody>${rows.join('')}</tbody>`
+    : '';
+
+  const b = f.bext;
+  if (!f.container) els.bextInfo.textContent = 'Formato comprimido: sin bext.';
+  else if (!wave) els.bextInfo.textContent = 'AIFF no lleva chunk bext.';
+  else if (!b) els.bextInfo.textContent = 'Sin chunk bext: la copia lo añade con los valores medidos.';
+  else {
+    els.bextInfo.textContent = [`bext v${b.version}`, b.originator, b.description, b.originationDate]
+      .filter(Boolean).join(' · ') + (rows.length ? '' : ' · sin campos de loudness');
+  }
+}
+
+// Copy of the analyzed file with the measured loudness in bext (the audio is not re-encoded)
+async function downloadBextCopy() {
+  const r = lastResult;
+  if (!r?.file?.container || !lastFile) return;
+  const m = metricsOf(r);
+  const blob = await writeBextLoudness(lastFile, await readPcmInfo(lastFile), m);
+  downloadBlob(blob, `${exportBaseName()}_bext.wav`);
+  logln('bext escrito:', `I ${fmtLU(m.lufsI)} LUFS · LRA ${fmtLU(m.lra)} LU · TP ${fmtDb(m.dbtp)} dBTP`
+    + ` · M máx ${fmtLU(m.lufsMmax)} · S máx ${fmtLU(m.lufsSmax)}`);
+}
+
+// ---------- Spectrum (file spectrogram, live spectrum) ----------
+
+const SPECTRUM_POINT_SEC = M_WINDOW_SEC; // spectrum at a picked time: one momentary block
+
+function cssColor(name, fallback) {
+  return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+}
+
+// dB added to 10·log10(band power): K-weighted bands in LUFS, or dBFS on the sine-peak scale
+function spectrumOffsets(sampleRate) {
+  if (els.spectrumWeighting.value === 'k') {
+    return { offsets: kWeightingBandGains(sampleRate).map(g => g + K_OFFSET_DB), unit: 'LUFS' };
+  }
+  return { offsets: new Array(SPECTRUM_BANDS.length).fill(10 * Math.log10(2)), unit: 'dBFS' };
+}
+
+function bandLevels(power, offsets) {
+  return Array.from(power, (p, b) => (p > 0 ? 10 * Math.log10(p) + offsets[b] : Number.NEGATIVE_INFINITY));
+}
+
+// Mean band power of the frames inside [from, to] (at least the frame under `from`)
+function averageSpectrum(spec, from, to) {
+  const h0 = Math.min(spec.frames - 1, Math.max(0, Math.floor(from / spec.hopSec)));
+  const h1 = Math.min(spec.frames - 1, Math.max(h0, Math.ceil(to / spec.hopSec) - 1));
+  const acc = new Float64Array(spec.bands);
+  for (let h = h0; h <= h1; h++) {
+    for (let b = 0; b < spec.bands; b++) acc[b] += spec.power[h * spec.bands + b];
+  }
+  return acc.map(v => v / (h1 - h0 + 1));
+}
+
+function showSpectrogram(spec) {
+  spectrumPoint = NaN;
+  spectrumMean = spec?.frames ? averageSpectrum(spec, 0, Infinity) : null;
+  spectrumCharts.gram.setData(spec?.frames ? spec : null, SPECTRUM_BANDS.centers);
+  applySpectrumWeighting();
+}
+
+function applySpectrumWeighting() {
+  const spec = spectrumCharts.gram.spec;
+  const { offsets, unit } = spectrumOffsets(spec?.sampleRate ?? 48000);
+  spectrumCharts.gram.setLevels(offsets, unit);
+  updateSpectrum();
+}
+
+function drawSpectrogram() {
+  const gram = spectrumCharts.gram;
+  gram.setView(...charts.M.visible());
+  gram.setCursor(player.buffer ? playbackPosition() : NaN);
+  gram.draw();
+}
+
+// Spectrum under the spectrogram: the selected region, else the picked time, over the file average
+function updateSpectrum() {
+  if (live.running) return;
+  const spec = spectrumCharts.gram.spec;
+  const { gram, bands } = spectrumCharts;
+  if (!spec) {
+    gram.setMark(null);
+    bands.setData(SPECTRUM_BANDS.centers, [], '');
+    els.spectrumTitle.textContent = 'Espectro';
+  } else {
+    const { offsets, unit } = spectrumOffsets(spec.sampleRate);
+    const curves = [{ label: 'Media', color: cssColor('--muted', '#aaa'), levels: bandLevels(spectrumMean, offsets), fill: true }];
+    let mark = null, title = 'Espectro · media del archivo (clic en el espectrograma: espectro en ese punto)';
+    if (selection) {
+      mark = { from: selection.start, to: selection.end };
+      title = `Espectro · región ${fmtTime(mark.from)} – ${fmtTime(mark.to)}`;
+    } else if (Number.isFinite(spectrumPoint)) {
+      mark = { from: spectrumPoint - SPECTRUM_POINT_SEC / 2, to: spectrumPoint + SPECTRUM_POINT_SEC / 2 };
+      title = `Espectro · ${fmtTime(spectrumPoint)} (${SPECTRUM_POINT_SEC * 1000} ms)`;
+    }
+    if (mark) {
+      const levels = bandLevels(averageSpectrum(spec, mark.from, mark.to), offsets);
+      curves.push({ label: selection ? 'Región' : 'Punto', color: cssColor('--accent', '#5aa9e6'), levels });
+    }
+    gram.setMark(mark);
+    bands.setData(SPECTRUM_BANDS.centers, curves, unit, spec.sampleRate);
+    els.spectrumTitle.textContent = title;
+  }
+  bands.draw();
+  drawSpectrogram();
+}
+
+function pickSpectrum(t) {
+  if (live.running) return;
+  spectrumPoint = t;
+  updateSpectrum();
+  chartSeek(t);
+}
+
+// Live: one AnalyserNode per metered channel, read on every metrics message
+function createLiveAnalysers(ctx, node, layout) {
+  const splitter = ctx.createChannelSplitter(layout.labels.length);
+  node.connect(splitter);
+  const taps = [];
+  layout.weights.forEach((w, c) => {
+    if (!(w > 0)) return;
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = 8192;
+    analyser.smoothingTimeConstant = 0.5;
+    splitter.connect(analyser, c);
+    taps.push({ analyser, ch: c, weight: w, buf: new Float32Array(analyser.frequencyBinCount), wave: new Float32Array(SCOPE_SAMPLES) });
+  });
+  return { taps, nodes: [splitter, ...taps.map(t => t.analyser)] };
+}
+
+function updateLiveSpectrum() {
+  const sr = live.ctx.sampleRate;
+  const power = new Float64Array(SPECTRUM_BANDS.length);
+  for (const t of live.analysers.taps) {
+    t.analyser.getFloatFrequencyData(t.buf);
+    analyserBands(t.buf, sr).forEach((p, b) => { power[b] += t.weight * p; });
+  }
+  const { offsets, unit } = spectrumOffsets(sr);
+  const curves = [{ label: 'Directo', color: cssColor('--accent', '#5aa9e6'), levels: bandLevels(power, offsets), fill: true }];
+  spectrumCharts.bands.setData(SPECTRUM_BANDS.centers, curves, unit, sr);
+  spectrumCharts.bands.draw();
+}
+
+// ---------- Stereo image (front L / R pair) ----------
+
+const SCOPE_SAMPLES = 2048; // goniometer: latest samples of each channel
+
+function drawStereoChart() {
+  stereoChart.setView(...charts.M.visible());
+  stereoChart.setCursor(player.buffer ? playbackPosition() : NaN);
+  stereoChart.draw();
+}
+
+// Views that follow the time window of the M / S charts
+function drawTimeViews() {
+  drawSpectrogram();
+  drawStereoChart();
+}
+
+function renderStereoTable(rows) {
+  els.stereoTable.innerHTML = rows.length
+    ? `<tbody>${rows.map(([k, v]) => `<tr><th>${k}</th><td>${v}</td></tr>`).join('')}</tbody>`
+    : '';
+}
+
+function fmtCorr(x) {
+  return Number.isFinite(x) ? x.toFixed(2) : '—';
+}
+
+function fmtBalance(x) {
+  if (!Number.isFinite(x)) return '—';
+  return (x > 0.05 ? '+' : '') + fmtLU(x);
+}
+
+// Card, table and chart of a file result (or a live session without stereo data)
+function showStereo(r) {
+  const st = r?.stereo;
+  els.corr.textContent = st ? fmtCorr(st.corr) : '—';
+  els.monoDrop.textContent = st ? fmtDrop(st.monoDrop) : '—';
+  els.balance.textContent = st ? fmtBalance(st.balance) : '—';
+  renderStereoTable(st ? [
+    ['Correlación', `media ${fmtCorr(st.corr)} · mínima ${fmtCorr(st.corrMin)} · negativa ${st.negPct.toFixed(0)} % del tiempo`],
+    ['Balance L − R', `${fmtBalance(st.balance)} LU`],
+    ['Mono (L + R) / 2', `${fmtLU(st.lufsMono)} LUFS-I · pérdida ${fmtDrop(st.monoDrop)} LU frente a ${fmtLU(st.lufsI)} del par`],
+    ['Side (L − R) / 2', `${fmtLU(st.lufsSide)} LUFS-I`],
+  ] : []);
+  stereoChart.setData(r?.timesS, r?.timesM, st?.series ?? null);
+}
+
+// Live: worklet values over the M window, goniometer from the L / R analysers
+function updateLiveStereo(st) {
+  const [tl, tr] = [0, 1].map(c => live.analysers.taps.find(t => t.ch === c));
+  if (st && tl && tr) {
+    tl.analyser.getFloatTimeDomainData(tl.wave);
+    tr.analyser.getFloatTimeDomainData(tr.wave);
+    meters.scope.update(tl.wave, tr.wave, st);
+  } else {
+    meters.scope.update(null, null, st);
+  }
+  els.corr.textContent = st ? fmtCorr(st.corr) : '—';
+  els.monoDrop.textContent = st ? fmtDrop(st.monoDrop) : '—';
+  els.balance.textContent = st ? fmtBalance(st.balance) : '—';
+  renderStereoTable(st ? [
+    ['Correlación (M)', fmtCorr(st.corr)],
+    ['Balance L − R (M)', `${fmtBalance(st.balance)} LU`],
+    ['Mid / Side (M)', `${fmtLU(st.lufsMid)} / ${fmtLU(st.lufsSide)} LUFS`],
+    ['Pérdida mono', `${fmtDrop(st.monoDrop)} LU (Integrated del par frente a la mezcla mono)`],
+  ] : []);
+}
+
+// ---------- Regions (time ranges of the analyzed file) ----------
+
+const MIN_REGION_SEC = M_WINDOW_SEC; // one momentary block
+
+// "h:mm:ss.mmm", "mm:ss.mmm" or seconds
+function parseTime(str) {
+  const parts = String(str).trim().split(':');
+  if (parts.length > 3 || parts.some(p => !p.trim())) return NaN;
+  return parts.reduce((acc, p) => acc * 60 + Number(p), 0);
+}
+
+function regionsAvailable() {
+  return !!lastFile && !!lastResult && !live.running;
+}
+
+function resetRegions() {
+  regions = [];
+  selection = null;
+  els.regionStart.value = '';
+  els.regionEnd.value = '';
+  els.regionInfo.textContent = 'Mayús + arrastrar sobre las gráficas, o escribe inicio y fin.';
+  renderRegions();
+  showRegions();
+  updateRegionControls();
+}
+
+function updateRegionControls() {
+  els.regionMeasure.disabled = !regionsAvailable();
+  els.regionAdd.disabled = !selection?.summary;
+  els.regionClear.disabled = !selection;
+}
+
+// Saved regions and the selection as shaded time ranges on both charts
+function showRegions() {
+  const shown = regions.map(g => ({ from: g.start, to: g.end, label: g.name }));
+  if (selection) shown.push({ from: selection.start, to: selection.end, active: true });
+  charts.M.setRegions(shown);
+  charts.S.setRegions(shown);
+  redrawCharts();
+  updateSpectrum();
+}
+
+function chartSelect(from, to) {
+  if (!regionsAvailable()) return;
+  selectRegion(from, to).catch(err => {
+    console.error(err);
+    logln('Error:', err.message);
+  });
+}
+
+// Re-measures [start, end] of the current file through the engine: the region's own blocks and
+// gating, not a slice of the whole-file series
+async function measureRegion(start, end) {
+  const buffer = player.buffer;
+  if (buffer) {
+    const f0 = Math.round(start * buffer.sampleRate);
+    const f1 = Math.min(buffer.length, Math.round(end * buffer.sampleRate));
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice(f0, f1));
+    return measureChannels(channels, buffer.sampleRate);
+  }
+  // streamed file: the same reader on a sub-range of the data chunk
+  const file = lastFile;
+  const info = await readPcmInfo(file);
+  const f0 = Math.round(start * info.sampleRate);
+  const f1 = Math.min(info.frames, Math.round(end * info.sampleRate));
+  const sub = { ...info, dataOffset: info.dataOffset + f0 * info.blockAlign, frames: f1 - f0 };
+  return runJob(`Región ${fmtTime(start)} – ${fmtTime(end)}`, opts => measureStream(file, sub, opts));
+}
+
+async function selectRegion(start, end) {
+  if (job) {
+    alert('Ya hay un análisis en curso.');
+    return;
+  }
+  start = Math.max(0, start);
+  end = Math.min(lastResult.file?.duration ?? end, end);
+  if (!(end - start >= MIN_REGION_SEC)) {
+    els.regionInfo.textContent = `La región debe durar al menos ${MIN_REGION_SEC} s.`;
+    return;
+  }
+  const sel = { start, end, summary: null };
+  selection = sel;
+  els.regionStart.value = fmtTime(start);
+  els.regionEnd.value = fmtTime(end);
+  els.regionInfo.textContent = 'Midiendo región…';
+  showRegions();
+  updateRegionControls();
+  let r;
+  try {
+    r = await measureRegion(start, end);
+  } catch (err) {
+    if (!err.cancelled) throw err;
+    if (selection === sel) els.regionInfo.textContent = 'Medición de la región cancelada.';
+    return;
+  }
+  if (selection !== sel) return; // superseded or cleared meanwhile
+  sel.summary = { name: '', start, end, ...metricsOf(r), plr: r.plr };
+  els.regionInfo.textContent = regionText(sel.summary);
+  logln('Región', regionText(sel.summary));
+  updateRegionControls();
+}
+
+function regionText(g) {
+  return `${fmtTime(g.start)} – ${fmtTime(g.end)} (${fmtTime(g.end - g.start)}): `
+    + `I ${fmtLU(g.lufsI)} LUFS · LRA ${fmtLU(g.lra)} LU · TP ${fmtDb(g.dbtp)} dBTP · PLR ${fmtLU(g.plr)} LU · `
+    + `M máx ${fmtLU(g.lufsMmax)} · S máx ${fmtLU(g.lufsSmax)} LUFS`;
+}
+
+function addRegion() {
+  if (!selection?.summary) return;
+  const name = els.regionName.value.trim() || `Región ${regions.length + 1}`;
+  regions.push({ ...selection.summary, name });
+  regions.sort((a, b) => a.start - b.start);
+  els.regionName.value = '';
+  selection = null;
+  renderRegions();
+  showRegions();
+  updateRegionControls();
+}
+
+function renderRegions() {
+  if (!regions.length) {
+    els.regionTable.innerHTML = '';
+    return;
+  }
+  const rows = regions.map((g, i) =>
+    `<tr data-idx="${i}"><td class="name">${escapeHtml(g.name)}</td><td>${fmtTime(g.start)}</td><td>${fmtTime(g.end)}</td>`
+    + `<td>${fmtLU(g.lufsI)}</td><td>${fmtLU(g.lra)}</td><td>${fmtDb(g.dbtp)}</td><td>${fmtLU(g.plr)}</td>`
+    + `<td>${fmtLU(g.lufsMmax)}</td><td>${fmtLU(g.lufsSmax)}</td>`
+    + `<td><button class="secondary" data-del="${i}" title="Eliminar región">✕</button></td></tr>`);
+  els.regionTable.innerHTML = '<thead><tr><th>Nombre</th><th>Inicio</th><th>Fin</th><th>LUFS-I</th><th>LRA</th><th>dBTP</th>'
+    + `<th>PLR</th><th>M máx</th><th>S máx</th><th></th></tr></thead><tbody>${rows.join('')}</tbody>`;
+}
+
+// ---------- Export (JSON / CSV / HTML report) ----------
+
+function exportBaseName() {
+  return (lastResult?.file?.name || 'loudness').replace(/\.[^.]+$/, '');
+}
+
+// Whole-series snapshot of a chart (same Y range and overlays) on an opaque background, without
+// playhead, zoom or hover
+function chartImage(chart) {
+  const c = document.createElement('canvas');
+  c.width = chart.canvas.width;
+  c.height = chart.canvas.height;
+  const snap = new LoudnessChart(c, { interactive: false });
+  snap.setData(chart.times, chart.values);
+  snap.yFixed = chart.yFixed;
+  snap.yAuto = chart.yAuto;
+  snap.overlays = chart.overlays;
+  snap.regions = chart.regions.filter(g => !g.active);
+  snap.speech = chart.speech;
+  snap.draw();
+  return opaqueImage(c);
+}
+
+// The stereo chart over the whole file, or null without a stereo image
+function stereoChartImage() {
+  if (!stereoChart.series) return null;
+  const c = document.createElement('canvas');
+  c.width = stereoChart.canvas.width;
+  c.height = stereoChart.canvas.height;
+  const snap = new StereoChart(c);
+  snap.setData(stereoChart.timesS, stereoChart.timesM, stereoChart.series);
+  const [a, b] = charts.M.extent();
+  snap.setView(a, b > a ? b : a + 1);
+  snap.draw();
+  return opaqueImage(c);
+}
+
+function opaqueImage(c) {
+  const out = document.createElement('canvas');
+  out.width = c.width;
+  out.height = c.height;
+  const ctx = out.getContext('2d');
+  ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--card') || '#171a21';
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(c, 0, 0);
+  return out.toDataURL('image/png');
+}
+
+function currentReportHTML() {
+  const r = lastResult;
+  return reportToHTML(buildReport(r, r.file, r.settings, complianceOf(r), regions), {
+    M: chartImage(charts.M),
+    S: chartImage(charts.S),
+    stereo: stereoChartImage(),
+  });
+}
+
+function exportReport(kind) {
+  const r = lastResult;
+  if (!r) return;
+  const base = exportBaseName();
+  if (kind === 'json') {
+    const report = buildReport(r, r.file, r.settings, complianceOf(r), regions);
+    downloadBlob(new Blob([reportToJSON(report)], { type: 'application/json' }), `${base}_loudness.json`);
+  } else if (kind === 'csv') {
+    downloadBlob(new Blob([seriesToCSV(r)], { type: 'text/csv' }), `${base}_series.csv`);
+  } else if (kind === 'html') {
+    downloadBlob(new Blob([currentReportHTML()], { type: 'text/html' }), `${base}_informe.html`);
+  } else if (kind === 'print') {
+    const url = URL.createObjectURL(new Blob([currentReportHTML()], { type: 'text/html' }));
+    const win = window.open(url, '_blank');
+    if (!win) {
+      alert('El navegador bloqueó la ventana del informe.');
+      return;
+    }
+    win.addEventListener('load', () => {
+      win.print();
+      URL.revokeObjectURL(url);
+    });
+  }
+}
+
+// ---------- Live input (device, channel map, calibration) ----------
+
+const INPUT_DEVICE_KEY = 'loudness.inputDevice';
+
+// Metered layout for a device with nIn inputs: the chosen layout, or the device's own on 'auto'
+function liveLayoutFor(nIn) {
+  const key = els.layoutSelect.value;
+  return key === 'auto' ? resolveLayout(nIn, 'auto') : resolveLayout(CHANNEL_LAYOUTS[key].channels.length, key);
+}
+
+function channelMapFor(deviceId, layout, nIn) {
+  const saved = loadInputPrefs(deviceId).maps[layout.key];
+  return saved?.length === layout.labels.length ? saved : defaultChannelMap(layout.labels.length, nIn);
+}
+
+async function refreshDevices() {
+  const devices = await listInputDevices();
+  const selected = localStorage.getItem(INPUT_DEVICE_KEY) || 'default';
+  els.liveDevice.innerHTML = '';
+  if (!devices.some(d => d.id === 'default')) els.liveDevice.add(new Option('Predeterminado', 'default'));
+  for (const d of devices) els.liveDevice.add(new Option(d.label, d.id));
+  const ids = [...els.liveDevice.options].map(o => o.value);
+  els.liveDevice.value = ids.includes(selected) ? selected : 'default';
+  if (live.running && live.deviceId !== 'default' && !ids.includes(live.deviceId)) {
+    logln('El dispositivo en uso ya no está disponible.');
+  }
+  els.liveTrim.value = loadInputPrefs(els.liveDevice.value).trimDb;
+}
+
+// One select per metered channel: which interface input feeds it (or none)
+function renderChannelMap() {
+  const deviceId = els.liveDevice.value;
+  const useLive = live.running && live.deviceId === deviceId;
+  const nIn = useLive ? live.nIn : loadInputPrefs(deviceId).channels;
+  const layout = useLive ? live.layout : liveLayoutFor(nIn);
+  const map = channelMapFor(deviceId, layout, nIn);
+  const options = ['<option value="-1">—</option>']
+    .concat(Array.from({ length: nIn }, (_, i) => `<option value="${i}">Entrada ${i + 1}</option>`)).join('');
+  els.channelMap.innerHTML = layout.labels.map((name, c) =>
+    `<label>${name} <select data-ch="${c}">${options}</select></label>`).join('');
+  els.channelMap.querySelectorAll('select').forEach((sel) => {
+    sel.value = String(map[Number(sel.dataset.ch)]);
+  });
+  els.channelMap.dataset.layout = layout.key;
+}
+
+function onChannelMapChange() {
+  const deviceId = els.liveDevice.value;
+  const map = [...els.channelMap.querySelectorAll('select')].map(sel => Number(sel.value));
+  const prefs = loadInputPrefs(deviceId);
+  prefs.maps[els.channelMap.dataset.layout] = map;
+  saveInputPrefs(deviceId, prefs);
+  if (live.running && live.deviceId === deviceId) live.router.setMap(map);
+}
+
+// Layout change while live: rebuild the merger for the new channel count (the worklet restarts)
+function rebuildLiveRouting() {
+  const layout = liveLayoutFor(live.nIn);
+  live.router.nodes.forEach(n => n.disconnect());
+  live.src.disconnect();
+  const router = createInputRouter(live.ctx, live.src, live.nIn, layout.labels.length);
+  router.setMap(channelMapFor(live.deviceId, layout, live.nIn));
+  router.setTrim(loadInputPrefs(live.deviceId).trimDb);
+  router.output.connect(live.kw.input);
+  router.output.connect(live.workletNode, 0, 1);
+  live.analysers.nodes.forEach(n => n.disconnect());
+  live.analysers = createLiveAnalysers(live.ctx, router.output, layout);
+  live.router = router;
+  live.layout = layout;
+  live.workletNode.port.postMessage({ type: 'layout', weights: layout.weights });
+}
+
+// ---------- Live (mic) with AudioWorklet ----------
+
+async function toggleLive() {
+  if (live.running) await stopLive();
+  else await startLive();
+}
+
+async function startLive() {
+  try {
+    pausePlayback();
+    const deviceId = els.liveDevice.value;
+    // ask for every channel the interface has; the channel map picks the metered ones
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId && deviceId !== 'default' ? { exact: deviceId } : undefined,
+        channelCount: { ideal: 32 },
+        noiseSuppression: false, echoCancellation: false, autoGainControl: false,
+      },
+    });
+    const track = stream.getAudioTracks()[0];
+    const nIn = track?.getSettings().channelCount || 2;
+    const prefs = loadInputPrefs(deviceId);
+    saveInputPrefs(deviceId, { ...prefs, channels: nIn });
+    const layout = liveLayoutFor(nIn);
+    const ctx = new (window.AudioContext || window.webkitAudioContext)({ latencyHint: 'interactive' });
+    await ctx.audioWorklet.addModule('worklet-processor.js');
+    const src = ctx.createMediaStreamSource(stream);
+    const router = createInputRouter(ctx, src, nIn, layout.labels.length);
+    router.setMap(channelMapFor(deviceId, layout, nIn));
+    router.setTrim(prefs.trimDb);
+
+    // K-weighting nodes (main thread to keep worklet simple), coefficients for ctx.sampleRate
+    const kw = createKWeightingNodes(ctx);
+
+    // input 0: K-weighted (loudness), input 1: un-weighted (true peak)
+    const worklet = new AudioWorkletNode(ctx, 'loudness-processor', {
+      numberOfInputs: 2,
+      numberOfOutputs: 0,
+      outputChannelCount: [],
+      processorOptions: {
+        sampleRate: ctx.sampleRate,
+        mWindowSec: M_WINDOW_SEC,
+        sWindowSec: S_WINDOW_SEC,
+        hopSec: DEFAULT_HOP_SEC,
+        kOffsetDb: K_OFFSET_DB,
+        channelWeights: layout.weights,
+        tpCeilingDb: tpCeilingDb(),
+      }
+    });
+
+    worklet.port.onmessage = (ev) => {
+      const d = ev.data || {};
+      if (live.workletNode !== worklet) return; // messages still queued after stop
+      if (d.type === 'metrics') {
+        onLiveMetrics(d);
+      } else if (d.type === 'audio') {
+        const rec = live.session.rec;
+        rec.chunks.push(d.channels);
+        rec.frames += d.channels[0].length;
+      } else if (d.type === 'stopped') {
+        live.onStopped?.();
+      } else if (d.type === 'log') {
+        logln('[live]', d.msg);
+      }
+    };
+
+    router.output.connect(kw.input);
+    kw.output.connect(worklet, 0, 0);
+    router.output.connect(worklet, 0, 1);
+    els.tpHint.textContent = `Oversampling ${truePeakPhases(ctx.sampleRate).length}× (FIR BS.1770-4)`;
+    track?.addEventListener('ended', () => {
+      logln('La entrada se ha desconectado.');
+      stopLive().catch(err => logln('Error:', err.message));
+    });
+
+    live = {
+      ctx, stream, src, router, workletNode: worklet, kw, layout, deviceId, nIn,
+      analysers: createLiveAnalysers(ctx, router.output, layout),
+      running: true, paused: false, session: null, startedAt: new Date(),
+    };
+    resetLiveSession();
+    if (els.liveRecord.checked) worklet.port.postMessage({ type: 'record', on: true });
+    els.liveBtn.textContent = 'Detener Live';
+    updateLiveControls();
+    logln('Live iniciado @', ctx.sampleRate, 'Hz,', nIn, 'entradas, layout', layout.label, '· trim', fmtDb(prefs.trimDb), 'dB');
+    await refreshDevices(); // labels are only visible once permission has been granted
+    renderChannelMap();
+  } catch (err) {
+    console.error(err);
+    alert('No se pudo iniciar el modo Live: ' + err.message);
+  }
+}
+
+// Everything gathered since start / reset; the worklet only sends the newest point of each hop
+function resetLiveSession() {
+  live.session = {
+    series: { timesM: [], lufsM: [], timesS: [], lufsS: [] },
+    overs: [],
+    last: null,   // latest 'metrics' message
+    dist: null,   // latest distributions
+    rec: { chunks: [], frames: 0 },
+  };
+  const { series } = live.session;
+  charts.M.setData(series.timesM, series.lufsM);
+  charts.S.setData(series.timesS, series.lufsS);
+  charts.M.setCursor(NaN);
+  charts.S.setCursor(NaN);
+  charts.M.setSpeech([]);
+  charts.S.setSpeech([]);
+  els.lufsD.textContent = '—';
+  els.speechPct.textContent = '—';
+  showStereo(null);
+  showSpectrogram(null);
+  showBext(null);
+  resetRegions();
+  resetCompare();
+  meters.bars.reset();
+  meters.radar.reset();
+  meters.scope.reset();
+  renderOvers([], 0);
+}
+
+function onLiveMetrics(d) {
+  const s = live.session;
+  s.last = d;
+  // live instantaneous updates
+  els.lufsM.textContent = fmtLU(d.M.current);
+  els.lufsS.textContent = fmtLU(d.S.current);
+  els.lufsI.textContent = fmtLU(d.integrated);
+  els.dbtp.textContent = fmtDb(d.dbtp);
+  els.plr.textContent = fmtLU(d.dbtp - d.integrated);
+  els.lra.textContent = fmtLU(d.lra);
+  els.dr.textContent = fmtLU(d.dr);
+  renderCompliance({ lufsI: d.integrated, monoDrop: d.stereo?.monoDrop, lra: d.lra, dbtp: d.dbtp, lufsMmax: d.M.max, lufsSmax: d.S.max });
+  meters.bars.update({ M: d.M.current, S: d.S.current, I: d.integrated, mMax: d.M.max, sMax: d.S.max });
+  meters.radar.update({ t: d.t, M: d.M.current, S: d.S.current, I: d.integrated, lra: d.lra, dbtp: d.dbtp, overCount: d.overCount });
+  if (d.chM) renderChannelTable(live.layout, d.chM, 'LUFS-M', d.dbtpCh);
+  updateLiveSpectrum();
+  updateLiveStereo(d.stereo);
+  if (d.overs?.length) {
+    s.overs.length = d.oversFrom; // open overs come again, grown
+    s.overs.push(...d.overs);
+    renderOvers(s.overs, d.overCount, live.layout.labels);
+  }
+
+  // Append the new points and redraw
+  s.series.timesM.push(d.t);
+  s.series.lufsM.push(d.M.current);
+  s.series.timesS.push(d.t);
+  s.series.lufsS.push(d.S.current);
+  charts.M.dataChanged();
+  charts.S.dataChanged();
+  updateChartOverlays({ lufsI: d.integrated, gateRel: d.gateRel, lraLow: d.lraLow, lraHigh: d.lraHigh });
+  charts.M.draw();
+  charts.S.draw();
+  if (d.distM) {
+    s.dist = { distM: d.distM, distS: d.distS };
+    histChart.setData(d.distM, d.distS, {
+      gateRel: d.gateRel, lraThr: d.lraThr, lraLow: d.lraLow, lraHigh: d.lraHigh, drLow: d.drLow, drHigh: d.drHigh,
+    });
+    histChart.draw();
+  }
+
+  // Max values & times (tracked in the worklet)
+  if (Number.isFinite(d.M.max)) {
+    els.lufsMmax.textContent = fmtLU(d.M.max);
+    els.tMmax.textContent = fmtTime(d.M.tMax);
+  }
+  if (Number.isFinite(d.S.max)) {
+    els.lufsSmax.textContent = fmtLU(d.S.max);
+    els.tSmax.textContent = fmtTime(d.S.tMax);
+  }
+  updateLiveControls();
+
+  // Timed measurement: measured time (pauses excluded) reaches the limit
+  const limitMin = parseFloat(els.liveDuration.value);
+  if (limitMin > 0 && d.t >= limitMin * 60 && !live.stopping) {
+    logln('Medición temporizada completa:', limitMin, 'min');
+    stopLive().catch(err => logln('Error:', err.message));
+  }
+}
+
+async function stopLive() {
+  if (!live.running || live.stopping) return;
+  live.stopping = true;
+  // let the worklet flush the pending recording block before the context goes away
+  await new Promise((resolve) => {
+    live.onStopped = resolve;
+    live.workletNode.port.postMessage({ type: 'stop' });
+    setTimeout(resolve, 1000);
+  });
+  const session = live.session;
+  const result = session.last ? liveSessionResult() : null;
+
+  live.workletNode?.disconnect();
+  live.kw?.nodes.forEach(n => n.disconnect());
+  live.router?.nodes.forEach(n => n.disconnect());
+  live.analysers?.nodes.forEach(n => n.disconnect());
+  live.src?.disconnect();
+  if (live.stream) {
+    live.stream.getTracks().forEach(t => t.stop());
+  }
+  const sampleRate = live.ctx.sampleRate;
+  const layout = live.layout;
+  live.ctx?.close();
+  live = { ctx: null, stream: null, workletNode: null, kw: null, layout: null, running: false };
+  els.liveBtn.textContent = 'Live (mic)';
+  logln('Live detenido.');
+  renderChannelMap();
+
+  if (!result) {
+    updateLiveControls();
+    return;
+  }
+  // The session becomes the current result: exports, compliance and charts work offline on it
+  lastFile = null;
+  updateUIFromResult(result);
+  remember(result);
+  if (session.rec.frames) {
+    const channels = layout.labels.map(() => new Float32Array(session.rec.frames));
+    let o = 0;
+    for (const chunk of session.rec.chunks) {
+      chunk.forEach((x, c) => channels[c]?.set(x, o));
+      o += chunk[0].length;
+    }
+    lastRecording = { channels, sampleRate, mask: layout.mask, name: result.file.name };
+    if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    const buffer = new AudioBuffer({ length: session.rec.frames, numberOfChannels: channels.length, sampleRate });
+    channels.forEach((x, c) => buffer.copyToChannel(x, c));
+    loadPlayer(buffer);
+    logln('Grabación:', fmtTime(buffer.duration), channels.length + ' ch');
+  } else {
+    unloadPlayer();
+  }
+  resetNormalization();
+  updateLiveControls();
+}
+
+// Live session in the shape of a worker result (no per-channel integrated and no stereo image:
+// the worklet meters those over the M window)
+function liveSessionResult() {
+  const { series, overs, last: d, dist } = live.session;
+  const tpOversampling = truePeakPhases(live.ctx.sampleRate).length;
+  const stamp = live.startedAt.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  return {
+    ...series,
+    lufsI: d.integrated, gateRel: d.gateRel,
+    lra: d.lra, lraThr: d.lraThr, lraLow: d.lraLow, lraHigh: d.lraHigh,
+    dbtp: d.dbtp, plr: d.dbtp - d.integrated,
+    dr: d.dr, drLow: d.drLow, drHigh: d.drHigh,
+    distM: dist?.distM, distS: dist?.distS,
+    mMaxIdx: maxWithIndex(series.lufsM).idx,
+    sMaxIdx: maxWithIndex(series.lufsS).idx,
+    dbtpCh: d.dbtpCh,
+    overs,
+    overCount: d.overCount,
+    tpCeilingDb: tpCeilingDb(),
+    tpOversampling,
+    layout: live.layout,
+    file: {
+      name: `live_${stamp}`,
+      type: 'live',
+      duration: d.t,
+      sampleRate: live.ctx.sampleRate,
+      channels: live.layout.labels.length,
+      startedAt: live.startedAt.toISOString(),
+    },
+    settings: measurementSettings(live.layout, tpOversampling, tpCeilingDb()),
+  };
+}
+
+function updateLiveControls() {
+  els.livePause.disabled = !live.running;
+  els.liveReset.disabled = !live.running;
+  els.livePause.textContent = live.paused ? '▶ Reanudar' : '⏸ Pausa';
+  els.liveRecDownload.disabled = !lastRecording;
+  els.liveRecAnalyze.disabled = !lastRecording || live.running;
+  if (live.running) {
+    const t = live.session?.last?.t ?? 0;
+    const rec = live.session?.rec.frames ? ` · grabado ${fmtTime(live.session.rec.frames / live.ctx.sampleRate)}` : '';
+    els.liveStatus.textContent = `${live.paused ? 'En pausa' : 'Midiendo'} · ${fmtTime(t)}${rec}`;
+  } else {
+    els.liveStatus.textContent = lastRecording ? `Última grabación: ${lastRecording.name}` : '';
+  }
+  updateRegionControls();
+}
+
+function recordingBlob() {
+  const r = lastRecording;
+  return encodeWav(r.channels, r.sampleRate, els.normFormat.value, r.channels.length > 2 ? r.mask : 0);
+}
+
+// ---------- Event bindings ----------
+
+els.analyzeBtn.addEventListener('click', async () => {
+  try {
+    const files = els.fileInput.files;
+    if (files?.length > 1) await runBatch(files);
+    else await analyzeFile(files?.[0]);
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+    alert('Error al analizar: ' + err.message);
+  }
+});
+
+els.liveBtn.addEventListener('click', toggleLive);
+els.jobCancel.addEventListener('click', () => job?.controller.abort());
+// Live input: device list follows hot-plugging; trim and channel map are saved per device
+refreshDevices().then(renderChannelMap).catch(err => logln('Error:', err.message));
+navigator.mediaDevices?.addEventListener('devicechange', () => {
+  refreshDevices().then(renderChannelMap).catch(err => logln('Error:', err.message));
+});
+els.liveDevice.addEventListener('change', () => {
+  localStorage.setItem(INPUT_DEVICE_KEY, els.liveDevice.value);
+  els.liveTrim.value = loadInputPrefs(els.liveDevice.value).trimDb;
+  renderChannelMap();
+  if (live.running && live.deviceId !== els.liveDevice.value) logln('El nuevo dispositivo se usará al reiniciar Live.');
+});
+els.liveTrim.addEventListener('change', () => {
+  const deviceId = els.liveDevice.value;
+  const trimDb = parseFloat(els.liveTrim.value) || 0;
+  saveInputPrefs(deviceId, { ...loadInputPrefs(deviceId), trimDb });
+  if (live.running && live.deviceId === deviceId) live.router.setTrim(trimDb);
+  logln('Calibración', els.liveDevice.selectedOptions[0]?.text ?? deviceId + ':', fmtDb(trimDb), 'dB');
+});
+els.channelMap.addEventListener('change', onChannelMapChange);
+els.livePause.addEventListener('click', () => {
+  if (!live.running) return;
+  live.paused = !live.paused;
+  live.workletNode.port.postMessage({ type: live.paused ? 'pause' : 'resume' });
+  logln(live.paused ? 'Live en pausa.' : 'Live reanudado.');
+  updateLiveControls();
+});
+els.liveReset.addEventListener('click', () => {
+  if (!live.running) return;
+  live.workletNode.port.postMessage({ type: 'reset' });
+  resetLiveSession();
+  logln('Live: medición reiniciada.');
+  updateLiveControls();
+});
+els.liveRecord.addEventListener('change', () => {
+  live.workletNode?.port.postMessage({ type: 'record', on: els.liveRecord.checked });
+});
+els.liveRecDownload.addEventListener('click', () => {
+  if (lastRecording) downloadBlob(recordingBlob(), `${lastRecording.name}.wav`);
+});
+els.liveRecAnalyze.addEventListener('click', async () => {
+  if (!lastRecording) return;
+  try {
+    await analyzeFile(new File([recordingBlob()], `${lastRecording.name}.wav`, { type: 'audio/wav' }));
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+  }
+});
+updateLiveControls();
+
+for (const [key, L] of Object.entries(CHANNEL_LAYOUTS)) {
+  els.layoutSelect.add(new Option(L.label, key));
+}
+
+// Normalization
+for (const [key, f] of Object.entries(WAV_FORMATS)) {
+  els.normFormat.add(new Option(f.label, key, key === 'pcm24', key === 'pcm24'));
+}
+els.normTarget.addEventListener('change', () => {
+  els.normCustom.hidden = els.normTarget.value !== 'custom';
+  if (normalized) resetNormalization();
+});
+els.normBtn.addEventListener('click', async () => {
+  try {
+    await normalizeCurrent();
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+    els.normInfo.textContent = 'Error: ' + err.message;
+    els.normBtn.disabled = !player.buffer;
+  }
+});
+els.normDownload.addEventListener('click', () => {
+  downloadNormalized().catch(err => { console.error(err); logln('Error:', err.message); });
+});
+els.bextDownload.addEventListener('click', () => {
+  downloadBextCopy().catch(err => {
+    console.error(err);
+    logln('Error:', err.message);
+    alert('No se pudo escribir bext: ' + err.message);
+  });
+});
+
+// Export
+els.exportJson.addEventListener('click', () => exportReport('json'));
+els.exportCsv.addEventListener('click', () => exportReport('csv'));
+els.exportHtml.addEventListener('click', () => exportReport('html'));
+els.exportPrint.addEventListener('click', () => exportReport('print'));
+
+// Transport
+els.playBtn.addEventListener('click', () => {
+  if (player.playing) pausePlayback();
+  else startPlayback().catch(err => { console.error(err); logln('Error:', err.message); });
+});
+els.seekBar.addEventListener('input', () => seekTo(parseFloat(els.seekBar.value)));
+// Chart Y range and zoom (click-to-seek, wheel and drag are handled by the charts)
+function applyChartYRange() {
+  const min = parseFloat(els.chartYMin.value), max = parseFloat(els.chartYMax.value);
+  charts.M.setYRange(min, max, els.chartYAuto.checked);
+  charts.S.setYRange(min, max, els.chartYAuto.checked);
+  els.chartYMin.disabled = els.chartYMax.disabled = els.chartYAuto.checked;
+  redrawCharts();
+}
+for (const el of [els.chartYMin, els.chartYMax, els.chartYAuto]) el.addEventListener('change', applyChartYRange);
+els.chartReset.addEventListener('click', () => charts.M.resetView());
+els.spectrumWeighting.addEventListener('change', () => {
+  applySpectrumWeighting();
+  if (live.running) updateLiveSpectrum();
+});
+
+// Regions: typed range, save with a name, click a saved one to select it and listen from its start
+els.regionMeasure.addEventListener('click', () => {
+  const start = parseTime(els.regionStart.value), end = parseTime(els.regionEnd.value);
+  if (!(end > start)) {
+    els.regionInfo.textContent = 'Inicio y fin no válidos (mm:ss.mmm o segundos).';
+    return;
+  }
+  chartSelect(start, end);
+});
+els.regionAdd.addEventListener('click', addRegion);
+els.regionClear.addEventListener('click', () => {
+  selection = null;
+  els.regionInfo.textContent = '';
+  showRegions();
+  updateRegionControls();
+});
+els.regionTable.addEventListener('click', (ev) => {
+  const del = ev.target.closest('button[data-del]');
+  if (del) {
+    regions.splice(Number(del.dataset.del), 1);
+    renderRegions();
+    showRegions();
+    return;
+  }
+  const tr = ev.target.closest('tr[data-idx]');
+  if (!tr) return;
+  const g = regions[Number(tr.dataset.idx)];
+  selection = { start: g.start, end: g.end, summary: g };
+  els.regionStart.value = fmtTime(g.start);
+  els.regionEnd.value = fmtTime(g.end);
+  els.regionInfo.textContent = `${g.name}: ${regionText(g)}`;
+  showRegions();
+  updateRegionControls();
+  chartSeek(g.start);
+});
+// Max time labels jump to the loudest moment, with 1 s of pre-roll
+els.tMmax.addEventListener('click', () => {
+  if (lastResult?.mMaxIdx >= 0) chartSeek(lastResult.timesM[lastResult.mMaxIdx] - 1);
+});
+els.tSmax.addEventListener('click', () => {
+  if (lastResult?.sMaxIdx >= 0) chartSeek(lastResult.timesS[lastResult.sMaxIdx] - 1);
+});
+
+// Ceiling change: live → worklet; file → re-analyze (overs are logged during the TP pass)
+els.tpCeiling.addEventListener('change', async () => {
+  if (live.running) {
+    live.workletNode.port.postMessage({ type: 'ceiling', ceilingDb: tpCeilingDb() });
+    return;
+  }
+  try {
+    await reanalyze();
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+  }
+});
+
+// Delivery profile: selection is remembered; the form saves / deletes custom profiles
+fillProfileSelect(localStorage.getItem(PROFILE_STORAGE_KEY) || 'ebu-r128');
+els.profileSelect.addEventListener('change', () => {
+  localStorage.setItem(PROFILE_STORAGE_KEY, els.profileSelect.value);
+  fillProfileForm();
+  renderCompliance(lastMetrics);
+  if (Number.isFinite(profileTarget())) {
+    els.meterTarget.value = profileTarget();
+    applyMeterSettings();
+  }
+  updateChartOverlays();
+  redrawCharts();
+  if (batch.items.length) renderBatch();
+  renderHistory();
+});
+els.profileForm.addEventListener('submit', (ev) => {
+  ev.preventDefault();
+  const f = els.profileForm.elements;
+  const profile = { label: f.label.value };
+  for (const k of PROFILE_FIELDS) if (f[k].value !== '') profile[k] = Number(f[k].value);
+  try {
+    const key = saveCustomProfile(profile);
+    localStorage.setItem(PROFILE_STORAGE_KEY, key);
+    fillProfileSelect(key);
+    renderCompliance(lastMetrics);
+    if (batch.items.length) renderBatch();
+    renderHistory();
+    logln('Perfil guardado:', profile.label);
+  } catch (err) {
+    alert(err.message);
+  }
+});
+els.profileDelete.addEventListener('click', () => {
+  const key = els.profileSelect.value;
+  if (!key.startsWith('custom:') || !confirm(`¿Eliminar el perfil "${currentProfile().label}"?`)) return;
+  deleteCustomProfile(key);
+  localStorage.setItem(PROFILE_STORAGE_KEY, 'ebu-r128');
+  fillProfileSelect('ebu-r128');
+  renderCompliance(lastMetrics);
+  if (batch.items.length) renderBatch();
+  renderHistory();
+});
+
+// Live meters: target follows the delivery profile unless edited; scale, unit and radar period
+function applyMeterSettings() {
+  const target = parseFloat(els.meterTarget.value);
+  meterSettings.target = Number.isFinite(target) ? target : -23;
+  meterSettings.scale = els.meterScale.value;
+  meterSettings.relative = els.meterUnit.value === 'lu';
+  meterSettings.tpCeiling = tpCeilingDb();
+  meters.radar.setPeriod(parseFloat(els.radarPeriod.value) * 60);
+  meters.bars.draw();
+}
+els.meterScale.innerHTML = Object.entries(METER_SCALES).map(([key, sc]) => `<option value="${key}">${sc.label}</option>`).join('');
+els.meterTarget.value = Number.isFinite(profileTarget()) ? profileTarget() : -23;
+for (const el of [els.meterTarget, els.meterScale, els.meterUnit, els.radarPeriod, els.tpCeiling]) {
+  el.addEventListener('change', applyMeterSettings);
+}
+applyMeterSettings();
+
+// Batch: folder picker, drag & drop of files/folders, table sorting and row → main view
+els.folderInput.addEventListener('change', () => {
+  if (els.folderInput.files.length) runBatch(els.folderInput.files).catch(err => logln('Error:', err.message));
+});
+document.addEventListener('dragover', (ev) => {
+  ev.preventDefault();
+  document.body.classList.add('dragging');
+});
+document.addEventListener('dragleave', (ev) => {
+  if (!ev.relatedTarget) document.body.classList.remove('dragging');
+});
+document.addEventListener('drop', async (ev) => {
+  ev.preventDefault();
+  document.body.classList.remove('dragging');
+  try {
+    const files = (await filesFromDataTransfer(ev.dataTransfer)).filter(isAudioFile);
+    if (files.length > 1) await runBatch(files);
+    else if (files.length === 1) await analyzeFile(files[0]);
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+  }
+});
+els.batchTable.addEventListener('click', async (ev) => {
+  const th = ev.target.closest('th[data-key]');
+  if (th) {
+    const key = th.dataset.key;
+    batch.sortDir = batch.sortKey === key ? -batch.sortDir : 1;
+    batch.sortKey = key;
+    renderBatch();
+    return;
+  }
+  const tr = ev.target.closest('tr[data-order]');
+  const item = tr && batch.items[Number(tr.dataset.order)];
+  if (!item || item.status !== 'done' || batch.running) return;
+  try {
+    await analyzeFile(item.file); // full view: decoded again for playback / normalization
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+  }
+});
+
+// History: click a row to reopen it, ✕ to delete it; search and filter in place
+els.historyTable.addEventListener('click', async (ev) => {
+  try {
+    const del = ev.target.closest('button[data-del]');
+    if (del) {
+      await deleteMeasurement(Number(del.dataset.del));
+      await refreshHistory();
+      return;
+    }
+    const tr = ev.target.closest('tr[data-id]');
+    if (tr) await openHistoryEntry(Number(tr.dataset.id));
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+  }
+});
+els.historySearch.addEventListener('input', renderHistory);
+els.historyFilter.addEventListener('change', renderHistory);
+els.historyClear.addEventListener('click', async () => {
+  if (!confirm(`¿Borrar las ${saved.entries.length} mediciones del historial?`)) return;
+  try {
+    await clearHistory();
+    await refreshHistory();
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+  }
+});
+if (historyAvailable()) {
+  refreshHistory().catch(err => logln('Historial no disponible:', err.message));
+} else {
+  els.historyInfo.textContent = 'Este navegador no ofrece IndexedDB: el historial no se guarda.';
+  renderHistory();
+}
+
+// A/B comparison: A defaults to the current file; the offset moves B on the charts
+els.compareBtn.addEventListener('click', async () => {
+  try {
+    await runCompare(els.compareA.files[0] || lastFile, els.compareB.files[0]);
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+    alert('Error al comparar: ' + err.message);
+  }
+});
+els.compareClear.addEventListener('click', async () => {
+  try {
+    await listenCompare('A');
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+  }
+  resetCompare();
+  applyPlayerGain();
+  redrawCharts();
+});
+els.compareOffset.addEventListener('change', () => {
+  const offset = parseFloat(els.compareOffset.value);
+  if (Number.isFinite(offset)) setCompareOffset(offset);
+  else renderCompare();
+});
+els.compareAlign.addEventListener('click', alignCompare);
+els.compareSide.addEventListener('change', () => {
+  listenCompare(els.compareSide.value).catch(err => { console.error(err); logln('Error:', err.message); });
+});
+els.compareMatch.addEventListener('change', () => {
+  applyPlayerGain();
+  renderCompare();
+});
+renderCompare();
+
+// Layout override: live → new weights to the worklet; file → re-analyze the last one (both in A/B)
+els.layoutSelect.addEventListener('change', async () => {
+  if (live.running) {
+    rebuildLiveRouting();
+    renderChannelMap();
+    logln('Layout live:', live.layout.label);
+    return;
+  }
+  renderChannelMap();
+  try {
+    await reanalyze();
+  } catch (err) {
+    console.error(err);
+    logln('Error:', err.message);
+  }
+});
+
+// Light/Dark manual toggle (forces color-scheme via data-theme attr)
+els.darkToggle.addEventListener('change', (e) => {
+  if (e.target.checked) {
+    document.documentElement.style.colorScheme = 'dark';
+  } else {
+    document.documentElement.style.colorScheme = 'light';
+  }
+});
+
+// ---------- Test helpers (callable from console) ----------
+
+async function computeFromChannels(channels, sampleRate) {
+  return await workerCall('compute', {
+    channels, sampleRate,
+    weights: resolveLayout(channels.length).weights,
+    tpCeilingDb: tpCeilingDb(),
+    hopSec: DEFAULT_HOP_SEC,
+    mWindowSec: M_WINDOW_SEC,
+    sWindowSec: S_WINDOW_SEC,
   });
 }
 
@@ -684,7 +2624,7 @@ window.tests = {
 };
 
 // Expose for convenience in console
-window._dbg = { analyzeFile, renderKWeighted, computeFromChannels };
+window._dbg = { analyzeFile, computeFromChannels };
 
 // Optional: analyze immediately if a file was selected
 els.fileInput.addEventListener('change', () => { /* no-op */ });
@@ -0,0 +1,200 @@
+/**
+ * Band spectrum for the spectrogram and the live spectrum
+ * - 1/6-octave bands from 20 Hz to 20 kHz (centres 1 kHz · 2^(k/6))
+ * - Files: one Hann-windowed FFT per hop and channel pair, centred on the hop, band powers summed
+ *   over the channels with their BS.1770 weights. Fed raw samples chunk by chunk, like the
+ *   true peak
+ * - Live: AnalyserNode dB bins folded into the same bands (binsToBands)
+ *
+ * Band values are mean squares of the un-weighted signal: 10·log10(ms) + 3.01 is dBFS on the
+ * sine-peak scale, and adding the K-weighting gain at the band centre − 0.691 gives each band's
+ * contribution in LUFS. The bands of a frame add up to its power exactly; to its K-weighted
+ * loudness only approximately below ~200 Hz, where the window spreads a tone over several bands.
+ * Self-contained apart from the K-weighting coefficients, no module state.
+ */
+
+import { kWeightingCoefs } from './kweighting.js';
+
+const BAND_K_MIN = -34;   // 19.7 Hz
+const BAND_K_MAX = 26;    // 20.2 kHz
+
+/** Band centres and edges (Hz). */
+export const SPECTRUM_BANDS = (() => {
+  const n = BAND_K_MAX - BAND_K_MIN + 1;
+  const centers = new Float64Array(n), lo = new Float64Array(n), hi = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    centers[i] = 1000 * Math.pow(2, (BAND_K_MIN + i) / 6);
+    lo[i] = centers[i] * Math.pow(2, -1 / 12);
+    hi[i] = centers[i] * Math.pow(2, 1 / 12);
+  }
+  return { centers, lo, hi, length: n };
+})();
+
+/** Gain of the K-weighting filter (both stages) at each band centre, in dB. */
+export function kWeightingBandGains(sampleRate) {
+  const { pre, rlb } = kWeightingCoefs(sampleRate);
+  const gain = (s, f) => {
+    const w = 2 * Math.PI * f / sampleRate;
+    const c1 = Math.cos(w), s1 = Math.sin(w), c2 = Math.cos(2 * w), s2 = Math.sin(2 * w);
+    const nr = s.b[0] + s.b[1] * c1 + s.b[2] * c2, ni = -(s.b[1] * s1 + s.b[2] * s2);
+    const dr = 1 + s.a[1] * c1 + s.a[2] * c2, di = -(s.a[1] * s1 + s.a[2] * s2);
+    return (nr * nr + ni * ni) / (dr * dr + di * di);
+  };
+  return Array.from(SPECTRUM_BANDS.centers, f =>
+    (f < sampleRate / 2 ? 10 * Math.log10(gain(pre, f) * gain(rlb, f)) : Number.NEGATIVE_INFINITY));
+}
+
+// In-place iterative radix-2 FFT (re, im of length 2^k)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len;
+    const wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len >> 1; k++) {
+        const a = i + k, b = a + (len >> 1);
+        const tr = re[b] * cr - im[b] * ci, ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+        const t = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = t;
+      }
+    }
+  }
+}
+
+/**
+ * Folds per-bin powers into the bands, adding to out. Each bin spans ±binHz / 2 around its
+ * frequency and is shared among the bands it overlaps, so the bands keep the total power
+ * even where they are narrower than the bins.
+ * @param {ArrayLike<number>} binPower  bins 0 … N/2 − 1, bin k at k · binHz
+ * @param {number} binHz
+ * @param {Float64Array|Float32Array} out  one value per band
+ */
+export function binsToBands(binPower, binHz, out) {
+  const { lo, hi } = SPECTRUM_BANDS;
+  for (let b = 0; b < lo.length; b++) {
+    const k0 = Math.max(1, Math.round(lo[b] / binHz)), k1 = Math.min(binPower.length - 1, Math.round(hi[b] / binHz));
+    let sum = 0;
+    for (let k = k0; k <= k1; k++) {
+      const overlap = Math.min(hi[b], (k + 0.5) * binHz) - Math.max(lo[b], (k - 0.5) * binHz);
+      if (overlap > 0) sum += binPower[k] * overlap / binHz;
+    }
+    out[b] += sum;
+  }
+  return out;
+}
+
+/**
+ * Band powers of an AnalyserNode frame (getFloatFrequencyData, Blackman window): mean square
+ * per band, on the same scale as the file spectrogram.
+ * @param {Float32Array} db  analyser bins in dB
+ * @param {number} sampleRate
+ */
+export function analyserBands(db, sampleRate) {
+  const BLACKMAN_MS = 0.3046; // mean of w² over the window
+  const power = new Float64Array(db.length);
+  for (let k = 0; k < db.length; k++) power[k] = Number.isFinite(db[k]) ? 2 * Math.pow(10, db[k] / 10) / BLACKMAN_MS : 0;
+  return binsToBands(power, sampleRate / (2 * db.length), new Float64Array(SPECTRUM_BANDS.length));
+}
+
+/**
+ * Spectrogram of a signal fed chunk by chunk: one frame of band powers per hop.
+ * @param {number} nCh
+ * @param {number} sampleRate
+ * @param {number[]} weights  BS.1770 channel weights (0 leaves a channel out)
+ * @param {number} hopSec
+ * @returns {{ push(chans: Float32Array[], n: number): void,
+ *   finish(): { hopSec: number, sampleRate: number, bands: number, frames: number, power: Float32Array } }}
+ *   power: frames × bands, frame h centred at (h + 0.5) · hopSec
+ */
+export function createSpectrumAnalyzer(nCh, sampleRate, weights, hopSec) {
+  const hop = Math.max(1, Math.floor(hopSec * sampleRate));
+  let N = 256;
+  while (N * 2 <= hop && N < 16384) N <<= 1;
+  const win = new Float64Array(N);
+  let winSq = 0;
+  for (let i = 0; i < N; i++) {
+    win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * (i + 0.5) / N);
+    winSq += win[i] * win[i];
+  }
+  const scale = 2 / (N * winSq);
+  const binHz = sampleRate / N;
+  const nBands = SPECTRUM_BANDS.length;
+  const used = [...Array(nCh).keys()].filter(c => weights[c] > 0);
+  const re = new Float64Array(N), im = new Float64Array(N);
+  const binsA = new Float64Array(N >> 1), binsB = new Float64Array(N >> 1);
+
+  let tail = used.map(() => new Float32Array(0)); // samples from `base` up to the current chunk
+  let base = 0, pos = 0, frame = 0;
+  const out = [];
+
+  // frame h covers [centre − N/2, centre + N/2), zero outside the signal
+  const sample = (u, idx, chunk, chunkPos, end) => {
+    if (idx >= base && idx < chunkPos) return tail[u][idx - base];
+    if (idx >= chunkPos && idx < end) return chunk[used[u]][idx - chunkPos];
+    return 0;
+  };
+  // channels two at a time: one complex FFT of a + i·b, then A[k] = (X[k] + X*[N−k]) / 2 and
+  // B[k] = (X[k] − X*[N−k]) / 2i
+  const analyze = (chunk, chunkPos, end) => {
+    const start = Math.round((frame + 0.5) * hop) - (N >> 1);
+    const acc = new Float64Array(nBands);
+    for (let u = 0; u < used.length; u += 2) {
+      const pair = u + 1 < used.length;
+      for (let i = 0; i < N; i++) {
+        re[i] = sample(u, start + i, chunk, chunkPos, end) * win[i];
+        im[i] = pair ? sample(u + 1, start + i, chunk, chunkPos, end) * win[i] : 0;
+      }
+      fft(re, im);
+      const wa = weights[used[u]] * scale / 4, wb = pair ? weights[used[u + 1]] * scale / 4 : 0;
+      for (let k = 0; k < binsA.length; k++) {
+        const j = k ? N - k : 0;
+        const ar = re[k] + re[j], ai = im[k] - im[j], br = im[k] + im[j], bi = re[j] - re[k];
+        binsA[k] = wa * (ar * ar + ai * ai);
+        binsB[k] = wb * (br * br + bi * bi);
+      }
+      binsToBands(binsA, binHz, acc);
+      if (pair) binsToBands(binsB, binHz, acc);
+    }
+    out.push(Float32Array.from(acc));
+    frame++;
+  };
+
+  return {
+    push(chans, n) {
+      const chunkPos = pos, end = pos + n;
+      while (Math.round((frame + 0.5) * hop) + (N >> 1) <= end) analyze(chans, chunkPos, end);
+      // keep what the next frames still need
+      const keepFrom = Math.min(end, Math.max(base, Math.round((frame + 0.5) * hop) - (N >> 1)));
+      tail = used.map((c, u) => {
+        const t = new Float32Array(end - keepFrom);
+        const fromTail = Math.max(0, chunkPos - keepFrom);
+        if (fromTail) t.set(tail[u].subarray(keepFrom - base, chunkPos - base));
+        t.set(chans[c].subarray(Math.max(0, keepFrom - chunkPos), n), fromTail);
+        return t;
+      });
+      base = keepFrom;
+      pos = end;
+    },
+    finish() {
+      const frames = Math.ceil(pos / hop);
+      const empty = used.map(() => new Float32Array(0));
+      while (frame < frames) analyze(empty, pos, pos);
+      const power = new Float32Array(frames * nBands);
+      out.forEach((b, h) => power.set(b, h * nBands));
+      return { hopSec, sampleRate, bands: nBands, frames, power };
+    },
+  };
+}
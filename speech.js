@@ -0,0 +1,149 @@
+/**
+ * Speech (dialogue) detection for dialogue-gated loudness (ATSC A/85 Annex G style workflows)
+ * - 10 ms frames of the weighted mono mix: energy in the speech band (300–3400 Hz), total
+ *   energy and zero-crossing rate
+ * - Per hop, over a 1 s window centred on it: low short-time energy ratio (syllables and the
+ *   gaps between them), high zero-crossing rate ratio (voiced / unvoiced alternation) and the
+ *   share of energy in the speech band (Lu, Zhang & Jiang speech / music discrimination)
+ * - Hop decisions smoothed: 5-hop majority, then short gaps filled and short runs dropped
+ *
+ * A heuristic classifier, not a trained model: clean dialogue over a quiet bed is found
+ * reliably; sung vocals and dense percussion can be taken for speech and dialogue buried under
+ * loud music can be missed. Fed raw (un-weighted) samples chunk by chunk, like the true peak.
+ * Self-contained, no module state.
+ */
+
+const FRAME_SEC = 0.010;
+const CONTEXT_SEC = 1.0;
+const MIN_RUN_SEC = 0.3;   // shorter speech runs are dropped, shorter pauses are filled
+const SILENCE = 1e-7;      // mean square of the speech band below this (≈ −70 dBFS) is not speech
+
+// Decision thresholds over the 1 s context
+const LSTER_MIN = 0.2;     // frames under half the mean band energy
+const HZCRR_MIN = 0.05;    // frames over 1.5× the mean zero-crossing rate
+const BAND_RATIO_MIN = 0.35;
+
+// RBJ cookbook 2nd-order sections, { b, a } with a0 = 1
+function biquad(type, f0, sampleRate, Q = Math.SQRT1_2) {
+  const w = 2 * Math.PI * Math.min(f0, sampleRate * 0.45) / sampleRate;
+  const cos = Math.cos(w), alpha = Math.sin(w) / (2 * Q), a0 = 1 + alpha;
+  const b = type === 'lowpass'
+    ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+    : [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+  return { b: b.map(v => v / a0), a: [1, -2 * cos / a0, (1 - alpha) / a0] };
+}
+
+/**
+ * @param {number} nCh
+ * @param {number} sampleRate
+ * @param {number[]} weights  BS.1770 channel weights of the mix (0 leaves a channel out)
+ * @returns {{ push(chans: Float32Array[], n: number): void, finish(hopSec: number): Uint8Array }}
+ *   finish: one flag per hop of hopSec from the start (1 = speech)
+ */
+export function createSpeechDetector(nCh, sampleRate, weights) {
+  const frameLen = Math.max(1, Math.round(FRAME_SEC * sampleRate));
+  const sections = [biquad('highpass', 300, sampleRate), biquad('lowpass', 3400, sampleRate)];
+  const state = sections.map(() => new Float64Array(4));
+  const dcR = Math.exp(-2 * Math.PI * 60 / sampleRate); // one-pole high-pass for the ZCR
+  let dcX = 0, dcY = 0, prevSign = 0;
+  let accBand = 0, accTot = 0, zc = 0, fill = 0;
+  const band = [], total = [], zcr = [];
+
+  return {
+    push(chans, n) {
+      for (let i = 0; i < n; i++) {
+        let x = 0;
+        for (let c = 0; c < nCh; c++) if (weights[c]) x += weights[c] * chans[c][i];
+
+        const y0 = x - dcX + dcR * dcY;
+        dcX = x;
+        dcY = y0;
+        accTot += y0 * y0;
+        const sign = y0 > 0 ? 1 : (y0 < 0 ? -1 : 0);
+        if (sign && prevSign && sign !== prevSign) zc++;
+        if (sign) prevSign = sign;
+
+        let y = x;
+        for (let k = 0; k < sections.length; k++) {
+          const { b, a } = sections[k], st = state[k];
+          const out = b[0] * y + b[1] * st[0] + b[2] * st[1] - a[1] * st[2] - a[2] * st[3];
+          st[1] = st[0]; st[0] = y; st[3] = st[2]; st[2] = out;
+          y = out;
+        }
+        accBand += y * y;
+
+        if (++fill === frameLen) {
+          band.push(accBand / frameLen);
+          total.push(accTot / frameLen);
+          zcr.push(zc / frameLen);
+          accBand = accTot = zc = fill = 0;
+        }
+      }
+    },
+
+    finish(hopSec) {
+      const framesPerHop = hopSec / FRAME_SEC;
+      const nHops = Math.ceil(band.length / framesPerHop);
+      const half = Math.round(CONTEXT_SEC / FRAME_SEC / 2);
+      const raw = new Uint8Array(nHops);
+      for (let h = 0; h < nHops; h++) {
+        const mid = Math.round((h + 0.5) * framesPerHop);
+        const f0 = Math.max(0, mid - half), f1 = Math.min(band.length, mid + half);
+        if (f1 - f0 < half) continue;
+        let sumBand = 0, sumTot = 0, sumZcr = 0;
+        for (let f = f0; f < f1; f++) {
+          sumBand += band[f];
+          sumTot += total[f];
+          sumZcr += zcr[f];
+        }
+        const meanBand = sumBand / (f1 - f0), meanZcr = sumZcr / (f1 - f0);
+        if (meanBand < SILENCE || !(sumBand >= BAND_RATIO_MIN * sumTot)) continue;
+        let low = 0, high = 0;
+        for (let f = f0; f < f1; f++) {
+          if (band[f] < 0.5 * meanBand) low++;
+          if (zcr[f] > 1.5 * meanZcr) high++;
+        }
+        raw[h] = low / (f1 - f0) >= LSTER_MIN && high / (f1 - f0) >= HZCRR_MIN ? 1 : 0;
+      }
+
+      // 5-hop majority
+      const flags = new Uint8Array(nHops);
+      for (let h = 0; h < nHops; h++) {
+        let votes = 0, n = 0;
+        for (let k = Math.max(0, h - 2); k <= Math.min(nHops - 1, h + 2); k++, n++) votes += raw[k];
+        flags[h] = 2 * votes > n ? 1 : 0;
+      }
+      // fill short pauses, then drop short runs
+      const minRun = Math.max(1, Math.round(MIN_RUN_SEC / hopSec));
+      relabelShortRuns(flags, 0, minRun);
+      relabelShortRuns(flags, 1, minRun);
+      return flags;
+    },
+  };
+}
+
+// Runs of `value` shorter than minRun become the opposite value; a pause only counts as one
+// when speech is on both sides of it
+function relabelShortRuns(flags, value, minRun) {
+  for (let h = 0; h < flags.length;) {
+    if (flags[h] !== value) { h++; continue; }
+    let e = h;
+    while (e < flags.length && flags[e] === value) e++;
+    const inner = value === 1 || (h > 0 && e < flags.length);
+    if (e - h < minRun && inner) flags.fill(1 - value, h, e);
+    h = e;
+  }
+}
+
+/** Speech hops merged into time ranges { from, to } (seconds). */
+export function speechSegments(flags, hopSec) {
+  const out = [];
+  for (let h = 0; h < flags.length;) {
+    if (!flags[h]) { h++; continue; }
+    let e = h;
+    while (e < flags.length && flags[e]) e++;
+    out.push({ from: h * hopSec, to: e * hopSec });
+    h = e;
+  }
+  return out;
+}
@@ -0,0 +1,149 @@
+/**
+ * Conformance cases with the expected values and tolerances published in EBU Tech 3341 (v4)
+ * and Tech 3342 (v4), synthesized instead of read from the EBU test files.
+ *
+ * Covered: 3341 #1–#6, #9, #10–#13 and #15–#22; 3342 #1–#4. Cases #10–#13 check the maximum
+ * short-term (#10, #11) and momentary (#12, #13) loudness of 1 kHz tone bursts at −23 dBFS that
+ * start at every phase of the 100 ms update grid: one burst per signal (#10, #13) or all of them
+ * in one signal (#11, #12). The burst lengths are ours: 3 s for S (the best block covers at least
+ * 2.95 s of it, −0.07 LU) and 0.5 s for M (one whole 400 ms block always lies inside).
+ *
+ * Plus one case of our own: the relative gate of a quiet programme falls below −70 LUFS, where
+ * only the absolute gate keeps the blocks out.
+ *
+ * Not covered:
+ *   3341 #7, #8 and 3342 #5, #6  authentic programme material, only available as the EBU files
+ *   3341 #14, #23                their test files are not reproduced here
+ *
+ * Each case: { name, sampleRate, weights?, signal() → Float32Array[], expect }
+ *   expect.I / .LRA / .TP:  { value, tol } or { value, plus, minus }
+ *   expect.M / .S:          { value, tol, from } every block ending at or after `from` seconds
+ *   expect.Mmax / .Smax:    { value, tol } the largest M / S block
+ */
+
+import { toneSequence, copies, repeat, fade } from './signals.mjs';
+
+const SR = 48000;
+const LU01 = 0.1;     // M, S, I tolerance
+const LRA_TOL = 1;    // LRA tolerance
+const tp = { value: -6, plus: 0.2, minus: 0.4 };
+const SILENCE = -200;
+const PHASES = 20;          // burst start offsets, 5 ms apart: every phase of the 100 ms hop
+const PHASE_SEC = 0.005;
+const max23 = { value: -23, tol: LU01 };
+
+// silence of `lead` + k phase steps, the burst, and some silence after it
+const burst = (k, lead, sec) => [[SILENCE, lead + k * PHASE_SEC], [-23, sec], [SILENCE, 0.5]];
+const phases = Array.from({ length: PHASES }, (_, k) => k);
+
+export const EBU_3341 = [
+  {
+    name: '3341 #1: 1 kHz −23 dBFS, 20 s',
+    signal: () => copies(toneSequence(SR, [[-23, 20]])),
+    expect: { I: { value: -23, tol: LU01 }, M: { value: -23, tol: LU01, from: 1 }, S: { value: -23, tol: LU01, from: 3 } },
+  },
+  {
+    name: '3341 #2: 1 kHz −33 dBFS, 20 s',
+    signal: () => copies(toneSequence(SR, [[-33, 20]])),
+    expect: { I: { value: -33, tol: LU01 }, M: { value: -33, tol: LU01, from: 1 }, S: { value: -33, tol: LU01, from: 3 } },
+  },
+  {
+    name: '3341 #3: −36 / −23 / −36 dBFS (relative gate)',
+    signal: () => copies(toneSequence(SR, [[-36, 10], [-23, 60], [-36, 10]])),
+    expect: { I: { value: -23, tol: LU01 } },
+  },
+  {
+    name: '3341 #4: −72 / −36 / −23 / −36 / −72 dBFS (absolute and relative gate)',
+    signal: () => copies(toneSequence(SR, [[-72, 10], [-36, 10], [-23, 60], [-36, 10], [-72, 10]])),
+    expect: { I: { value: -23, tol: LU01 } },
+  },
+  {
+    name: 'gates: −62 / −71 dBFS, relative gate below the absolute one',
+    signal: () => copies(toneSequence(SR, [[-62, 10], [-71, 30]])),
+    expect: { I: { value: -62, tol: LU01 } },
+  },
+  {
+    name: '3341 #5: −26 / −20 / −26 dBFS',
+    signal: () => copies(toneSequence(SR, [[-26, 20], [-20, 20.1], [-26, 20]])),
+    expect: { I: { value: -23, tol: LU01 } },
+  },
+  {
+    name: '3341 #6: 5.0, L R −28 / C −24 / Ls Rs −30 dBFS',
+    weights: [1, 1, 1, 1.41, 1.41],
+    signal: () => [-28, -28, -24, -30, -30].map(db => toneSequence(SR, [[db, 20]])),
+    expect: { I: { value: -23, tol: LU01 } },
+  },
+  {
+    name: '3341 #9: 1.34 s at −20 / 1.66 s at −30 dBFS, S constant',
+    signal: () => copies(toneSequence(SR, repeat([[-20, 1.34], [-30, 1.66]], 5))),
+    expect: { S: { value: -23, tol: LU01, from: 3 } },
+  },
+  ...phases.map(k => ({
+    name: `3341 #10-${k + 1}: max S, 3 s burst at −23 dBFS, offset ${Math.round(k * PHASE_SEC * 1000)} ms`,
+    signal: () => copies(toneSequence(SR, burst(k, 1, 3))),
+    expect: { Smax: max23 },
+  })),
+  {
+    name: '3341 #11: max S, 20 bursts of 3 s at −23 dBFS at every hop phase',
+    signal: () => copies(toneSequence(SR, phases.flatMap(k => burst(k, 3, 3)))),
+    expect: { Smax: max23 },
+  },
+  {
+    name: '3341 #12: max M, 20 bursts of 0.5 s at −23 dBFS at every hop phase',
+    signal: () => copies(toneSequence(SR, phases.flatMap(k => burst(k, 0.5, 0.5)))),
+    expect: { Mmax: max23 },
+  },
+  ...phases.map(k => ({
+    name: `3341 #13-${k + 1}: max M, 0.5 s burst at −23 dBFS, offset ${Math.round(k * PHASE_SEC * 1000)} ms`,
+    signal: () => copies(toneSequence(SR, burst(k, 1, 0.5))),
+    expect: { Mmax: max23 },
+  })),
+  // true peak: −6 dBFS sines at fs/4, fs/6, fs/8 whose samples miss the peaks (faded in / out)
+  ...[
+    [15, SR, 4, 0],
+    [16, SR, 4, 45],
+    [17, SR, 6, 60],
+    [18, SR, 8, 67.5],
+    [19, 192000, 4, 0],
+    [20, 192000, 4, 45],
+    [21, 192000, 6, 60],
+    [22, 192000, 8, 67.5],
+  ].map(([n, sampleRate, div, phase]) => ({
+    name: `3341 #${n}: true peak, ${sampleRate / 1000} kHz, sine at fs/${div}, ${phase}°`,
+    sampleRate,
+    signal: () => copies(fade(toneSequence(sampleRate, [[-6, 2]], sampleRate / div, phase), sampleRate)),
+    expect: { TP: tp },
+  })),
+];
+
+export const EBU_3342 = [
+  {
+    name: '3342 #1: −20 / −30 dBFS',
+    signal: () => copies(toneSequence(SR, [[-20, 20], [-30, 20]])),
+    expect: { LRA: { value: 10, tol: LRA_TOL } },
+  },
+  {
+    name: '3342 #2: −20 / −15 dBFS',
+    signal: () => copies(toneSequence(SR, [[-20, 20], [-15, 20]])),
+    expect: { LRA: { value: 5, tol: LRA_TOL } },
+  },
+  {
+    name: '3342 #3: −40 / −20 dBFS',
+    signal: () => copies(toneSequence(SR, [[-40, 20], [-20, 20]])),
+    expect: { LRA: { value: 20, tol: LRA_TOL } },
+  },
+  {
+    name: '3342 #4: −50 / −35 / −20 / −35 / −50 dBFS',
+    signal: () => copies(toneSequence(SR, [[-50, 20], [-35, 20], [-20, 20], [-35, 20], [-50, 20]])),
+    expect: { LRA: { value: 15, tol: LRA_TOL } },
+  },
+];
+
+export const ALL_CASES = [...EBU_3341, ...EBU_3342].map(c => ({ sampleRate: SR, ...c }));
+
+/** Asserts `actual` against { value, tol } or { value, plus, minus }; returns an error text or null. */
+export function outOfTolerance(actual, e) {
+  const lo = e.value - (e.minus ?? e.tol), hi = e.value + (e.plus ?? e.tol);
+  if (actual >= lo - 1e-9 && actual <= hi + 1e-9) return null;
+  return `${actual.toFixed(3)} fuera de [${lo}, ${hi}]`;
+}
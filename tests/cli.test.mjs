@@ -0,0 +1,127 @@
+/**
+ * Command-line meter (cli.mjs) run as a child process: arguments, output files and exit codes
+ * (0 ok, 1 some file does not meet the profile, 2 usage or read error).
+ * Run with: node --test tests/
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { encodeWav } from '../wav.js';
+import { toneSequence, copies } from './signals.mjs';
+
+const CLI = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+
+// { code, stdout, stderr } of one run
+function run(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('cli', () => {
+  let dir, wav;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'loudness-cli-'));
+    wav = join(dir, 'tono.wav');
+    // 1 kHz stereo sine at −23 dBFS: −23 LUFS
+    const blob = encodeWav(copies(toneSequence(48000, [[-23, 4]])), 48000, 'pcm24');
+    await writeFile(wav, new Uint8Array(await blob.arrayBuffer()));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('sin archivos, opción o layout desconocidos: uso y código 2', async () => {
+    for (const args of [[], ['--nope', 'x.wav'], ['-l', 'nope', 'x.wav'], ['--ceiling', 'abc', 'x.wav']]) {
+      const r = await run(...args);
+      assert.equal(r.code, 2, args.join(' '));
+      assert.match(r.stderr, /Uso: node cli\.mjs/);
+    }
+    const help = await run('--help');
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /Código de salida/);
+  });
+
+  test('perfil desconocido: código 2', async () => {
+    const r = await run('-p', 'nope', wav);
+    assert.equal(r.code, 2);
+    assert.match(r.stderr, /Perfil desconocido: nope/);
+  });
+
+  test('medición en texto y en JSON: código 0', async () => {
+    const text = await run(wav);
+    assert.equal(text.code, 0, text.stderr);
+    assert.match(text.stdout, /tono\.wav · WAV PCM 24 bits · 48000 Hz · 2 ch/);
+    assert.match(text.stdout, /Integrated\s+-23\.0 LUFS/);
+
+    const json = await run('--json', '--summary', wav);
+    assert.equal(json.code, 0, json.stderr);
+    const report = JSON.parse(json.stdout);
+    assert.ok(Math.abs(report.metrics.lufsI + 23) < 0.1, `I ${report.metrics.lufsI}`);
+    assert.equal(report.series, undefined);
+  });
+
+  test('perfil: cumple 0, no cumple 1', async () => {
+    const ok = await run('-p', 'ebu-r128', wav);
+    assert.equal(ok.code, 0, ok.stdout);
+    assert.match(ok.stdout, /EBU R128: Cumple/);
+    const fail = await run('-p', 'spotify', wav);
+    assert.equal(fail.code, 1);
+    assert.match(fail.stdout, /Spotify: No cumple/);
+  });
+
+  test('archivo ilegible: se informa, los demás se miden, código 2 aunque otro no cumpla', async () => {
+    const missing = join(dir, 'falta.wav');
+    const r = await run('-p', 'spotify', missing, wav);
+    assert.equal(r.code, 2);
+    assert.match(r.stderr, /falta\.wav: /);
+    assert.match(r.stdout, /tono\.wav/);
+  });
+
+  test('--out: escribe <archivo>_loudness.json en la carpeta', async () => {
+    const out = join(dir, 'out');
+    await mkdir(out);
+    const r = await run('-o', out, wav);
+    assert.equal(r.code, 0, r.stderr);
+    const report = JSON.parse(await readFile(join(out, 'tono_loudness.json'), 'utf8'));
+    assert.ok(Math.abs(report.metrics.lufsI + 23) < 0.1);
+  });
+
+  test('--out que no existe o no es una carpeta: uso y código 2, sin medir', async () => {
+    for (const out of [join(dir, 'no-existe'), wav]) {
+      const r = await run('-o', out, wav);
+      assert.equal(r.code, 2, out);
+      assert.match(r.stderr, /no es una carpeta/);
+      assert.match(r.stderr, /Uso: node cli\.mjs/);
+      assert.equal(r.stdout, '');
+    }
+  });
+
+  test('--out con dos entradas del mismo nombre: código 2, sin medir ni escribir', async () => {
+    const out = join(dir, 'out-dup');
+    await mkdir(out);
+    await mkdir(join(dir, 'b'));
+    const other = join(dir, 'b', 'TONO.aif');
+    await writeFile(other, await readFile(wav));
+    const r = await run('-o', out, wav, other);
+    assert.equal(r.code, 2);
+    assert.match(r.stderr, /escribirían el mismo TONO_loudness\.json/);
+    assert.equal(r.stdout, '');
+    assert.deepEqual(await readdir(out), []);
+  });
+
+  test('--out sin poder escribir: error del archivo y código 2', async () => {
+    const out = join(dir, 'bloqueada');
+    await mkdir(join(out, 'tono_loudness.json'), { recursive: true }); // a folder where the file goes
+    const r = await run('-o', out, wav);
+    assert.equal(r.code, 2);
+    assert.match(r.stderr, new RegExp(`${wav.replace(/[.\\/]/g, '\\$&')}: .*EISDIR`));
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * A/B comparison helpers (compare.js) on engine measurements of synthetic signals.
+ * Run with: node --test tests/
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureChannels } from '../engine.js';
+import { alignOffset, compareMetrics, matchedGains } from '../compare.js';
+import { toneSequence, copies } from './signals.mjs';
+
+const FS = 48000;
+// uneven loudness steps, so the curve has one clear best lag
+const STEPS = [[-30, 2], [-18, 1.5], [-26, 3], [-14, 0.7], [-34, 2.2], [-20, 1.8], [-24, 2.5], [-16, 1.2], [-28, 2]];
+
+describe('compare', () => {
+  const a = measureChannels(copies(toneSequence(FS, STEPS)), FS);
+
+  test('B retrasado 2.3 s y 4 dB más bajo: offset −2.3 s, deltas y ganancias', () => {
+    const b = measureChannels(copies(toneSequence(FS, [[-200, 2.3], ...STEPS.map(([db, s]) => [db - 4, s])])), FS);
+    const { offset, score } = alignOffset(a.lufsM, b.lufsM, 0.1);
+    assert.ok(Math.abs(offset + 2.3) < 0.051, `offset ${offset}`);
+    assert.ok(score > 0.99, `score ${score}`);
+
+    const rows = Object.fromEntries(compareMetrics(a, b).map(r => [r.key, r]));
+    assert.deepEqual(Object.keys(rows), ['lufsI', 'lra', 'dbtp', 'plr', 'dr']);
+    assert.ok(Math.abs(rows.lufsI.delta + 4) < 0.05, `ΔI ${rows.lufsI.delta}`);
+    assert.ok(Math.abs(rows.dbtp.delta + 4) < 0.05, `ΔTP ${rows.dbtp.delta}`);
+    assert.ok(Number.isFinite(rows.lra.delta) && Number.isFinite(rows.dr.delta));
+    assert.ok(Math.abs(rows.plr.delta) < 0.1, `ΔPLR ${rows.plr.delta}`);
+
+    const g = matchedGains(a.lufsI, b.lufsI);
+    assert.ok(Math.abs(g.a + 4) < 0.05 && g.b === 0, `gains ${g.a} ${g.b}`);
+  });
+
+  test('B adelantado: offset positivo', () => {
+    const b = measureChannels(copies(toneSequence(FS, STEPS.slice(2))), FS);
+    const { offset } = alignOffset(a.lufsM, b.lufsM, 0.1);
+    assert.ok(Math.abs(offset - 3.5) < 0.051, `offset ${offset}`);
+  });
+
+  test('silencio: sin offset, sin deltas ni ganancias', () => {
+    const silent = measureChannels(copies(new Float32Array(FS * 5)), FS);
+    assert.deepEqual(alignOffset(silent.lufsM, a.lufsM, 0.1, 5), { offset: 0, score: Number.NaN });
+    const rows = Object.fromEntries(compareMetrics(a, silent).map(r => [r.key, r]));
+    assert.ok(Number.isNaN(rows.lufsI.delta) && Number.isNaN(rows.dbtp.delta));
+    assert.deepEqual(matchedGains(a.lufsI, silent.lufsI), { a: 0, b: 0 });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * EBU Tech 3341 / 3342 conformance of the file engine (engine.js, what the worker and the CLI run),
+ * plus sanity checks of the dialogue gate on synthetic speech, the spectrogram and the stereo image,
+ * and of the chunked, cancellable measurement.
+ * Run with: node --test tests/
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureChannels, measureChannelsAsync } from '../engine.js';
+import { SPECTRUM_BANDS, kWeightingBandGains } from '../spectrum.js';
+import { ALL_CASES, outOfTolerance } from './cases.mjs';
+import { toneSequence, copies, syllables, noise } from './signals.mjs';
+
+function checkSeries(name, times, values, e, winSec) {
+  for (let k = 0; k < values.length; k++) {
+    if (times[k] + winSec / 2 < e.from) continue;
+    const err = outOfTolerance(values[k], e);
+    assert.equal(err, null, `${name} en ${times[k].toFixed(1)} s: ${err}`);
+  }
+}
+
+describe('engine', () => {
+  for (const c of ALL_CASES) {
+    test(c.name, () => {
+      const r = measureChannels(c.signal(), c.sampleRate, { weights: c.weights });
+      const e = c.expect;
+      if (e.I) assert.equal(outOfTolerance(r.lufsI, e.I), null, `I ${outOfTolerance(r.lufsI, e.I)}`);
+      if (e.LRA) assert.equal(outOfTolerance(r.lra, e.LRA), null, `LRA ${outOfTolerance(r.lra, e.LRA)}`);
+      if (e.TP) assert.equal(outOfTolerance(r.dbtp, e.TP), null, `TP ${outOfTolerance(r.dbtp, e.TP)}`);
+      if (e.M) checkSeries('M', r.timesM, r.lufsM, e.M, 0.4);
+      if (e.S) checkSeries('S', r.timesS, r.lufsS, e.S, 3);
+      if (e.Mmax) assert.equal(outOfTolerance(r.lufsM[r.mMaxIdx], e.Mmax), null, `M máx ${outOfTolerance(r.lufsM[r.mMaxIdx], e.Mmax)}`);
+      if (e.Smax) assert.equal(outOfTolerance(r.lufsS[r.sMaxIdx], e.Smax), null, `S máx ${outOfTolerance(r.lufsS[r.sMaxIdx], e.Smax)}`);
+    });
+  }
+});
+
+describe('dialogue', () => {
+  const SR = 48000;
+
+  test('tono estable: sin voz', () => {
+    const r = measureChannels(copies(toneSequence(SR, [[-23, 20]])), SR);
+    assert.equal(r.speechPct, 0);
+    assert.equal(r.lufsD, Number.NEGATIVE_INFINITY);
+  });
+
+  test('habla sintética: casi todo voz, D ≈ I', () => {
+    const r = measureChannels(copies(syllables(SR, 20)), SR);
+    assert.ok(r.speechPct > 90, `voz ${r.speechPct.toFixed(1)} %`);
+    assert.ok(Math.abs(r.lufsD - r.lufsI) < 0.5, `D ${r.lufsD.toFixed(2)} / I ${r.lufsI.toFixed(2)}`);
+  });
+
+  test('tono más fuerte y después habla: D mide solo la parte hablada', () => {
+    const speech = syllables(SR, 15);
+    const alone = measureChannels(copies(speech), SR).lufsI;
+    const x = new Float32Array(SR * 15 + speech.length);
+    x.set(toneSequence(SR, [[-20, 15]]));
+    x.set(speech, SR * 15);
+    const r = measureChannels(copies(x), SR);
+    assert.ok(r.speechPct > 35 && r.speechPct < 55, `voz ${r.speechPct.toFixed(1)} %`);
+    assert.ok(Math.abs(r.lufsD - alone) < 0.5, `D ${r.lufsD.toFixed(2)} / solo habla ${alone.toFixed(2)}`);
+    assert.ok(r.speech.every(g => g.from >= 14), `segmentos ${JSON.stringify(r.speech)}`);
+  });
+});
+
+describe('spectrum', () => {
+  test('tono de 1 kHz a −23 dBFS: su banda a −23 dBFS y −23 LUFS sumando las bandas', () => {
+    const SR = 48000;
+    const { spectrum: sp } = measureChannels(copies(toneSequence(SR, [[-23, 5]])), SR);
+    const k = kWeightingBandGains(SR);
+    const band = SPECTRUM_BANDS.centers.findIndex(f => Math.abs(f - 1000) < 1);
+    const h = Math.floor(sp.frames / 2), row = sp.power.subarray(h * sp.bands, (h + 1) * sp.bands);
+    // per channel on the sine-peak scale: half the stereo sum, +3.01 dB
+    const dbfs = 10 * Math.log10(row[band] / 2) + 10 * Math.log10(2);
+    const lufs = -0.691 + 10 * Math.log10(row.reduce((s, p, b) => s + p * Math.pow(10, k[b] / 10), 0));
+    assert.ok(Math.abs(dbfs + 23) < 0.1, `banda ${dbfs.toFixed(2)} dBFS`);
+    assert.ok(Math.abs(lufs + 23) < 0.1, `suma ${lufs.toFixed(2)} LUFS`);
+  });
+});
+
+describe('stereo', () => {
+  const SR = 48000;
+
+  test('la misma señal en L y R: correlación +1, sin pérdida en mono', () => {
+    const st = measureChannels(copies(toneSequence(SR, [[-20, 10]])), SR).stereo;
+    assert.ok(st.corr > 0.999 && st.corrMin > 0.999, `corr ${st.corr} / mín ${st.corrMin}`);
+    assert.ok(Math.abs(st.monoDrop) < 0.01, `mono ${st.monoDrop}`);
+    assert.ok(Math.abs(st.balance) < 0.01, `balance ${st.balance}`);
+    assert.equal(st.lufsSide, Number.NEGATIVE_INFINITY);
+    assert.equal(measureChannels([toneSequence(SR, [[-20, 10]])], SR).stereo, null);
+  });
+
+  test('R con la polaridad invertida: correlación −1, la mezcla mono se anula', () => {
+    const x = toneSequence(SR, [[-20, 10]]);
+    const st = measureChannels([x, x.map(v => -v)], SR).stereo;
+    assert.ok(st.corr < -0.999, `corr ${st.corr}`);
+    assert.equal(st.negPct, 100);
+    assert.equal(st.lufsMono, Number.NEGATIVE_INFINITY);
+    assert.equal(st.monoDrop, Number.POSITIVE_INFINITY);
+  });
+
+  test('ruido independiente en L y R: correlación ≈ 0, pérdida en mono ≈ 3 dB', () => {
+    const st = measureChannels([noise(SR, 10, -20, 1), noise(SR, 10, -20, 2)], SR).stereo;
+    assert.ok(Math.abs(st.corr) < 0.05, `corr ${st.corr}`);
+    assert.ok(Math.abs(st.monoDrop - 3.01) < 0.1, `mono ${st.monoDrop}`);
+    assert.ok(Math.abs(st.lufsSide - st.lufsMono) < 0.1, `side ${st.lufsSide} / mono ${st.lufsMono}`);
+  });
+
+  test('R 6 dB por debajo de L: balance +6 LU, series por canal', () => {
+    const r = measureChannels([toneSequence(SR, [[-20, 10]]), toneSequence(SR, [[-26, 10]])], SR);
+    const st = r.stereo, k = r.timesS.length >> 1;
+    assert.ok(Math.abs(st.balance - 6) < 0.05, `balance ${st.balance}`);
+    assert.ok(st.corr > 0.999, `corr ${st.corr}`);
+    assert.ok(Math.abs(st.series.lufsL[k] - st.series.lufsR[k] - 6) < 0.05, `L ${st.series.lufsL[k]} / R ${st.series.lufsR[k]}`);
+    assert.equal(st.series.lufsL.length, r.lufsS.length);
+    assert.equal(st.series.corr.length, r.lufsM.length);
+  });
+});
+
+describe('measureChannelsAsync', () => {
+  const SR = 48000;
+  const signal = () => copies(toneSequence(SR, [[-30, 8], [-18, 8], [-26, 8]]));
+
+  test('por bloques: el mismo resultado que measureChannels, con progreso', async () => {
+    const progress = [];
+    const r = await measureChannelsAsync(signal(), SR, {}, { onProgress: f => progress.push(f) });
+    const ref = measureChannels(signal(), SR);
+    assert.equal(r.lufsI, ref.lufsI);
+    assert.equal(r.lra, ref.lra);
+    assert.equal(r.dbtp, ref.dbtp);
+    assert.deepEqual(r.lufsM, ref.lufsM);
+    assert.ok(progress.length > 1 && progress.at(-1) === 1, `progreso ${progress}`);
+  });
+
+  test('cancelado entre bloques: null', async () => {
+    let chunks = 0;
+    const r = await measureChannelsAsync(signal(), SR, {}, { onProgress: () => chunks++, isCancelled: () => chunks >= 1 });
+    assert.equal(r, null);
+    assert.equal(chunks, 1);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Analysis history helpers (history.js) that do not need IndexedDB: content hash, entries and
+ * the detection of a file measured again with different numbers.
+ * Run with: node --test tests/
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { measureChannels, measurementSettings } from '../engine.js';
+import { resolveLayout } from '../layouts.js';
+import { fileHash, historyEntry, metricsDiffer, settingsDiffer, changedHashes } from '../history.js';
+import { toneSequence, copies } from './signals.mjs';
+
+const FS = 48000;
+const MB = 1024 * 1024;
+
+describe('history', () => {
+  test('hash: SHA-256 del contenido, igual con otro nombre', async () => {
+    const bytes = new Uint8Array(1000).map((_, i) => i * 7);
+    const expected = createHash('sha256').update(bytes).digest('hex');
+    assert.equal(await fileHash(new Blob([bytes])), expected);
+    assert.equal(await fileHash(new File([bytes], 'otro.wav')), expected);
+    bytes[500] ^= 1;
+    assert.notEqual(await fileHash(new Blob([bytes])), expected);
+  });
+
+  test('hash de archivos grandes: muestreado, sensible al tamaño y a las muestras', async () => {
+    const block = new Uint8Array(MB).fill(1);
+    const parts = Array.from({ length: 70 }, () => block);
+    const base = await fileHash(new Blob(parts));
+    assert.match(base, /^[0-9a-f]{64}$/);
+    assert.equal(await fileHash(new Blob(parts)), base);
+    assert.notEqual(await fileHash(new Blob([...parts, new Uint8Array(1)])), base);
+    // the first slice always covers the start of the file (the header)
+    const edited = block.slice();
+    edited[100] = 2;
+    assert.notEqual(await fileHash(new Blob([edited, ...parts.slice(1)])), base);
+  });
+
+  test('entrada: métricas del resultado y ajustes', () => {
+    const r = measureChannels(copies(toneSequence(FS, [[-23, 4]])), FS);
+    const layout = resolveLayout(2);
+    r.settings = measurementSettings(layout, r.tpOversampling, r.tpCeilingDb);
+    r.file = { name: 'tono.wav', size: 1234, duration: 4, sampleRate: FS, channels: 2, format: 'WAV PCM 24 bits' };
+    const e = historyEntry(r, 'abc', new Date('2026-01-02T03:04:05Z'));
+    assert.equal(e.name, 'tono.wav');
+    assert.equal(e.type, 'file');
+    assert.equal(e.date, '2026-01-02T03:04:05.000Z');
+    assert.equal(e.settings.layout.key, layout.key);
+    assert.ok(Math.abs(e.metrics.lufsI + 23) < 0.1, `I ${e.metrics.lufsI}`);
+    assert.equal(e.metrics.plr, r.plr);
+    assert.equal(historyEntry({ ...r, file: { name: 'live_x', type: 'live' } }, null).type, 'live');
+  });
+
+  test('mismas cifras dentro de la tolerancia; cambios y silencio detectados', () => {
+    const m = { lufsI: -23, lufsD: undefined, lra: 5, dbtp: -1.2, lufsMmax: -18, lufsSmax: -20 };
+    assert.equal(metricsDiffer(m, { ...m, lufsI: -23.04 }), false);
+    assert.equal(metricsDiffer(m, { ...m, lufsI: -23.2 }), true);
+    assert.equal(metricsDiffer(m, { ...m, lufsD: -24 }), true);
+    const silent = { ...m, lufsI: Number.NEGATIVE_INFINITY };
+    assert.equal(metricsDiffer(silent, { ...silent }), false);
+    assert.equal(metricsDiffer(m, silent), true);
+
+    const entries = [
+      { hash: 'a', metrics: m },
+      { hash: 'b', metrics: m },
+      { hash: 'a', metrics: { ...m, dbtp: -0.8 } },
+      { hash: 'b', metrics: { ...m, lra: 5.02 } },
+      { hash: null, metrics: silent },
+      { hash: null, metrics: m },
+    ];
+    assert.deepEqual([...changedHashes(entries)], ['a']);
+    assert.equal(settingsDiffer({ settings: { tpCeilingDb: -1 } }, { settings: { tpCeilingDb: -1 } }), false);
+    assert.equal(settingsDiffer({ settings: { tpCeilingDb: -1 } }, { settings: { tpCeilingDb: -2 } }), true);
+  });
+});
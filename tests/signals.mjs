@@ -0,0 +1,108 @@
+/**
+ * Test signals of EBU Tech 3341 (loudness, true peak) and Tech 3342 (loudness range), synthesized
+ * instead of read from the EBU WAV files. Levels are sine peak levels in dBFS, so a full-scale
+ * sine is 0 dBFS and a 1 kHz stereo sine at −23 dBFS measures −23 LUFS.
+ */
+
+const amp = dbfs => Math.pow(10, dbfs / 20);
+
+/**
+ * Sine as a sequence of [dBFS, seconds] segments with continuous phase.
+ * @param {number} sampleRate
+ * @param {[number, number][]} segments
+ * @param {number} [freq]
+ * @param {number} [phaseDeg]  initial phase
+ */
+export function toneSequence(sampleRate, segments, freq = 1000, phaseDeg = 0) {
+  const total = segments.reduce((n, [, sec]) => n + Math.round(sec * sampleRate), 0);
+  const x = new Float32Array(total);
+  const w = 2 * Math.PI * freq / sampleRate, ph = phaseDeg * Math.PI / 180;
+  let i = 0;
+  for (const [dbfs, sec] of segments) {
+    const a = amp(dbfs), end = i + Math.round(sec * sampleRate);
+    for (; i < end; i++) x[i] = a * Math.sin(w * i + ph);
+  }
+  return x;
+}
+
+/** The same signal on n channels (independent copies). */
+export function copies(x, n = 2) {
+  return Array.from({ length: n }, () => x.slice());
+}
+
+/** `times` repetitions of a segment list. */
+export function repeat(segments, times) {
+  return Array.from({ length: times }, () => segments).flat();
+}
+
+/**
+ * Raised-cosine fade in and out (in place). An abruptly started or cut sine has inter-sample
+ * overshoots of its own (up to +0.7 dB at fs/8), which would mask what the true-peak cases test.
+ */
+export function fade(x, sampleRate, sec = 0.01) {
+  const n = Math.min(Math.round(sec * sampleRate), x.length >> 1);
+  for (let i = 0; i < n; i++) {
+    const g = 0.5 - 0.5 * Math.cos(Math.PI * i / n);
+    x[i] *= g;
+    x[x.length - 1 - i] *= g;
+  }
+  return x;
+}
+
+/**
+ * Speech-like test signal for the dialogue detector: about four syllables a second, each a voiced
+ * burst (harmonics of a 110–190 Hz pitch shaped by two formants), sometimes followed by a
+ * fricative (differentiated noise), with short pauses between them. Deterministic.
+ * @param {number} sampleRate
+ * @param {number} sec
+ * @param {number} [dbfs]  peak level of the voiced bursts, roughly
+ */
+export function syllables(sampleRate, sec, dbfs = -20) {
+  let seed = 1;
+  const rnd = () => (seed = (seed * 1103515245 + 12345) >>> 0) / 4294967296;
+  const a = amp(dbfs) / 4;
+  const formant = (f, fc, bw) => 1 / (1 + ((f - fc) / bw) ** 2);
+  const x = new Float32Array(Math.round(sec * sampleRate));
+  let i = 0;
+  while (i < x.length) {
+    const f0 = 110 + 80 * rnd();
+    const voiced = Math.round((0.12 + 0.08 * rnd()) * sampleRate);
+    for (let k = 0; k < voiced && i < x.length; k++, i++) {
+      let v = 0;
+      for (let h = 1; f0 * h < 4000; h++) {
+        const f = f0 * h;
+        v += (formant(f, 700, 400) + 0.5 * formant(f, 1500, 500)) * Math.sin(2 * Math.PI * f * k / sampleRate);
+      }
+      x[i] = a * Math.sin(Math.PI * k / voiced) * v;
+    }
+    if (rnd() < 0.5) {
+      const len = Math.round((0.04 + 0.04 * rnd()) * sampleRate);
+      let prev = 0;
+      for (let k = 0; k < len && i < x.length; k++, i++) {
+        const n = 2 * rnd() - 1;
+        x[i] = a * 0.5 * Math.sin(Math.PI * k / len) * (n - prev);
+        prev = n;
+      }
+    }
+    i += Math.round((0.03 + 0.08 * rnd()) * sampleRate);
+  }
+  return x;
+}
+
+/**
+ * Uniform white noise, deterministic for a given seed (independent channels: different seeds).
+ * @param {number} sampleRate
+ * @param {number} sec
+ * @param {number} [dbfs]  peak level
+ * @param {number} [seed]
+ */
+export function noise(sampleRate, sec, dbfs = -20, seed = 1) {
+  const a = amp(dbfs);
+  const x = new Float32Array(Math.round(sec * sampleRate));
+  let st = (seed * 2654435761) >>> 0 || 1; // xorshift32
+  for (let i = 0; i < x.length; i++) {
+    st ^= st << 13; st ^= st >>> 17; st ^= st << 5;
+    x[i] = a * (2 * (st >>> 0) / 4294967296 - 1);
+  }
+  return x;
+}
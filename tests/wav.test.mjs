@@ -0,0 +1,126 @@
+/**
+ * WAV / BWF / RF64 container: native reading and the bext loudness fields (EBU Tech 3285 v2)
+ * written into a copy of the file.
+ * Run with: node --test tests/
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav, readPcmInfo, decodePcm, readBext, writeBextLoudness, pcmFormatLabel } from '../wav.js';
+import { toneSequence, copies } from './signals.mjs';
+
+const METRICS = { lufsI: -23.04, lra: 7.5, dbtp: -1.26, lufsMmax: -15.3, lufsSmax: -18.91 };
+
+async function samples(blob) {
+  const info = await readPcmInfo(blob);
+  return decodePcm(await blob.slice(info.dataOffset, info.dataOffset + info.frames * info.blockAlign).arrayBuffer(), info);
+}
+
+// Chunk with its header (and pad byte)
+function chunk(id, body) {
+  const out = new Uint8Array(8 + body.byteLength + (body.byteLength & 1));
+  const v = new DataView(out.buffer);
+  for (let i = 0; i < 4; i++) out[i] = id.charCodeAt(i);
+  v.setUint32(4, body.byteLength, true);
+  out.set(new Uint8Array(body.buffer ?? body, body.byteOffset ?? 0, body.byteLength), 8);
+  return out;
+}
+
+// The chunks of a WAV made by encodeWav, to rebuild it in another container
+async function chunksOf(blob) {
+  const info = await readPcmInfo(blob);
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return Object.fromEntries(info.chunks.map(c => [c.id, bytes.slice(c.offset, c.offset + c.size)]));
+}
+
+describe('wav', () => {
+  const wav = encodeWav(copies(toneSequence(44100, [[-20, 0.5]])), 44100, 'pcm24');
+
+  test('lectura nativa: 44.1 kHz, 24 bits, sin bext', async () => {
+    const info = await readPcmInfo(wav);
+    assert.equal(info.sampleRate, 44100);
+    assert.equal(info.bits, 24);
+    assert.equal(info.frames, 22050);
+    assert.equal(pcmFormatLabel(info), 'WAV PCM 24 bits');
+    assert.equal(await readBext(wav, info), null);
+  });
+
+  test('bext nuevo en un WAV: campos de loudness v2, audio intacto', async () => {
+    const out = await writeBextLoudness(wav, await readPcmInfo(wav), METRICS);
+    assert.equal(out.size, wav.size + 610);
+    const info = await readPcmInfo(out);
+    assert.equal(new DataView(await out.slice(4, 8).arrayBuffer()).getUint32(0, true), out.size - 8);
+    assert.equal(info.chunks[0].id, 'bext');
+    assert.equal(pcmFormatLabel(info), 'BWF PCM 24 bits');
+    const bext = await readBext(out, info);
+    assert.equal(bext.version, 2);
+    assert.deepEqual(bext.loudness, { lufsI: -23.04, lra: 7.5, dbtp: -1.26, lufsMmax: -15.3, lufsSmax: -18.91 });
+    assert.deepEqual(await samples(out), await samples(wav));
+  });
+
+  test('bext existente: se conservan descripción e historial, −∞ queda sin valor', async () => {
+    const c = await chunksOf(wav);
+    const body = new Uint8Array(602 + 20);
+    const put = (str, at) => { for (let i = 0; i < str.length; i++) body[at + i] = str.charCodeAt(i); };
+    put('Programa 12', 0);
+    put('Emisora', 256);
+    put('2024-05-01', 320);
+    new DataView(body.buffer).setUint16(346, 1, true);
+    put('A=PCM,F=48000,W=24', 602);
+    const riff = new Uint8Array(4);
+    for (let i = 0; i < 4; i++) riff[i] = 'WAVE'.charCodeAt(i);
+    const parts = [riff, chunk('bext', body), chunk('fmt ', c['fmt ']), chunk('data', c.data)];
+    const size = parts.reduce((n, p) => n + p.byteLength, 0);
+    const head = new Uint8Array(8);
+    for (let i = 0; i < 4; i++) head[i] = 'RIFF'.charCodeAt(i);
+    new DataView(head.buffer).setUint32(4, size, true);
+    const bwf = new Blob([head, ...parts]);
+
+    const before = await readBext(bwf);
+    assert.equal(before.version, 1);
+    assert.equal(before.loudness.lufsI, null);
+
+    const out = await writeBextLoudness(bwf, await readPcmInfo(bwf), { ...METRICS, dbtp: Number.NEGATIVE_INFINITY });
+    assert.equal(out.size, bwf.size);
+    const bext = await readBext(out);
+    assert.equal(bext.description, 'Programa 12');
+    assert.equal(bext.originator, 'Emisora');
+    assert.equal(bext.originationDate, '2024-05-01');
+    assert.equal(bext.codingHistory, 'A=PCM,F=48000,W=24');
+    assert.equal(bext.version, 2);
+    assert.equal(bext.loudness.lufsI, -23.04);
+    assert.equal(bext.loudness.dbtp, null);
+    assert.deepEqual(await samples(out), await samples(wav));
+  });
+
+  test('RF64: bext después de ds64 y tamaño RIFF de 64 bits actualizado', async () => {
+    const c = await chunksOf(wav);
+    const ds64 = new DataView(new ArrayBuffer(28));
+    const data = chunk('data', c.data);
+    new DataView(data.buffer).setUint32(4, 0xFFFFFFFF, true);
+    const fmt = chunk('fmt ', c['fmt ']);
+    const riffSize = 4 + 8 + 28 + fmt.byteLength + data.byteLength;
+    ds64.setUint32(0, riffSize, true);
+    ds64.setUint32(8, c.data.byteLength, true);
+    ds64.setUint32(16, 22050, true);
+    const head = new Uint8Array(12);
+    [...'RF64'].forEach((ch, i) => { head[i] = ch.charCodeAt(0); });
+    new DataView(head.buffer).setUint32(4, 0xFFFFFFFF, true);
+    [...'WAVE'].forEach((ch, i) => { head[8 + i] = ch.charCodeAt(0); });
+    const rf64 = new Blob([head, chunk('ds64', ds64), fmt, data]);
+    const info = await readPcmInfo(rf64);
+    assert.equal(pcmFormatLabel(info), 'RF64 PCM 24 bits');
+
+    const out = await writeBextLoudness(rf64, info, METRICS);
+    const outInfo = await readPcmInfo(out);
+    assert.deepEqual(outInfo.chunks.map(k => k.id), ['ds64', 'bext', 'fmt ', 'data']);
+    const size = new DataView(await out.slice(20, 28).arrayBuffer());
+    assert.equal(size.getUint32(0, true) + size.getUint32(4, true) * 4294967296, riffSize + 610);
+    assert.equal((await readBext(out, outInfo)).loudness.lra, 7.5);
+    assert.deepEqual(await samples(out), await samples(wav));
+  });
+
+  test('AIFF: sin bext', async () => {
+    await assert.rejects(writeBextLoudness(wav, { container: 'AIFF', chunks: [] }, METRICS), /bext/);
+  });
+});
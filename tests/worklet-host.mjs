@@ -0,0 +1,35 @@
+/**
+ * Runs worklet-processor.js outside an AudioWorkletGlobalScope: minimal stand-ins for
+ * AudioWorkletProcessor / registerProcessor, and render quanta of 128 frames fed to process()
+ * the way the audio graph does (input 0 K-weighted, input 1 raw).
+ */
+
+let Processor = null;
+globalThis.sampleRate ??= 48000;
+globalThis.AudioWorkletProcessor ??= class {
+  constructor() {
+    this.port = { messages: [], postMessage(m) { this.messages.push(m); }, onmessage: null };
+  }
+};
+globalThis.registerProcessor = (name, cls) => { Processor = cls; };
+await import('../worklet-processor.js');
+
+const QUANTUM = 128;
+
+/**
+ * @param {Float32Array[]} weighted  K-weighted channels (input 0)
+ * @param {Float32Array[] | null} raw  un-weighted channels for the true peak (input 1)
+ * @param {object} processorOptions
+ * @returns {object[]} the 'metrics' messages, in order
+ */
+export function runWorklet(weighted, raw, processorOptions) {
+  const proc = new Processor({ processorOptions });
+  const N = weighted[0].length;
+  for (let i = 0; i < N; i += QUANTUM) {
+    const end = Math.min(N, i + QUANTUM);
+    const inputs = [weighted.map(x => x.subarray(i, end))];
+    if (raw) inputs.push(raw.map(x => x.subarray(i, end)));
+    proc.process(inputs);
+  }
+  return proc.port.messages.filter(m => m.type === 'metrics');
+}
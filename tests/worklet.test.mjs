@@ -0,0 +1,105 @@
+/**
+ * EBU Tech 3341 / 3342 conformance of the live meter (LoudnessProcessor in worklet-processor.js):
+ * the same cases as the engine, K-weighted beforehand as the IIR nodes do in the browser, read
+ * from the last 'metrics' message (M / S from every message past `from`), and its stereo image
+ * against the engine's.
+ * Run with: node --test tests/
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { kWeight, measureChannels, K_OFFSET_DB, M_WINDOW_SEC, S_WINDOW_SEC, DEFAULT_HOP_SEC } from '../engine.js';
+import { runWorklet } from './worklet-host.mjs';
+import { ALL_CASES, outOfTolerance } from './cases.mjs';
+import { noise, toneSequence, copies } from './signals.mjs';
+
+function checkSeries(name, msgs, key, e) {
+  for (const m of msgs) {
+    if (m.t < e.from) continue;
+    const err = outOfTolerance(m[key].current, e);
+    assert.equal(err, null, `${name} en ${m.t.toFixed(1)} s: ${err}`);
+  }
+}
+
+describe('worklet', () => {
+  for (const c of ALL_CASES) {
+    test(c.name, () => {
+      const raw = c.signal();
+      const e = c.expect;
+      const weighted = kWeight(raw.map(x => x.slice()), c.sampleRate);
+      const msgs = runWorklet(weighted, e.TP ? raw : null, {
+        sampleRate: c.sampleRate,
+        hopSec: DEFAULT_HOP_SEC,
+        mWindowSec: M_WINDOW_SEC,
+        sWindowSec: S_WINDOW_SEC,
+        kOffsetDb: K_OFFSET_DB,
+        channelWeights: c.weights || null,
+      });
+      const last = msgs.at(-1);
+      if (e.I) assert.equal(outOfTolerance(last.integrated, e.I), null, `I ${outOfTolerance(last.integrated, e.I)}`);
+      if (e.LRA) assert.equal(outOfTolerance(last.lra, e.LRA), null, `LRA ${outOfTolerance(last.lra, e.LRA)}`);
+      if (e.TP) assert.equal(outOfTolerance(last.dbtp, e.TP), null, `TP ${outOfTolerance(last.dbtp, e.TP)}`);
+      if (e.M) checkSeries('M', msgs, 'M', e.M);
+      if (e.S) checkSeries('S', msgs, 'S', e.S);
+      if (e.Mmax) assert.equal(outOfTolerance(last.M.max, e.Mmax), null, `M máx ${outOfTolerance(last.M.max, e.Mmax)}`);
+      if (e.Smax) assert.equal(outOfTolerance(last.S.max, e.Smax), null, `S máx ${outOfTolerance(last.S.max, e.Smax)}`);
+    });
+  }
+});
+
+describe('worklet warm-up', () => {
+  test('golpe al inicio: solo ventanas completas en el gating, como el motor', () => {
+    const SR = 48000;
+    const raw = [0, 1].map(() => toneSequence(SR, [[-6, 0.2], [-36, 2], [-24, 4]]));
+    const last = runWorklet(kWeight(raw.map(x => x.slice()), SR), null, {
+      sampleRate: SR, hopSec: DEFAULT_HOP_SEC, mWindowSec: M_WINDOW_SEC, sWindowSec: S_WINDOW_SEC, kOffsetDb: K_OFFSET_DB,
+    }).at(-1);
+    const ref = measureChannels(raw, SR);
+    assert.ok(Math.abs(last.integrated - ref.lufsI) < 0.05, `I ${last.integrated} / motor ${ref.lufsI}`);
+    assert.ok(Math.abs(last.M.max - ref.lufsM[ref.mMaxIdx]) < 0.05, `M máx ${last.M.max} / motor ${ref.lufsM[ref.mMaxIdx]}`);
+    assert.ok(Math.abs(last.S.max - ref.lufsS[ref.sMaxIdx]) < 0.05, `S máx ${last.S.max} / motor ${ref.lufsS[ref.sMaxIdx]}`);
+  });
+});
+
+describe('worklet overs', () => {
+  test('over sostenido: el registro de la sesión lleva su duración y pico finales', () => {
+    const SR = 48000;
+    const raw = copies(toneSequence(SR, [[-30, 0.5], [-0.5, 2], [-30, 0.5]]), 1);
+    const msgs = runWorklet(kWeight(raw.map(x => x.slice()), SR), raw, {
+      sampleRate: SR, hopSec: DEFAULT_HOP_SEC, mWindowSec: M_WINDOW_SEC, sWindowSec: S_WINDOW_SEC, kOffsetDb: K_OFFSET_DB,
+      tpCeilingDb: -1,
+    });
+    // what the main thread keeps of them
+    const overs = [];
+    for (const m of msgs) {
+      if (!m.overs?.length) continue;
+      overs.length = m.oversFrom;
+      overs.push(...m.overs);
+    }
+    assert.equal(overs.length, 1);
+    assert.ok(Math.abs(overs[0].t - 0.5) < 0.01, `t ${overs[0].t}`);
+    assert.ok(Math.abs(overs[0].dur - 2) < 0.01, `dur ${overs[0].dur}`);
+    assert.ok(Math.abs(overs[0].dbtp + 0.5) < 0.05, `TP ${overs[0].dbtp}`);
+  });
+});
+
+describe('worklet stereo', () => {
+  const SR = 48000;
+  const OPTS = { sampleRate: SR, hopSec: DEFAULT_HOP_SEC, mWindowSec: M_WINDOW_SEC, sWindowSec: S_WINDOW_SEC, kOffsetDb: K_OFFSET_DB };
+
+  test('ruido independiente: pérdida en mono como en el motor', () => {
+    const raw = [noise(SR, 10, -20, 1), noise(SR, 10, -20, 2)];
+    const st = runWorklet(kWeight(raw.map(x => x.slice()), SR), null, OPTS).at(-1).stereo;
+    const ref = measureChannels(raw, SR).stereo;
+    assert.ok(Math.abs(st.monoDrop - ref.monoDrop) < 0.1, `mono ${st.monoDrop} / motor ${ref.monoDrop}`);
+    assert.ok(Math.abs(st.corr) < 0.1, `corr ${st.corr}`);
+  });
+
+  test('R invertido y 6 dB más bajo: correlación −1, balance +6 LU', () => {
+    const raw = [toneSequence(SR, [[-20, 5]]), toneSequence(SR, [[-26, 5]], 1000, 180)];
+    const st = runWorklet(kWeight(raw, SR), null, OPTS).at(-1).stereo;
+    assert.ok(st.corr < -0.999, `corr ${st.corr}`);
+    assert.ok(Math.abs(st.balance - 6) < 0.05, `balance ${st.balance}`);
+    assert.ok(st.lufsSide > st.lufsMid, `mid ${st.lufsMid} / side ${st.lufsSide}`);
+  });
+});
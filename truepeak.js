@@ -0,0 +1,147 @@
+/**
+ * True-peak meter (ITU-R BS.1770-4, Annex 2)
+ * - Polyphase FIR interpolator: 48 taps, 4 phases of 12 (coefficients as published in Annex 2)
+ * - 4× oversampling below 96 kHz; 2× (phases 0 and 2 of the same filter) at 96 kHz and above
+ * - Per-channel peak hold and a log of "overs": every excursion above a ceiling, with the
+ *   channel, start time, duration and peak. Excursions closer than `holdSec` are merged, so a
+ *   clipped passage is one event rather than one per waveform cycle
+ *
+ * No imports and no module state: the analysis engine and the live worklet each run their own
+ * meters.
+ */
+
+export const TRUE_PEAK_PHASES = [
+  [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000, -0.0594482421875, 0.1373291015625,
+    0.9721679687500, -0.1022949218750, 0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+  [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250, -0.1665039062500, 0.4650878906250,
+    0.7797851562500, -0.2003173828125, 0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+  [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000, -0.2003173828125, 0.7797851562500,
+    0.4650878906250, -0.1665039062500, 0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+  [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750, -0.1022949218750, 0.9721679687500,
+    0.1373291015625, -0.0594482421875, 0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750],
+];
+
+/**
+ * Interpolator phases to use at a given sample rate (4× below 96 kHz, 2× from 96 kHz up).
+ * @param {number} sampleRate
+ * @returns {number[][]}
+ */
+export function truePeakPhases(sampleRate) {
+  return sampleRate < 96000 ? TRUE_PEAK_PHASES : [TRUE_PEAK_PHASES[0], TRUE_PEAK_PHASES[2]];
+}
+
+export class TruePeakMeter {
+  /**
+   * @param {number} nCh
+   * @param {number[][]} phases  from truePeakPhases()
+   * @param {number} sampleRate
+   * @param {number} [ceilingDb]  dBTP threshold for the overs log (Infinity: no log)
+   * @param {number} [maxOvers]   cap on stored events (they are still counted)
+   * @param {number} [holdSec]    gap below the ceiling that closes an event
+   */
+  constructor(nCh, phases, sampleRate, ceilingDb = Infinity, maxOvers = 1000, holdSec = 0.05) {
+    this.phases = phases.map(p => Float64Array.from(p));
+    this.taps = this.phases[0].length;
+    this.sampleRate = sampleRate;
+    this.delay = (this.taps - 1) / 2; // group delay of the interpolator, in input samples
+    this.maxOvers = maxOvers;
+    this.hold = Math.round(holdSec * sampleRate);
+    this.setCeiling(ceilingDb);
+    this.reset(nCh);
+  }
+
+  setCeiling(ceilingDb) {
+    this.ceilingDb = ceilingDb;
+    this.ceiling = Math.pow(10, ceilingDb / 20);
+  }
+
+  reset(nCh = this.peakCh.length) {
+    // history stored twice so every phase reads a contiguous window without modulo
+    this.hist = Array.from({ length: nCh }, () => new Float64Array(this.taps * 2));
+    this.pos = new Int32Array(nCh);
+    this.frames = new Float64Array(nCh);
+    this.peakCh = new Float64Array(nCh);
+    this.openOver = new Array(nCh).fill(null);
+    this.overs = [];
+    this.overCount = 0;
+  }
+
+  /** Feeds `length` samples of channel `c` (sequential calls continue the stream). */
+  processChannel(c, x, length = x.length) {
+    const taps = this.taps, phases = this.phases, nPh = phases.length;
+    const h = this.hist[c];
+    const ceil = this.ceiling;
+    let pos = this.pos[c];
+    let peak = this.peakCh[c];
+    let open = this.openOver[c];
+    for (let n = 0; n < length; n++) {
+      // window h[pos + 1 … pos + taps], newest sample last
+      pos = (pos + 1) % taps;
+      h[pos] = x[n];
+      h[pos + taps] = x[n];
+      let blockMax = 0;
+      for (let p = 0; p < nPh; p++) {
+        const ph = phases[p];
+        let y = 0;
+        for (let k = 0; k < taps; k++) y += ph[k] * h[pos + taps - k];
+        const a = y < 0 ? -y : y;
+        if (a > blockMax) blockMax = a;
+      }
+      if (blockMax > peak) peak = blockMax;
+      if (blockMax > ceil) {
+        const frame = this.frames[c] + n;
+        if (open && frame - open.last <= this.hold) {
+          open.last = frame;
+          if (blockMax > open.peak) open.peak = blockMax;
+        } else {
+          open = { ch: c, start: frame, last: frame, peak: blockMax };
+          this.overCount++;
+          if (this.overs.length < this.maxOvers) this.overs.push(open);
+        }
+      }
+    }
+    this.pos[c] = pos;
+    this.frames[c] += length;
+    this.peakCh[c] = peak;
+    this.openOver[c] = open;
+  }
+
+  /** Flushes the interpolator tail (taps − 1 zeros) so the last samples are fully measured. */
+  flush() {
+    const zeros = new Float32Array(this.taps - 1);
+    for (let c = 0; c < this.peakCh.length; c++) this.processChannel(c, zeros);
+  }
+
+  /**
+   * Index of the first logged over, from `from` on, that later samples can still extend (its
+   * channel has not been below the ceiling for `holdSec` yet); overs.length when all are closed.
+   */
+  firstOpenOver(from = 0) {
+    for (let i = from; i < this.overs.length; i++) {
+      const o = this.overs[i];
+      if (this.frames[o.ch] - o.last <= this.hold) return i;
+    }
+    return this.overs.length;
+  }
+
+  /** Logged overs as { ch, t, dur, dbtp } (times in seconds, compensating the filter delay). */
+  overEvents() {
+    const sr = this.sampleRate;
+    return this.overs.map(o => ({
+      ch: o.ch,
+      t: Math.max(0, o.start - this.delay) / sr,
+      dur: (o.last - o.start + 1) / sr,
+      dbtp: TruePeakMeter.toDb(o.peak),
+    }));
+  }
+
+  get peak() {
+    let m = 0;
+    for (let c = 0; c < this.peakCh.length; c++) if (this.peakCh[c] > m) m = this.peakCh[c];
+    return m;
+  }
+
+  static toDb(lin) {
+    return lin > 0 ? 20 * Math.log10(lin) : Number.NEGATIVE_INFINITY;
+  }
+}
@@ -0,0 +1,386 @@
+/**
+ * WAV (RIFF/WAVE) writer and PCM container reader
+ * - Writer: 16/24-bit PCM (TPDF dither on quantization) or 32-bit IEEE float,
+ *   WAVE_FORMAT_EXTENSIBLE with a channel mask for more than 2 channels
+ * - Reader: header of WAV / BWF / RF64 / BW64 and AIFF / AIFC files read through Blob.slice, so
+ *   the audio can be decoded block by block (readPcmInfo + decodePcm) without loading the file
+ * - BWF broadcast extension (EBU Tech 3285): the bext chunk is read, and a copy of a WAV / RF64
+ *   can be made with the loudness fields of version 2 set to measured values (only the bext
+ *   chunk changes, the audio is sliced through untouched)
+ */
+
+export const WAV_FORMATS = {
+  pcm16: { label: 'PCM 16-bit', bits: 16, float: false },
+  pcm24: { label: 'PCM 24-bit', bits: 24, float: false },
+  float32: { label: 'Float 32-bit', bits: 32, float: true },
+};
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+function writeAscii(view, offset, str) {
+  for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+}
+
+/**
+ * Encodes planar float channels as a WAV file.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {keyof WAV_FORMATS} format
+ * @param {number} [channelMask]  speaker mask for WAVE_FORMAT_EXTENSIBLE (0: unspecified)
+ * @returns {Blob}
+ */
+export function encodeWav(channels, sampleRate, format = 'pcm24', channelMask = 0) {
+  const fmt = WAV_FORMATS[format];
+  if (!fmt) throw new Error('Formato WAV desconocido: ' + format);
+  const nCh = channels.length;
+  const length = channels[0]?.length || 0;
+  const bytesPerSample = fmt.bits / 8;
+  const blockAlign = nCh * bytesPerSample;
+  const dataBytes = length * blockAlign;
+  if (dataBytes > 0xFFFFFFFF - 100) throw new Error('El audio supera el límite de 4 GB de WAV');
+
+  const extensible = nCh > 2;
+  const fmtBytes = extensible ? 40 : 16;
+  const factBytes = fmt.float ? 12 : 0; // fact chunk is mandatory for non-PCM formats
+  const headerBytes = 12 + 8 + fmtBytes + factBytes + 8;
+  const header = new DataView(new ArrayBuffer(headerBytes));
+
+  let p = 0;
+  writeAscii(header, p, 'RIFF'); p += 4;
+  header.setUint32(p, headerBytes - 8 + dataBytes + (dataBytes & 1), true); p += 4;
+  writeAscii(header, p, 'WAVE'); p += 4;
+
+  writeAscii(header, p, 'fmt '); p += 4;
+  header.setUint32(p, fmtBytes, true); p += 4;
+  const tag = fmt.float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM;
+  header.setUint16(p, extensible ? WAVE_FORMAT_EXTENSIBLE : tag, true); p += 2;
+  header.setUint16(p, nCh, true); p += 2;
+  header.setUint32(p, sampleRate, true); p += 4;
+  header.setUint32(p, sampleRate * blockAlign, true); p += 4;
+  header.setUint16(p, blockAlign, true); p += 2;
+  header.setUint16(p, fmt.bits, true); p += 2;
+  if (extensible) {
+    header.setUint16(p, 22, true); p += 2;              // cbSize
+    header.setUint16(p, fmt.bits, true); p += 2;        // valid bits per sample
+    header.setUint32(p, channelMask >>> 0, true); p += 4;
+    // SubFormat GUID: {tag}-0000-0010-8000-00AA00389B71
+    header.setUint32(p, tag, true); p += 4;
+    header.setUint16(p, 0x0000, true); p += 2;
+    header.setUint16(p, 0x0010, true); p += 2;
+    [0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71].forEach(b => header.setUint8(p++, b));
+  }
+  if (factBytes) {
+    writeAscii(header, p, 'fact'); p += 4;
+    header.setUint32(p, 4, true); p += 4;
+    header.setUint32(p, length, true); p += 4;
+  }
+  writeAscii(header, p, 'data'); p += 4;
+  header.setUint32(p, dataBytes, true); p += 4;
+
+  // Interleave in slices so a long file never needs one huge temporary besides the output
+  const parts = [header.buffer];
+  const FRAMES = 65536;
+  const maxInt = Math.pow(2, fmt.bits - 1) - 1;
+  const lsb = 1 / (maxInt + 1);
+  for (let start = 0; start < length; start += FRAMES) {
+    const n = Math.min(FRAMES, length - start);
+    const out = new DataView(new ArrayBuffer(n * blockAlign));
+    let o = 0;
+    for (let i = start; i < start + n; i++) {
+      for (let c = 0; c < nCh; c++) {
+        const v = channels[c][i];
+        if (fmt.float) {
+          out.setFloat32(o, v, true);
+        } else {
+          // TPDF dither of ±1 LSB, then round and clip
+          const d = (Math.random() - Math.random()) * lsb;
+          let q = Math.round((v + d) * (maxInt + 1));
+          if (q > maxInt) q = maxInt; else if (q < -maxInt - 1) q = -maxInt - 1;
+          if (fmt.bits === 16) out.setInt16(o, q, true);
+          else {
+            out.setUint8(o, q & 0xFF);
+            out.setUint8(o + 1, (q >> 8) & 0xFF);
+            out.setUint8(o + 2, (q >> 16) & 0xFF);
+          }
+        }
+        o += bytesPerSample;
+      }
+    }
+    parts.push(out.buffer);
+  }
+  if (dataBytes & 1) parts.push(new Uint8Array(1)); // RIFF chunks are word-aligned
+  return new Blob(parts, { type: 'audio/wav' });
+}
+
+// ---------- Reader ----------
+
+async function readView(blob, offset, length) {
+  return new DataView(await blob.slice(offset, offset + length).arrayBuffer());
+}
+
+function ascii(view, offset, n = 4) {
+  let str = '';
+  for (let i = 0; i < n && offset + i < view.byteLength; i++) str += String.fromCharCode(view.getUint8(offset + i));
+  return str;
+}
+
+// 80-bit IEEE 754 extended (AIFF sample rate)
+function readExtended(view, p) {
+  const exp = view.getUint16(p) & 0x7FFF;
+  const hi = view.getUint32(p + 2), lo = view.getUint32(p + 6);
+  if (!exp && !hi && !lo) return 0;
+  const sign = view.getUint16(p) & 0x8000 ? -1 : 1;
+  return sign * (hi * Math.pow(2, exp - 16383 - 31) + lo * Math.pow(2, exp - 16383 - 63));
+}
+
+/**
+ * Reads the header of a PCM file: format, where the sample data is, and the chunk list.
+ * @param {Blob} blob
+ * @returns {Promise<{ container, float, bits, bytesPerSample, littleEndian, unsigned8, channels,
+ *   sampleRate, blockAlign, dataOffset, dataBytes, frames, channelMask, chunks: { id, offset, size }[] }>}
+ *   `offset` of a chunk is where its body starts
+ * @throws when the file is not an uncompressed PCM / float WAV, RF64 or AIFF
+ */
+export async function readPcmInfo(blob) {
+  const head = await readView(blob, 0, 12);
+  const magic = ascii(head, 0), form = ascii(head, 8);
+  if ((magic === 'RIFF' || magic === 'RF64' || magic === 'BW64') && form === 'WAVE') return readWaveInfo(blob, magic);
+  if (magic === 'FORM' && (form === 'AIFF' || form === 'AIFC')) return readAiffInfo(blob, form);
+  throw new Error('No es un archivo WAV / RF64 / AIFF');
+}
+
+async function readWaveInfo(blob, container) {
+  const info = { container, littleEndian: true, channelMask: 0, chunks: [] };
+  let ds64Data = null;
+  let p = 12;
+  while (p + 8 <= blob.size) {
+    const h = await readView(blob, p, 8);
+    const id = ascii(h, 0);
+    let size = h.getUint32(4, true);
+    if (id === 'data' && ds64Data !== null && size === 0xFFFFFFFF) size = ds64Data;
+    // writers that stream to disk may leave the data size at 0 (or past the end of the file)
+    if (id === 'data' && (size === 0 || p + 8 + size > blob.size)) size = blob.size - p - 8;
+    info.chunks.push({ id, offset: p + 8, size });
+
+    if (id === 'ds64') {
+      const v = await readView(blob, p + 8, 24);
+      ds64Data = v.getUint32(8, true) + v.getUint32(12, true) * 4294967296;
+    } else if (id === 'fmt ') {
+      const v = await readView(blob, p + 8, Math.min(size, 40));
+      let tag = v.getUint16(0, true);
+      info.channels = v.getUint16(2, true);
+      info.sampleRate = v.getUint32(4, true);
+      info.blockAlign = v.getUint16(12, true);
+      info.bits = v.getUint16(14, true);
+      if (tag === 0xFFFE && size >= 40) {
+        info.channelMask = v.getUint32(20, true);
+        tag = v.getUint16(24, true); // first bytes of the SubFormat GUID
+      }
+      if (tag !== 1 && tag !== 3) throw new Error('Formato WAV comprimido (0x' + tag.toString(16) + ') no soportado');
+      info.float = tag === 3;
+    } else if (id === 'data') {
+      info.dataOffset = p + 8;
+      info.dataBytes = size;
+    }
+    p += 8 + size + (size & 1);
+  }
+  return finishInfo(info);
+}
+
+async function readAiffInfo(blob, container) {
+  const info = { container, littleEndian: false, channelMask: 0, float: false, chunks: [] };
+  let p = 12;
+  while (p + 8 <= blob.size) {
+    const h = await readView(blob, p, 8);
+    const id = ascii(h, 0);
+    let size = h.getUint32(4);
+    info.chunks.push({ id, offset: p + 8, size });
+
+    if (id === 'COMM') {
+      const v = await readView(blob, p + 8, Math.min(size, 22));
+      info.channels = v.getUint16(0);
+      info.bits = v.getUint16(6);
+      info.sampleRate = readExtended(v, 8);
+      if (container === 'AIFC' && size >= 22) {
+        const comp = ascii(v, 18);
+        if (comp === 'sowt') info.littleEndian = true;
+        else if (comp === 'fl32' || comp === 'FL32') { info.float = true; info.bits = 32; }
+        else if (comp === 'fl64' || comp === 'FL64') { info.float = true; info.bits = 64; }
+        else if (comp !== 'NONE') throw new Error('AIFF-C comprimido (' + comp + ') no soportado');
+      }
+    } else if (id === 'SSND') {
+      const v = await readView(blob, p + 8, 8);
+      const skip = v.getUint32(0);
+      if (p + 8 + size > blob.size) size = blob.size - p - 8;
+      info.dataOffset = p + 16 + skip;
+      info.dataBytes = size - 8 - skip;
+    }
+    p += 8 + size + (size & 1);
+  }
+  info.blockAlign = info.channels * Math.ceil(info.bits / 8);
+  info.unsigned8 = false;
+  return finishInfo(info);
+}
+
+function finishInfo(info) {
+  if (!info.channels || !info.sampleRate || !info.bits) throw new Error('Cabecera sin formato (fmt / COMM)');
+  if (info.dataOffset === undefined) throw new Error('El archivo no tiene datos de audio');
+  info.bytesPerSample = Math.ceil(info.bits / 8);
+  if (info.float ? (info.bits !== 32 && info.bits !== 64) : info.bits > 32) throw new Error(`${info.bits} bits no soportado`);
+  info.blockAlign = info.blockAlign || info.channels * info.bytesPerSample;
+  if (info.unsigned8 === undefined) info.unsigned8 = info.bits <= 8; // WAV 8-bit is unsigned, AIFF signed
+  info.frames = Math.floor(info.dataBytes / info.blockAlign);
+  return info;
+}
+
+/**
+ * Decodes interleaved sample bytes into planar float channels (full-scale integer = 1.0).
+ * @param {ArrayBuffer} bytes  whole frames, starting on a frame boundary
+ * @param {object} info        from readPcmInfo()
+ * @returns {Float32Array[]}
+ */
+export function decodePcm(bytes, info) {
+  const view = new DataView(bytes);
+  const nCh = info.channels, bps = info.bytesPerSample, le = info.littleEndian;
+  const frames = Math.floor(bytes.byteLength / info.blockAlign);
+  const out = Array.from({ length: nCh }, () => new Float32Array(frames));
+  const scale = 1 / Math.pow(2, bps * 8 - 1);
+  for (let f = 0; f < frames; f++) {
+    let o = f * info.blockAlign;
+    for (let c = 0; c < nCh; c++, o += bps) {
+      let v;
+      if (info.float) v = bps === 8 ? view.getFloat64(o, le) : view.getFloat32(o, le);
+      else if (bps === 2) v = view.getInt16(o, le) * scale;
+      else if (bps === 3) {
+        const b0 = view.getUint8(le ? o : o + 2), b1 = view.getUint8(o + 1), b2 = view.getUint8(le ? o + 2 : o);
+        v = (((b2 << 24) | (b1 << 16) | (b0 << 8)) >> 8) * scale;
+      } else if (bps === 4) v = view.getInt32(o, le) * scale;
+      else v = info.unsigned8 ? (view.getUint8(o) - 128) * scale : view.getInt8(o) * scale;
+      out[c][f] = v;
+    }
+  }
+  return out;
+}
+
+// ---------- BWF bext chunk ----------
+
+const BEXT_FIXED = 602;     // bytes before CodingHistory
+const BEXT_VERSION = 346;
+const BEXT_UNSET = 0x7FFF;  // loudness field not known
+
+/** Loudness fields of bext version 2: metric key → [field name, offset], values in 1/100 LU / dB. */
+export const BEXT_LOUDNESS = {
+  lufsI: ['LoudnessValue', 412],
+  lra: ['LoudnessRange', 414],
+  dbtp: ['MaxTruePeakLevel', 416],
+  lufsMmax: ['MaxMomentaryLoudness', 418],
+  lufsSmax: ['MaxShortTermLoudness', 420],
+};
+
+// NUL-terminated text field
+function text(view, offset, n) {
+  let str = '';
+  for (let i = 0; i < n && offset + i < view.byteLength; i++) {
+    const ch = view.getUint8(offset + i);
+    if (!ch) break;
+    str += String.fromCharCode(ch);
+  }
+  return str.trim();
+}
+
+/** Container and sample format in one line, e.g. "BWF PCM 24 bits". */
+export function pcmFormatLabel(info) {
+  const bwf = info.container === 'RIFF' && info.chunks.some(c => c.id === 'bext');
+  return `${bwf ? 'BWF' : info.container === 'RIFF' ? 'WAV' : info.container} ${info.float ? 'float' : 'PCM'} ${info.bits} bits`;
+}
+
+/**
+ * Reads the bext chunk of a WAV / BWF / RF64 file.
+ * @param {Blob} blob
+ * @param {object} [info]  from readPcmInfo(), read again when not given
+ * @returns {Promise<null | { description, originator, originatorReference, originationDate,
+ *   originationTime, timeReference, version, codingHistory,
+ *   loudness: { lufsI, lra, dbtp, lufsMmax, lufsSmax } }>}
+ *   null without a bext chunk; loudness values are null when unset (or version < 2)
+ */
+export async function readBext(blob, info = null) {
+  info = info || await readPcmInfo(blob);
+  const chunk = info.chunks.find(c => c.id === 'bext');
+  if (!chunk) return null;
+  const size = Math.min(chunk.size, blob.size - chunk.offset);
+  if (size < BEXT_FIXED) throw new Error('Chunk bext incompleto');
+  const v = await readView(blob, chunk.offset, size);
+  const version = v.getUint16(BEXT_VERSION, true);
+  const loudness = {};
+  for (const [key, [, offset]] of Object.entries(BEXT_LOUDNESS)) {
+    const raw = v.getInt16(offset, true);
+    loudness[key] = version >= 2 && raw !== BEXT_UNSET ? raw / 100 : null;
+  }
+  return {
+    description: text(v, 0, 256),
+    originator: text(v, 256, 32),
+    originatorReference: text(v, 288, 32),
+    originationDate: text(v, 320, 10),
+    originationTime: text(v, 330, 8),
+    timeReference: v.getUint32(338, true) + v.getUint32(342, true) * 4294967296,
+    version,
+    codingHistory: text(v, BEXT_FIXED, size - BEXT_FIXED),
+    loudness,
+  };
+}
+
+// Version 2 loudness fields of a bext body (view of at least BEXT_FIXED bytes); non-finite
+// metrics are written as unset. The reserved bytes after them must be zero.
+function setBextLoudness(view, metrics) {
+  view.setUint16(BEXT_VERSION, Math.max(2, view.getUint16(BEXT_VERSION, true)), true);
+  for (const [key, [, offset]] of Object.entries(BEXT_LOUDNESS)) {
+    const x = metrics[key];
+    view.setInt16(offset, Number.isFinite(x) ? Math.max(-32768, Math.min(32766, Math.round(x * 100))) : BEXT_UNSET, true);
+  }
+  for (let p = 422; p < BEXT_FIXED; p++) view.setUint8(p, 0);
+}
+
+/**
+ * Copy of a WAV / BWF / RF64 file with the bext loudness fields set to the given metrics. An
+ * existing bext chunk keeps its other fields; otherwise a new one goes in as the first chunk
+ * (after ds64 in RF64) and the RIFF / ds64 size grows by it.
+ * @param {Blob} blob
+ * @param {object} info  from readPcmInfo()
+ * @param {{ lufsI?: number, lra?: number, dbtp?: number, lufsMmax?: number, lufsSmax?: number }} metrics
+ * @returns {Promise<Blob>}
+ */
+export async function writeBextLoudness(blob, info, metrics) {
+  if (info.container === 'AIFF' || info.container === 'AIFC') throw new Error('El chunk bext solo existe en WAV / BWF / RF64');
+  const type = { type: 'audio/wav' };
+  const chunk = info.chunks.find(c => c.id === 'bext');
+  if (chunk) {
+    if (chunk.size < BEXT_FIXED) throw new Error('Chunk bext incompleto');
+    const body = await readView(blob, chunk.offset, BEXT_FIXED);
+    setBextLoudness(body, metrics);
+    return new Blob([blob.slice(0, chunk.offset), body.buffer, blob.slice(chunk.offset + BEXT_FIXED)], type);
+  }
+
+  const added = new DataView(new ArrayBuffer(8 + BEXT_FIXED));
+  writeAscii(added, 0, 'bext');
+  added.setUint32(4, BEXT_FIXED, true);
+  setBextLoudness(new DataView(added.buffer, 8), metrics);
+
+  const ds64 = info.chunks.find(c => c.id === 'ds64');
+  if (info.container !== 'RIFF' && !ds64) throw new Error(`${info.container} sin chunk ds64`);
+  const at = ds64 ? ds64.offset + ds64.size + (ds64.size & 1) : 12;
+  const head = await readView(blob, 0, at);
+  if (ds64) {
+    // 64-bit RIFF size at the start of ds64
+    const p = ds64.offset;
+    const riffSize = head.getUint32(p, true) + head.getUint32(p + 4, true) * 4294967296 + added.byteLength;
+    head.setUint32(p, riffSize % 4294967296, true);
+    head.setUint32(p + 4, Math.floor(riffSize / 4294967296), true);
+  } else {
+    const riffSize = head.getUint32(4, true) + added.byteLength;
+    if (riffSize > 0xFFFFFFFF) throw new Error('La copia superaría el límite de 4 GB de WAV');
+    head.setUint32(4, riffSize, true);
+  }
+  return new Blob([head.buffer, added.buffer, blob.slice(at)], type);
+}
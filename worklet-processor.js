@@ -1,11 +1,29 @@
 /* global registerProcessor */
 
+import { TruePeakMeter, truePeakPhases } from './truepeak.js';
+import { LoudnessHistogram } from './histogram.js';
+
 /**
  * AudioWorkletProcessor that:
- * - recibe audio K-weighted (desde main: highpass -> highshelf -> worklet)
+ * - recibe audio K-weighted (desde main: pre-filtro BS.1770 -> RLB -> worklet)
  * - acumula y emite cada hop (100 ms) valores Momentary y Short-term
- * - calcula "en vivo" Integrated (con gating simplificado), LRA y DR sobre lo acumulado
- * - estima True Peak (aprox) con oversampling 4× sobre el último bloque
+ * - suma canales con los pesos BS.1770 del layout (LFE excluido, surrounds +1.5 dB)
+ * - calcula "en vivo" Integrated (gating abs + rel), LRA y DR con histogramas acumulativos, y
+ *   envía su distribución (bins de 0.5 LU) una vez por segundo para la vista de histograma
+ * - mide True Peak (FIR polifásico BS.1770-4) por canal sobre la entrada 1 (sin K-weighting),
+ *   con retención del máximo y registro de overs por encima del techo
+ * - imagen estéreo del par delantero L / R (canales 0 y 1): correlación de fase, balance y
+ *   loudness de mid y side sobre la ventana M, y la pérdida de la mezcla mono (Integrated del par
+ *   frente al de (L + R) / 2 en los dos altavoces, con su propio gating)
+ *
+ * Coste por hop constante (estilo libebur128): la energía de cada hop se guarda por canal en un
+ * anillo de segmentos (M = últimos 4, S = últimos 30) y los bloques M/S completos van a histogramas de
+ * 0.1 LU, así que Integrated/LRA/DR no recorren lo acumulado. Cada mensaje 'metrics' lleva solo
+ * el punto nuevo de cada serie; el hilo principal guarda el histórico para dibujar.
+ *
+ * Sesión: 'pause' / 'resume' congelan la integración sin desmontar el grafo, 'reset' vuelve a
+ * cero Integrated / LRA / máximos, 'record' envía la entrada sin ponderar en bloques de un hop
+ * ('audio', buffers transferidos) y 'stop' vacía la grabación pendiente y responde 'stopped'.
  *
  * Nota: El cálculo live es "running" (sobre lo recibido hasta ahora). El análisis por archivo
  * es más preciso porque procesa todo el buffer offline.
@@ -16,226 +34,275 @@ class LoudnessProcessor extends AudioWorkletProcessor {
     super();
     const o = options?.processorOptions || {};
     this.sampleRate = o.sampleRate || sampleRate;
-    this.mWin = Math.max(1, Math.floor((o.mWindowSec || 0.4) * this.sampleRate));
-    this.sWin = Math.max(1, Math.floor((o.sWindowSec || 3.0) * this.sampleRate));
     this.hop = Math.max(1, Math.floor((o.hopSec || 0.1) * this.sampleRate));
+    // windows as whole numbers of hop segments (4 × 100 ms, 30 × 100 ms)
+    this.nSegM = Math.max(1, Math.round((o.mWindowSec || 0.4) * this.sampleRate / this.hop));
+    this.nSegS = Math.max(this.nSegM, Math.round((o.sWindowSec || 3.0) * this.sampleRate / this.hop));
     this.K_OFFSET_DB = o.kOffsetDb ?? -0.691;
+    this.weights = o.channelWeights || null; // falls back to 1.0 per channel if count mismatches
+    this.tpCeilingDb = o.tpCeilingDb ?? -1;
+    this.distEvery = Math.max(1, Math.round(this.sampleRate / this.hop)); // hops per histogram post
+    this.tp = null; // TruePeakMeter, created once the raw input's channel count is known
+    this.oversPosted = 0; // overs already sent closed: later messages start after them
+    this.paused = false;
+    this.recording = false;
+    this.recBuf = null;  // per-channel hop-sized blocks being filled
+    this.recFill = 0;
 
-    this.frameCount = 0;
-    this.buf = [];      // multi-channel circular buffer for last S window
-    this.bufM = [];     // for last M window
-    this.bufSize = this.sWin;
-    this.bufMSize = this.mWin;
-
-    this.acc = {
-      // series over time (for drawing)
-      timesM: [],
-      lufsM: [],
-      timesS: [],
-      lufsS: [],
-      msM: [], // for gating integrated
-    };
-
-    this.timeSec = 0;
-    this.lastHopFrame = 0;
+    this.histM = new LoudnessHistogram(this.K_OFFSET_DB); // integrated gating
+    this.histS = new LoudnessHistogram(this.K_OFFSET_DB); // LRA / DR
+    this.histPair = new LoudnessHistogram(this.K_OFFSET_DB); // L + R, mono fold-down loss
+    this.histMono = new LoudnessHistogram(this.K_OFFSET_DB);
+    this.nCh = 0;
+    this.reset();
 
     this.port.onmessage = (ev) => {
       const d = ev.data || {};
       if (d.type === 'stop') {
-        // no-op by now
+        this.recFlush();
+        this.paused = true;
+        this.port.postMessage({ type: 'stopped' });
+      } else if (d.type === 'pause') {
+        this.paused = true;
+      } else if (d.type === 'resume') {
+        this.paused = false;
+      } else if (d.type === 'record') {
+        if (!d.on) this.recFlush();
+        this.recording = !!d.on;
+      } else if (d.type === 'reset') {
+        this.reset();
+        this.tp?.reset();
+        this.oversPosted = 0;
+        this.recBuf = null;
+        this.recFill = 0;
+      } else if (d.type === 'layout') {
+        this.weights = d.weights || null;
+      } else if (d.type === 'ceiling') {
+        this.tpCeilingDb = d.ceilingDb;
+        this.tp?.setCeiling(d.ceilingDb);
       }
     };
   }
 
+  reset() {
+    this.frameCount = 0;
+    this.hopFill = 0;                               // frames in the hop being accumulated
+    this.hopEnergy = new Float64Array(this.nCh);    // sum of squares of the current hop, per channel
+    this.segs = Array.from({ length: this.nCh }, () => new Float64Array(this.nSegS)); // ring of hop energies
+    this.hopLR = 0;                                 // sum of L·R of the current hop
+    this.segsLR = new Float64Array(this.nSegS);     // ring of hop L·R sums
+    this.segIdx = 0;
+    this.segCount = 0;
+    this.histM.reset();
+    this.histS.reset();
+    this.histPair.reset();
+    this.histMono.reset();
+    this.max = { M: -Infinity, tM: NaN, S: -Infinity, tS: NaN };
+  }
+
   // Helpers
   lufsFromMS(ms) {
     if (ms <= 0) return Number.NEGATIVE_INFINITY;
     return 10 * Math.log10(ms) + this.K_OFFSET_DB;
   }
-  percentile(sorted, p) {
-    if (!sorted.length) return NaN;
-    if (p <= 0) return sorted[0];
-    if (p >= 100) return sorted[sorted.length - 1];
-    const pos = (p/100) * (sorted.length - 1);
-    const lo = Math.floor(pos), hi = Math.ceil(pos);
-    const frac = pos - lo;
-    return sorted[lo] + (sorted[hi] - sorted[lo]) * frac;
-  }
-  truePeak4xBlock(block) {
-    // block: Float32Array mono (mix of channels)
-    let peak = 0;
-    const x = block;
-    const N = x.length;
-    for (let i = 0; i < N; i++) {
-      const a = Math.abs(x[i]); if (a > peak) peak = a;
-    }
-    for (let i = 0; i < N - 1; i++) {
-      const s0 = i > 0 ? x[i-1] : x[i];
-      const s1 = x[i];
-      const s2 = x[i+1];
-      const s3 = (i+2 < N) ? x[i+2] : x[i+1];
-      for (let k = 1; k < 4; k++) {
-        const t = k * 0.25;
-        const a = 2*s1;
-        const b = -s0 + s2;
-        const c = 2*s0 - 5*s1 + 4*s2 - s3;
-        const d = -s0 + 3*s1 - 3*s2 + s3;
-        const y = 0.5 * (a + b*t + c*t*t + d*t*t*t);
-        const ab = Math.abs(y);
-        if (ab > peak) peak = ab;
-      }
-    }
-    return (peak > 0) ? 20*Math.log10(peak) : Number.NEGATIVE_INFINITY;
-  }
 
-  process(inputs /* [[Float32Array[ch]]] */) {
+  process(inputs /* [K-weighted Float32Array[ch], raw Float32Array[ch]] */) {
     const input = inputs[0];
-    if (!input || !input.length || !input[0].length) return true;
+    if (this.paused || !input || !input.length || !input[0].length) return true;
+
+    // True peak on the un-weighted input (continuous FIR state across blocks)
+    const raw = inputs[1];
+    if (raw && raw.length) {
+      if (this.recording) this.recAppend(raw);
+      if (!this.tp || this.tp.peakCh.length !== raw.length) {
+        this.tp = new TruePeakMeter(raw.length, truePeakPhases(this.sampleRate), this.sampleRate, this.tpCeilingDb);
+        this.oversPosted = 0;
+      }
+      for (let c = 0; c < raw.length; c++) this.tp.processChannel(c, raw[c]);
+    }
 
     const nCh = input.length;
     const N = input[0].length;
-
-    // ensure buffers
-    if (this.buf.length !== nCh) {
-      this.buf = Array.from({ length: nCh }, () => new Float32Array(this.bufSize));
-      this.bufM = Array.from({ length: nCh }, () => new Float32Array(this.bufMSize));
-      this.writeIdx = 0;
-      this.writeIdxM = 0;
-      this.filled = 0;
-      this.filledM = 0;
+    if (nCh !== this.nCh) {
+      this.nCh = nCh;
+      this.reset();
     }
 
-    // write incoming to circular buffers
-    for (let c = 0; c < nCh; c++) {
-      const x = input[c];
-      // S buffer
-      for (let i = 0; i < N; i++) {
-        this.buf[c][(this.writeIdx + i) % this.bufSize] = x[i];
+    // accumulate energy sample by sample, closing a hop exactly every `hop` frames
+    let i = 0;
+    while (i < N) {
+      const n = Math.min(N - i, this.hop - this.hopFill);
+      for (let c = 0; c < nCh; c++) {
+        const x = input[c];
+        let acc = 0;
+        for (let k = i; k < i + n; k++) acc += x[k] * x[k];
+        this.hopEnergy[c] += acc;
       }
-      // M buffer
-      for (let i = 0; i < N; i++) {
-        this.bufM[c][(this.writeIdxM + i) % this.bufMSize] = x[i];
+      if (nCh >= 2) {
+        const l = input[0], r = input[1];
+        let acc = 0;
+        for (let k = i; k < i + n; k++) acc += l[k] * r[k];
+        this.hopLR += acc;
       }
+      i += n;
+      this.hopFill += n;
+      this.frameCount += n;
+      if (this.hopFill === this.hop) this.endHop();
     }
-    this.writeIdx = (this.writeIdx + N) % this.bufSize;
-    this.writeIdxM = (this.writeIdxM + N) % this.bufMSize;
-    this.filled = Math.min(this.filled + N, this.bufSize);
-    this.filledM = Math.min(this.filledM + N, this.bufMSize);
-
-    // hop trigger each 'hop' frames
-    this.frameCount += N;
-    this.timeSec += N / this.sampleRate;
 
-    if ((this.frameCount - this.lastHopFrame) >= this.hop) {
-      this.lastHopFrame = this.frameCount;
+    return true;
+  }
 
-      // compute MS over M and S windows
-      const msM = this.meanSquareOverBuffer(this.bufM, this.writeIdxM, this.filledM, this.bufMSize);
-      const msS = this.meanSquareOverBuffer(this.buf, this.writeIdx, this.filled, this.bufSize);
+  endHop() {
+    const nCh = this.nCh;
+    for (let c = 0; c < nCh; c++) {
+      this.segs[c][this.segIdx] = this.hopEnergy[c];
+      this.hopEnergy[c] = 0;
+    }
+    this.segsLR[this.segIdx] = this.hopLR;
+    this.hopLR = 0;
+    this.segIdx = (this.segIdx + 1) % this.nSegS;
+    this.segCount++;
+    this.hopFill = 0;
 
-      const lufsM = this.lufsFromMS(msM);
-      const lufsS = this.lufsFromMS(msS);
+    // MS over the last M / S segments (partial windows while warming up). Only full windows are
+    // gating blocks: the histograms and maxima wait for them, as in the file engine
+    const fullM = this.segCount >= this.nSegM, fullS = this.segCount >= this.nSegS;
+    const chM = new Array(nCh);
+    const msM = this.windowMS(Math.min(this.segCount, this.nSegM), chM);
+    const msS = this.windowMS(Math.min(this.segCount, this.nSegS));
+    const stereo = nCh >= 2 ? this.stereoImage(Math.min(this.segCount, this.nSegM), chM[0], chM[1], fullM) : null;
+    for (let c = 0; c < nCh; c++) chM[c] = this.lufsFromMS(chM[c]);
 
-      const t = this.timeSec;
+    const lufsM = this.lufsFromMS(msM);
+    const lufsS = this.lufsFromMS(msS);
+    const t = this.frameCount / this.sampleRate;
 
-      this.acc.timesM.push(t);
-      this.acc.lufsM.push(lufsM);
-      this.acc.msM.push(msM);
+    if (fullM) {
+      this.histM.add(msM);
+      if (lufsM > this.max.M) { this.max.M = lufsM; this.max.tM = t; }
+    }
+    if (fullS) {
+      this.histS.add(msS);
+      if (lufsS > this.max.S) { this.max.S = lufsS; this.max.tS = t; }
+    }
 
-      this.acc.timesS.push(t);
-      this.acc.lufsS.push(lufsS);
+    // Integrated with gating over accumulated M blocks
+    const { lufsI: integrated, gateRel } = this.histM.integrated(-10);
 
-      // Integrated with gating over accumulated M blocks
-      const ABS_GATE = -70;
-      const keptAbs = [];
-      const keptAbsMS = [];
-      for (let i = 0; i < this.acc.lufsM.length; i++) {
-        if (this.acc.lufsM[i] > ABS_GATE) { keptAbs.push(this.acc.lufsM[i]); keptAbsMS.push(this.acc.msM[i]); }
+    // LRA P10..P95 on S gated at −70 LUFS and −20 LU below the abs-gated S mean (EBU Tech 3342);
+    // DR P5..P95 on all S
+    let lra = 0, lraLow = NaN, lraHigh = NaN, dr = 0, drLow = NaN, drHigh = NaN, dbtp = -Infinity;
+    const lraThr = this.histS.absGatedLoudness() - 20;
+    if (this.histS.total) {
+      if (this.histS.absCount) {
+        const [p10, p95] = this.histS.percentiles([10, 95], Math.max(lraThr, -70));
+        lra = p95 - p10;
+        lraLow = p10;
+        lraHigh = p95;
       }
-      let integrated = Number.NEGATIVE_INFINITY;
-      let relGateThr = Number.NEGATIVE_INFINITY;
-      if (keptAbsMS.length) {
-        const meanAbs = keptAbsMS.reduce((a,b)=>a+b,0) / keptAbsMS.length;
-        const prelim = 10*Math.log10(meanAbs) + this.K_OFFSET_DB;
-        relGateThr = prelim - 10;
-        const keptRel = [];
-        for (let i = 0; i < this.acc.lufsM.length; i++) {
-          if (this.acc.lufsM[i] >= relGateThr) keptRel.push(this.acc.msM[i]);
-        }
-        if (keptRel.length) {
-          const meanRel = keptRel.reduce((a,b)=>a+b,0) / keptRel.length;
-          integrated = 10*Math.log10(meanRel) + this.K_OFFSET_DB;
-        } else {
-          integrated = prelim;
-        }
+      const [p5, p95b] = this.histS.percentiles([5, 95]);
+      dr = p95b - p5;
+      drLow = p5;
+      drHigh = p95b;
+    }
+
+    // True peak: max held since start, per channel, and the overs from `oversFrom` on: the new
+    // ones and those still open, sent again until they close (they replace the earlier copies)
+    let dbtpCh = null, overs = null, oversFrom = 0, overCount = 0;
+    if (this.tp) {
+      dbtp = TruePeakMeter.toDb(this.tp.peak);
+      dbtpCh = Array.from(this.tp.peakCh, TruePeakMeter.toDb);
+      overCount = this.tp.overCount;
+      if (this.tp.overs.length > this.oversPosted) {
+        overs = this.tp.overEvents().slice(this.oversPosted);
+        oversFrom = this.oversPosted;
+        this.oversPosted = this.tp.firstOpenOver(this.oversPosted);
       }
+    }
 
-      // LRA P10..P95 on S with rel gate −20 LU from integrated
-      let lra = 0, dr = 0, dbtp = -Infinity;
-      if (this.acc.lufsS.length) {
-        const thr = integrated - 20;
-        const base = this.acc.lufsS.filter(v => isFinite(v) && v >= thr);
-        const arr = (base.length ? base : this.acc.lufsS.filter(isFinite)).slice().sort((a,b)=>a-b);
-        const p10 = this.percentile(arr, 10);
-        const p95 = this.percentile(arr, 95);
-        lra = p95 - p10;
+    // distributions are ~1.4 kB each: once per second is plenty for the display
+    const withDist = this.segCount % this.distEvery === 0;
 
-        const arrAll = this.acc.lufsS.filter(isFinite).slice().sort((a,b)=>a-b);
-        const p5 = this.percentile(arrAll, 5);
-        const p95b = this.percentile(arrAll, 95);
-        dr = p95b - p5;
-      }
+    this.port.postMessage({
+      type: 'metrics',
+      t,
+      M: { current: lufsM, max: this.max.M, tMax: this.max.tM },
+      S: { current: lufsS, max: this.max.S, tMax: this.max.tS },
+      integrated, gateRel,
+      lra, lraLow, lraHigh, lraThr, dr, drLow, drHigh, dbtp,
+      distM: withDist ? this.histM.distribution() : null,
+      distS: withDist ? this.histS.distribution() : null,
+      chM,
+      stereo,
+      dbtpCh, overs, oversFrom, overCount,
+    });
+  }
 
-      // Approx true-peak on the latest hop chunk (mixdown mono)
-      // Mix to mono
-      const hopN = Math.min(this.hop, this.filledM); // approximate last hop size
-      const mono = new Float32Array(hopN);
-      for (let i = 0; i < hopN; i++) {
-        let s = 0;
-        for (let c = 0; c < nCh; c++) s += this.bufM[c][(this.writeIdxM - hopN + i + this.bufMSize) % this.bufMSize];
-        mono[i] = s; // sum, consistent with channel energy sum
-      }
-      dbtp = this.truePeak4xBlock(mono);
-
-      // Max indices for UI markers
-      const mMaxIdx = this.idxMax(this.acc.lufsM);
-      const sMaxIdx = this.idxMax(this.acc.lufsS);
-
-      this.port.postMessage({
-        type: 'metrics',
-        M: { current: lufsM, times: this.acc.timesM, values: this.acc.lufsM, maxIdx: mMaxIdx },
-        S: { current: lufsS, times: this.acc.timesS, values: this.acc.lufsS, maxIdx: sMaxIdx },
-        integrated,
-        lra, dr, dbtp
-      });
+  // Recording: copies the raw input into hop-sized blocks and posts each full block
+  recAppend(raw) {
+    if (!this.recBuf || this.recBuf.length !== raw.length) {
+      this.recFlush();
+      this.recBuf = raw.map(() => new Float32Array(this.hop));
+      this.recFill = 0;
+    }
+    const N = raw[0].length;
+    let i = 0;
+    while (i < N) {
+      const n = Math.min(N - i, this.hop - this.recFill);
+      for (let c = 0; c < raw.length; c++) this.recBuf[c].set(raw[c].subarray(i, i + n), this.recFill);
+      i += n;
+      this.recFill += n;
+      if (this.recFill === this.hop) this.recFlush();
     }
+  }
 
-    return true;
+  recFlush() {
+    if (!this.recBuf || !this.recFill) return;
+    const channels = this.recBuf.map(b => b.slice(0, this.recFill));
+    this.port.postMessage({ type: 'audio', channels }, channels.map(b => b.buffer));
+    this.recBuf = this.recBuf.map(() => new Float32Array(this.hop));
+    this.recFill = 0;
   }
 
-  meanSquareOverBuffer(bufs, writeIdx, filled, size) {
-    if (filled <= 0) return 0;
-    // average per-sample squared per channel, then sum channel MS (BS.1770)
+  // Front pair over the last nSeg hops (msL, msR: mean squares of L and R). Mid and side count on
+  // both loudspeakers, so they add up to L + R; correlation is NaN while either side is silent.
+  // full: the window is a whole M block, counted in the fold-down gating
+  stereoImage(nSeg, msL, msR, full) {
+    let acc = 0;
+    for (let k = 1; k <= nSeg; k++) acc += this.segsLR[(this.segIdx - k + this.nSegS) % this.nSegS];
+    const msLR = acc / (nSeg * this.hop);
+    const silent = Math.pow(10, (-70 - this.K_OFFSET_DB) / 10);
+    const msMid = (msL + msR) / 2 + msLR, msSide = (msL + msR) / 2 - msLR;
+    if (full) {
+      this.histPair.add(msL + msR);
+      this.histMono.add(msMid);
+    }
+    const pairI = this.histPair.integrated(-10).lufsI;
+    return {
+      corr: msL > silent && msR > silent ? msLR / Math.sqrt(msL * msR) : NaN,
+      balance: msL > silent && msR > silent ? 10 * Math.log10(msL / msR) : NaN,
+      lufsMid: this.lufsFromMS(msMid),
+      lufsSide: this.lufsFromMS(msSide),
+      monoDrop: Number.isFinite(pairI) ? pairI - this.histMono.integrated(-10).lufsI : 0,
+    };
+  }
+
+  windowMS(nSeg, perChannel = null) {
+    if (nSeg <= 0) return 0;
+    // mean square per channel over the last nSeg hops, then weighted sum of channel MS (BS.1770)
+    const w = (this.weights && this.weights.length === this.nCh) ? this.weights : null;
+    const frames = nSeg * this.hop;
     let sumMS = 0;
-    for (let c = 0; c < bufs.length; c++) {
-      const b = bufs[c];
+    for (let c = 0; c < this.nCh; c++) {
+      const ring = this.segs[c];
       let acc = 0;
-      // use last 'filled' samples
-      for (let i = 0; i < filled; i++) {
-        const idx = (writeIdx - filled + i + size) % size;
-        const v = b[idx];
-        acc += v*v;
-      }
-      sumMS += acc / filled;
+      for (let k = 1; k <= nSeg; k++) acc += ring[(this.segIdx - k + this.nSegS) % this.nSegS];
+      if (perChannel) perChannel[c] = acc / frames;
+      sumMS += (w ? w[c] : 1.0) * acc / frames;
     }
     return sumMS;
   }
-
-  idxMax(arr) {
-    let m = -Infinity, idx = -1;
-    for (let i = 0; i < arr.length; i++) { if (arr[i] > m) { m = arr[i]; idx = i; } }
-    return idx;
-  }
 }
 
 registerProcessor('loudness-processor', LoudnessProcessor);